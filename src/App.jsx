@@ -1,4 +1,33 @@
-import React, { useRef, useState, useEffect } from "react";
+import React, { useRef, useState, useEffect, useMemo } from "react";
+import { PROJECT_EXT, buildProject, parseProject, downloadText, downloadBlob, toProjectDoc, migrateProject, urlToBlob, blobToDataUrl } from "./project.js";
+import { saveCheckpoint, listCheckpoints, loadCheckpoint } from "./session-store.js";
+import { UNITS, UNIT_KEYS, makeCalibration, formatPx, formatPx2, formatLength, dist } from "./units.js";
+import {
+  addWallSegment, wallOutline, wallThicknessPx, endpointsAt, moveEndpoints, samePoint, newWallId,
+  lengthPx, newOpeningId, nearestWall, projectOntoWall, openingFrame, openingCorners, doorSwing, reattachOpenings,
+} from "./walls.js";
+import { DEFAULT_SNAP, collectTargets, snapPoint, snapBox } from "./snap.js";
+import { shapePoints, shapeBox, polygonArea, polygonPerimeter, rectCorners, rectCenter, rotatePoint, normDeg } from "./geometry.js";
+import {
+  selKey, isSelected, toggleSelected, boxOf, itemRect, selectedShape, pruneSelection, selectionBox, shapesInRect, selectionEnds,
+  translateSelection, removeSelection, duplicateSelection, rotateSelection, ROTATABLE_KINDS, LAYER_OF,
+} from "./selection.js";
+import { CLIPBOARD_MIME, copySelection, parseClip, placeClip } from "./clipboard.js";
+import { catalogEntry, searchCatalog } from "./catalog.js";
+import FurnitureSymbol from "./FurnitureSymbol.jsx";
+import { sanitizeSvg, cleanSymbol, newSymbolId, svgDataUrl } from "./svg-symbols.js";
+import { inspectFields, applyField } from "./inspector.js";
+import { defaultLayerStack, newAnnotationLayer, isBuiltinLayer, layerOfShape, layerEditable, cleanLayerStack, moveLayer } from "./layer-stack.js";
+import { DEFAULT_LEVEL_HEIGHT_CM, emptyLevelState, makeLevel, levelState, nextLevelName, levelElevations } from "./levels.js";
+import { buildModel } from "./model3d.js";
+import Preview3D from "./Preview3D.jsx";
+import { GLB_EXT, GLB_MIME, exportGlb } from "./gltf-export.js";
+import { SVG_EXT, SVG_MIME, buildSvg } from "./svg-export.js";
+import { DXF_EXT, DXF_MIME, buildDxf } from "./dxf-export.js";
+import { FILTER_RANGE, adjustOf, cleanBgAdjust, bgStyle, bgTransform, bgBounds, dragCrop, straightenRot, drawAdjusted } from "./background-adjust.js";
+import { PDF_DPIS, DEFAULT_PDF_DPI, isPdfFile, openPdf } from "./pdf-import.js";
+import { VECTOR_EXT, parseDxf, parseSvg, pathsBox, placePaths, makeUnderlay, underlayPaths, cleanUnderlay } from "./vector-import.js";
+import { PDF_EXT, PDF_MIME, PAPER, PAPER_KEYS, SCALES, buildPdf, printBox, fitsAt, fitScale } from "./pdf-export.js";
 
 /**
  * AtlaS – world-transform canvas (palette handle fixed + visible draft-on-draw)
@@ -46,24 +75,27 @@ const COLORS = {
   floor:  { fill: "rgba(10,40,160,0.35)", stroke: "rgba(10,40,160,0.9)"  },
 };
 
-const stroke = "#333";
-const S = { fill: "none", stroke, strokeWidth: 1.5, strokeLinecap: "round", strokeLinejoin: "round" };
-const Icon = {
-  bed:   (s=48)=>(<svg width={s} height={s} viewBox="0 0 64 64" role="img" aria-label="bed"><rect x="6" y="30" width="52" height="18" rx="3" {...S}/><rect x="10" y="24" width="22" height="10" rx="2" {...S}/><line x1="6" y1="48" x2="6" y2="54" {...S}/><line x1="58" y1="48" x2="58" y2="54" {...S}/></svg>),
-  door:  (s=48)=>(<svg width={s} height={s} viewBox="0 0 64 64" role="img" aria-label="door"><rect x="18" y="6" width="28" height="52" rx="2" {...S}/><circle cx="40" cy="32" r="2.5" stroke={stroke} fill={stroke}/></svg>),
-  table: (s=48)=>(<svg width={s} height={s} viewBox="0 0 64 64" role="img" aria-label="table"><rect x="10" y="22" width="44" height="8" rx="2" {...S}/><line x1="18" y1="30" x2="18" y2="50" {...S}/><line x1="46" y1="30" x2="46" y2="50" {...S}/></svg>),
-  chair: (s=48)=>(<svg width={s} height={s} viewBox="0 0 64 64" role="img" aria-label="chair"><rect x="22" y="14" width="20" height="14" rx="2" {...S}/><rect x="22" y="28" width="20" height="8" {...S}/><line x1="24" y1="36" x2="24" y2="50" {...S}/><line x1="40" y1="36" x2="40" y2="50" {...S}/></svg>),
-};
-const PALETTE = ["bed", "door", "table", "chair"].map(t => ({ type:t, label:t[0].toUpperCase()+t.slice(1) }));
+// fill/stroke of a shape: its own colour (set in the inspector) or its category's
+const tint = (hex, a) => { const n = parseInt(hex.slice(1), 16); return `rgba(${n >> 16},${(n >> 8) & 255},${n & 255},${a})`; };
+const paintOf = (kind, s) => (s?.color ? { fill: tint(s.color, 0.35), stroke: tint(s.color, 0.85) } : COLORS[kind]);
+// tooltip: label, whatever else is worth showing, notes
+const shapeTitle = (s, ...rest) => [s.label, ...rest, s.notes].filter(Boolean).join(" · ") || undefined;
+
 let idCounter = 1; const nextId = () => `item_${idCounter++}`;
+// keep nextId() ahead of ids that came in from a file
+const bumpIdCounter = (list) => { for (const it of list) { const n = Number(String(it?.id).replace(/^item_/, "")); if (Number.isInteger(n) && n >= idCounter) idCounter = n + 1; } };
+// fresh id for a shape of any kind (items keep their counter ids, wall lines their own prefix)
+const newShapeId = (kind) => (kind === "item" ? nextId() : kind === "wallLine" ? newWallId() : `${kind}_${Date.now()}_${Math.random().toString(36).slice(2)}`);
 
 /* ======================= styles ======================= */
 const styles = {
   app: { width:"100vw", height:"100vh", background:"#faf9f5", color:"#333", fontFamily:"Inter, system-ui, Arial, sans-serif", position:"relative", userSelect:"none", overflow:"hidden" },
   floaterBar:{ position:"absolute", top:12, right:12, display:"flex", gap:8, zIndex:40 },
   floaterBtn:{ width:44, height:44, borderRadius:22, background:"rgba(0,0,0,0)", border:"1px solid rgba(0,0,0,0.2)", cursor:"pointer", display:"flex", alignItems:"center", justifyContent:"center" },
-  sidebar:(open)=>({ position:"absolute", top:0, left:0, bottom:0, width:180, background:"#faf9f5", borderRight:"1px solid rgba(0,0,0,.1)", transform:`translateX(${open?0:-180}px)`, transition:"transform .25s, opacity .2s", padding:12, display:"flex", flexDirection:"column", gap:12, zIndex:20, opacity:open?1:0, pointerEvents:open?"auto":"none" }),
-  paletteCard:{ background:"transparent", border:"1px solid rgba(0,0,0,.1)", borderRadius:12, padding:10, display:"flex", flexDirection:"column", alignItems:"center", justifyContent:"center", gap:6, cursor:"grab", textAlign:"center" },
+  sidebar:(open)=>({ position:"absolute", top:0, left:0, bottom:0, width:200, background:"#faf9f5", borderRight:"1px solid rgba(0,0,0,.1)", transform:`translateX(${open?0:-200}px)`, transition:"transform .25s, opacity .2s", padding:12, display:"flex", flexDirection:"column", gap:8, overflowY:"auto", zIndex:20, opacity:open?1:0, pointerEvents:open?"auto":"none" }),
+  paletteCard:{ background:"transparent", border:"1px solid rgba(0,0,0,.1)", borderRadius:12, padding:"6px 8px", display:"flex", alignItems:"center", gap:8, cursor:"grab", textAlign:"left" },
+  paletteSearch:{ height:30, borderRadius:8, border:"1px solid rgba(0,0,0,0.2)", padding:"0 10px", outline:"none", fontSize:13, flex:"none" },
+  paletteCat:{ display:"flex", justifyContent:"space-between", alignItems:"center", fontWeight:700, fontSize:13, cursor:"pointer", padding:"4px 2px" },
   toggleHandle:{ position:"absolute", top:"50%", left:0, transform:"translate(-50%, -50%)", width:28, height:64, borderRadius:14, background:"rgba(0,0,0,0.08)", border:"1px solid rgba(0,0,0,0.15)", cursor:"pointer", display:"flex", alignItems:"center", justifyContent:"center", fontSize:14, color:"#111", zIndex:30, transition:"opacity .15s" },
   stack:{ position:"absolute", right:12, top:"50%", transform:"translateY(-50%)", zIndex:46, width:160, display:"flex", flexDirection:"column", gap:8 },
   selectBtn:(open)=>({ width:"100%", minHeight:44, borderRadius:14, border:"1px solid rgba(0,0,0,0.2)", background:open?"#fff":"rgba(0,0,0,0.02)", cursor:"pointer", display:"flex", flexDirection:"column", alignItems:"stretch", justifyContent:"center", fontSize:12, color:"#333" }),
@@ -81,9 +113,41 @@ const styles = {
   windowTag:{ position:"absolute", transform:"translateY(-110%)", background:"#fff", border:"1px solid rgba(0,0,0,0.15)", borderRadius:8, padding:"3px 6px", fontSize:11, lineHeight:1.2, color:"#064", boxShadow:"0 1px 2px rgba(0,0,0,0.06)", pointerEvents:"auto", cursor:"pointer", zIndex:12, whiteSpace:"nowrap" },
   placed:{ position:"absolute", touchAction:"none", userSelect:"none", cursor:"grab", zIndex:10, outline:"none" },
   resizeHandle:(color)=>({ position:"absolute", width:8, height:8, background:"#fff", border:`2px solid ${color}`, borderRadius:2, boxShadow:"0 1px 2px rgba(0,0,0,0.15)", zIndex:12, touchAction:"none" }),
+  recovery:{ position:"absolute", left:"50%", top:12, transform:"translateX(-50%)", background:"#fff", border:"1px solid rgba(0,0,0,0.15)", borderRadius:10, padding:"8px 12px", fontSize:13, color:"#0a0a0a", boxShadow:"0 2px 6px rgba(0,0,0,0.08)", zIndex:49, display:"flex", gap:8, alignItems:"center" },
+  smallBtn:{ height:30, padding:"0 12px", borderRadius:8, border:"1px solid rgba(0,0,0,0.2)", background:"#fff", cursor:"pointer", fontWeight:700 },
+  toolOption:{ display:"flex", alignItems:"center", justifyContent:"center", gap:6, fontSize:12, color:"#333" },
+  snapPanel:{ display:"flex", flexDirection:"column", gap:4, fontSize:12, color:"#333", padding:"6px 8px", border:"1px solid rgba(0,0,0,0.12)", borderRadius:12 },
+  guides:{ position:"absolute", left:0, top:0, overflow:"visible", pointerEvents:"none", zIndex:20 },
+  scaleBadge:{ fontSize:11, color:"#666", textAlign:"center", padding:"2px 0" },
+  calibLine:{ position:"absolute", left:0, top:0, overflow:"visible", pointerEvents:"none", zIndex:6 },
+  floorTag:{ position:"absolute", transform:"translateY(4px)", background:"#fff", border:"1px solid rgba(0,0,0,0.15)", borderRadius:8, padding:"3px 6px", fontSize:11, lineHeight:1.2, color:"#0a28a0", boxShadow:"0 1px 2px rgba(0,0,0,0.06)", pointerEvents:"auto", cursor:"pointer", zIndex:12, whiteSpace:"nowrap" },
+  summary:{ position:"absolute", right:12, bottom:16, width:260, maxHeight:"40vh", overflow:"auto", background:"#fff", border:"1px solid rgba(0,0,0,0.15)", borderRadius:12, padding:"10px 12px", fontSize:12, boxShadow:"0 2px 6px rgba(0,0,0,0.08)", zIndex:44 },
+  rightPanels:{ position:"absolute", right:184, top:64, bottom:72, width:270, display:"flex", flexDirection:"column", gap:8, zIndex:44, pointerEvents:"none" },
+  panel:{ flex:"0 1 auto", minHeight:0, overflow:"auto", pointerEvents:"auto", background:"#fff", border:"1px solid rgba(0,0,0,0.15)", borderRadius:12, padding:"10px 12px", fontSize:12, boxShadow:"0 2px 6px rgba(0,0,0,0.08)" },
+  inspectorGrid:{ display:"grid", gridTemplateColumns:"auto 1fr auto", gap:"4px 6px", alignItems:"center" },
+  inspectorInput:{ width:"100%", minWidth:0, boxSizing:"border-box", height:24, borderRadius:6, border:"1px solid rgba(0,0,0,0.2)", padding:"0 6px", fontSize:12 },
+  layerRow:(target)=>({ display:"flex", alignItems:"center", gap:6, padding:"4px 2px", borderBottom:"1px solid rgba(0,0,0,0.06)", background:target?"rgba(194,84,0,0.08)":"transparent" }),
+  layerBtn:{ border:"none", background:"transparent", cursor:"pointer", padding:0, width:20, fontSize:13 },
+  summaryRow:{ display:"grid", gridTemplateColumns:"1fr auto auto", gap:8, padding:"3px 0", borderBottom:"1px solid rgba(0,0,0,0.06)" },
+  selectionBar:{ position:"absolute", left:"50%", top:64, transform:"translateX(-50%)", background:"#fff", border:"1px solid rgba(0,0,0,0.15)", borderRadius:10, padding:"6px 10px", fontSize:13, color:"#0a0a0a", boxShadow:"0 2px 6px rgba(0,0,0,0.08)", zIndex:47, display:"flex", gap:8, alignItems:"center" },
+  view3d:{ position:"absolute", inset:0, zIndex:35 },
+  exportMenu:{ position:"absolute", top:52, left:"50%", transform:"translateX(-50%)", display:"flex", flexDirection:"column", gap:6, padding:8, background:"#fff", border:"1px solid rgba(0,0,0,0.15)", borderRadius:10, boxShadow:"0 2px 6px rgba(0,0,0,0.08)", whiteSpace:"nowrap", zIndex:41 },
+  pdfPages:{ display:"flex", gap:8, overflowX:"auto", paddingBottom:4 },
+  pdfPage:(on)=>({ display:"flex", flexDirection:"column", alignItems:"center", gap:4, padding:6, borderRadius:8, border:`1px solid ${on?"#1a73e8":"rgba(0,0,0,0.12)"}`, flex:"none" }),
+  bgRow:{ display:"flex", alignItems:"center", gap:6, marginBottom:6 },
+  bgLabel:{ width:70, flex:"none", color:"#333" },
   note:{ position:"absolute", left:"50%", bottom:64, transform:"translateX(-50%)", background:"#fff", border:"1px solid rgba(0,0,0,0.15)", borderRadius:10, padding:"8px 12px", fontSize:13, color:"#0a0a0a", boxShadow:"0 2px 6px rgba(0,0,0,0.08)", zIndex:48 },
 };
 
+const DIM_COLOR = "#c25400";
+const SELECT_COLOR = "#1a73e8";
+const DUPLICATE_OFFSET = 20; // world px
+const MAX_WALL_LINES = 2000; // DXF lines converted to walls in one import
+const ROTATE_STEP = 15; // degrees: Shift-drag snapping and R / Shift+R
+// tools that draw a line (start → end) instead of a rectangle; they draw straight over existing shapes
+const LINE_TOOLS = new Set(["calibrate", "measure", "straighten"]);
+
+const KIND_LABELS = { wall: "Wall", window: "Window", floor: "Floor", item: "Furniture", wallLine: "Wall line", dim: "Dimension" };
 const colorFor = (k) => (k === "wall" ? "#ff4da6" : k === "window" ? "#00a050" : "#0a28a0");
 
 /* ======================= Component ======================= */
@@ -104,15 +168,51 @@ export default function ImageCanvasApp() {
 
   // bg image data
   const [bgUrl, setBgUrl] = useState(null);
-  const lastBgUrlRef = useRef(null);
+  // object URLs made for this document's backgrounds; undo and other levels may still show any of them,
+  // so they are only revoked when another document is loaded
+  const bgUrlsRef = useRef(new Set());
   const [bgImg, setBgImg] = useState({ w: 0, h: 0 });
   const bgOffset = { x: (world.w - bgImg.w) / 2, y: (world.h - bgImg.h) / 2 };
+  const bgBox = { x: bgOffset.x, y: bgOffset.y, w: bgImg.w, h: bgImg.h };
+  // non-destructive rotation / crop / flip / opacity / filters of the background, or null (see background-adjust.js)
+  const [bgAdjust, setBgAdjust] = useState(null);
+  const [bgEditOpen, setBgEditOpen] = useState(false);
+  // imported DXF/SVG line work, drawn in the background layer and snapped to (see vector-import.js)
+  const [underlay, setUnderlay] = useState(null);
+  // DXF import with LINE entities: { name, source, paths, unitCm, layers:[{ name, lines }], wallLayer, thickCm, error }
+  const [underlayPrompt, setUnderlayPrompt] = useState(null);
+  // PDF page picker: { name, pageCount, thumbs:[dataUrl…], dpi, assign:{ [page]: levelId | "new" }, busy, error };
+  // the open pdf.js document (see pdf-import.js) lives in pdfDocRef
+  const [pdfImport, setPdfImport] = useState(null);
+  const pdfDocRef = useRef(null);
 
   // layers/items
   const [walls, setWalls] = useState([]);
+  const [wallLines, setWallLines] = useState([]); // polyline walls, see walls.js
+  const [wallThickCm, setWallThickCm] = useState(12);
+  const [openings, setOpenings] = useState([]); // windows/doors hosted by wallLines, see walls.js
   const [windows, setWindows] = useState([]);
   const [floors, setFloors] = useState([]);
   const [items, setItems] = useState([]);
+  const [dims, setDims] = useState([]); // dimension lines { id, a:{x,y}, b:{x,y} }
+  const [symbols, setSymbols] = useState([]); // imported SVG palette symbols, see svg-symbols.js
+  const [layerStack, setLayerStack] = useState(defaultLayerStack); // draw order + visibility/lock/opacity, see layer-stack.js
+
+  // real-world scale (world px per cm), see units.js
+  const [calib, setCalib] = useState(null);
+  const [calibPrompt, setCalibPrompt] = useState(null);
+
+  // floor areas: name prompt + summary panel
+  const [floorPrompt, setFloorPrompt] = useState(null);
+  const [summaryOpen, setSummaryOpen] = useState(false);
+
+  // export menu: open flag, whether vector exports embed the background or link it as a separate file
+  const [exportOpen, setExportOpen] = useState(false);
+  const [embedBg, setEmbedBg] = useState(true);
+  // PDF dialog: { name, address, date, paper, landscape, scale, withBg, error } or null;
+  // the title block fields are remembered for the next export
+  const [pdfPrompt, setPdfPrompt] = useState(null);
+  const pdfInfoRef = useRef({ name:"", address:"" });
 
   // selection/drawing
   const [activeTool, setActiveTool] = useState(null);
@@ -120,6 +220,22 @@ export default function ImageCanvasApp() {
   const [selecting, setSelecting] = useState(false);
   const [draft, setDraft] = useState(null);
 
+  // multi-selection [{ kind, id }] (see selection.js) + marquee { start, end, add } while dragging one
+  const [selection, setSelection] = useState([]);
+  const [marquee, setMarquee] = useState(null);
+
+  // layers panel: open flag, layer new dimension lines go into, rename in progress { id, value }
+  const [layersOpen, setLayersOpen] = useState(false);
+  const [dimLayer, setDimLayer] = useState("dims");
+  const [layerRename, setLayerRename] = useState(null);
+
+  // snapping settings + alignment guides shown while dragging (see snap.js)
+  const [snapCfg, setSnapCfg] = useState(DEFAULT_SNAP);
+  const [guides, setGuides] = useState([]);
+
+  // click-by-click draft (polygon floor or wall chain): { points:[...], hover:{x,y} }
+  const [polyDraft, setPolyDraft] = useState(null);
+
   // NEW: flag that we are actively drawing a rect (to commit on pointerup)
   const drawingRef = useRef(false); // NEW
 
@@ -128,39 +244,95 @@ export default function ImageCanvasApp() {
 
   // prompt for window height
   const [windowPrompt, setWindowPrompt] = useState(null);
+  // prompt for door width / swing
+  const [doorPrompt, setDoorPrompt] = useState(null);
 
-  // history
-  const [history, setHistory] = useState([{ items:[], walls:[], windows:[], floors:[], bgUrl:null, world:{w:1200,h:800,scale:1}, pan:{x:0,y:0}, bgImg:{w:0,h:0} }]);
+  // history (of the active level)
+  const [history, setHistory] = useState(() => [emptyLevelState({ world:{w:1200,h:800,scale:1}, pan:{x:0,y:0}, layerStack:defaultLayerStack() })]);
   const [hIndex, setHIndex] = useState(0);
+
+  // levels, bottom first (see levels.js); the active level's history is the one above,
+  // the others keep theirs in `history`/`hIndex` until switched to
+  const [levels, setLevels] = useState(() => [makeLevel("Ground floor")]);
+  const [activeLevel, setActiveLevel] = useState(() => levels[0].id);
+  const [levelsOpen, setLevelsOpen] = useState(false);
+  const [levelRename, setLevelRename] = useState(null); // { id, value }
+  const [underlayOn, setUnderlayOn] = useState(true); // faint level-below outlines
+
+  // 3D preview (see model3d.js): open flag, only-the-active-level flag; the camera survives closing
+  const [view3d, setView3d] = useState(false);
+  const [only3dLevel, setOnly3dLevel] = useState(false);
+  const camera3dRef = useRef(null);
   const canUndo = hIndex > 0, canRedo = hIndex < history.length - 1;
 
   // dragging / resizing refs
-  const draggingItemRef = useRef({ id:null, dx:0, dy:0 });
+  const groupDragRef    = useRef({ sel:null, start:null, box:null, ends:null, sx:0, sy:0, hit:null, moved:false });
   const itemResizeRef   = useRef({ id:null, start:0, sx:0, sy:0 }); // icon uniform scaling
-  const draggingRectRef = useRef({ kind:null, id:null, dx:0, dy:0, start:null });
   const rectResizeRef   = useRef({ kind:null, id:null, handle:null, start:null, startList:null });
+  const rotateRef       = useRef({ kind:null, id:null, c:null }); // rotation handle drag
   const panDragRef      = useRef({ active:false, sx:0, sy:0, ox:0, oy:0 });
+  const vertexDragRef   = useRef({ id:null, index:-1 });
+  const wallDragRef     = useRef({ ends:null, start:null, sx:0, sy:0 }); // joint drag
+  const openingDragRef  = useRef({ id:null });
+  const cropDragRef     = useRef({ handle:null }); // background crop handle
 
   // sidebar
   const [sidebarOpen, setSidebarOpen] = useState(false);
+  const [paletteQuery, setPaletteQuery] = useState("");
+  const [openCats, setOpenCats] = useState(["bedroom"]); // expanded catalogue categories
+  const [symbolPrompt, setSymbolPrompt] = useState(null); // { svg, aspect, label, w, d, dTouched, error } for an imported SVG
+  const symbolInputRef = useRef(null);
 
+  // history entries deep-copy the plan; the vector underlay and the custom symbols' markup are
+  // never changed in place (only replaced whole), so every entry shares them by reference instead of another copy
+  const historyEntry = ({ underlay, symbols, ...rest }) => ({ ...JSON.parse(JSON.stringify(rest)), underlay, symbols });
   // snapshot
   const snapshot = (next = {}) => {
-    const snap = { items, walls, windows, floors, bgUrl, world:{...world}, pan:{...pan}, bgImg:{...bgImg}, ...next };
+    const snap = { items, walls, wallLines, openings, windows, floors, dims, symbols, layerStack, bgUrl, underlay, world:{...world}, pan:{...pan}, bgImg:{...bgImg}, bgAdjust, calib, ...next };
     setHistory((prev) => {
       const trimmed = prev.slice(0, hIndex + 1);
-      const newHist = [...trimmed, JSON.parse(JSON.stringify(snap))];
+      const newHist = [...trimmed, historyEntry(snap)];
       setHIndex(newHist.length - 1);
       return newHist;
     });
     if (next.items) setItems(next.items);
     if (next.walls) setWalls(next.walls);
+    if (next.wallLines) setWallLines(next.wallLines);
+    if (next.openings) setOpenings(next.openings);
     if (next.windows) setWindows(next.windows);
     if (next.floors) setFloors(next.floors);
+    if (next.dims) setDims(next.dims);
+    if (next.symbols) setSymbols(next.symbols);
+    if (next.layerStack) setLayerStack(next.layerStack);
     if (Object.prototype.hasOwnProperty.call(next, "bgUrl")) setBgUrl(next.bgUrl);
+    if (Object.prototype.hasOwnProperty.call(next, "underlay")) setUnderlay(next.underlay);
     if (next.world) setWorld(next.world);
     if (next.pan) setPan(next.pan);
     if (next.bgImg) setBgImg(next.bgImg);
+    if (Object.prototype.hasOwnProperty.call(next, "bgAdjust")) setBgAdjust(next.bgAdjust);
+    if (Object.prototype.hasOwnProperty.call(next, "calib")) setCalib(next.calib);
+  };
+  // show a layer patch without a history entry (drags, inspector typing); commitLive() adds one
+  const applyLive = (patch) => {
+    if (patch.walls) setWalls(patch.walls);
+    if (patch.windows) setWindows(patch.windows);
+    if (patch.floors) setFloors(patch.floors);
+    if (patch.items) setItems(patch.items);
+    if (patch.wallLines) setWallLines(patch.wallLines);
+    if (patch.openings) setOpenings(patch.openings);
+    if (patch.dims) setDims(patch.dims);
+    if (patch.layerStack) setLayerStack(patch.layerStack);
+    if (Object.prototype.hasOwnProperty.call(patch, "bgAdjust")) setBgAdjust(patch.bgAdjust);
+  };
+  // one undo step for everything applied live since the last snapshot, if anything changed
+  const commitLive = () => {
+    const cur = { items, walls, wallLines, openings, windows, floors, dims, layerStack, bgAdjust }, h = history[hIndex] || {};
+    if (Object.keys(cur).some(k => JSON.stringify(cur[k]) !== JSON.stringify(h[k]))) snapshot();
+  };
+  const restore = (s) => {
+    setItems(s.items); setWalls(s.walls); setWallLines(s.wallLines || []); setOpenings(s.openings || []); setWindows(s.windows); setFloors(s.floors); setDims(s.dims || []); setSymbols(s.symbols || []); setLayerStack(s.layerStack || defaultLayerStack());
+    setBgUrl(s.bgUrl); setUnderlay(s.underlay || null); setWorld(s.world); setPan(s.pan); setBgImg(s.bgImg); setBgAdjust(s.bgAdjust || null);
+    setCalib(s.calib || null);
   };
 
   // resize observer keeps center stable
@@ -202,22 +374,140 @@ export default function ImageCanvasApp() {
 
   /* ============ upload background ============ */
   const fileInputRef = useRef(null);
+  // world size of a w × h px background on a level with state `s`: fitted into the world, but a
+  // calibrated plan replaced by the same sheet (e.g. a better scan) keeps its world size,
+  // so the calibration and everything traced over it stay valid
+  const backgroundFit = (w, h, s = { calib, bgImg }) => {
+    const { w: bw, h: bh } = s.bgImg || {};
+    if (s.calib && bw && bh && Math.abs(w/h - bw/bh) < 0.01 * (bw/bh)) return { w: bw, h: bh };
+    return fitWithin(w, h, Math.floor(world.w*0.7), Math.floor(world.h*0.7));
+  };
   const onFile = (file) => {
     if (!file) return;
+    if (VECTOR_EXT.test(file.name || "") || file.type === "image/svg+xml") { importVector(file); return; }
+    if (isPdfFile(file)) { openPdfImport(file); return; }
     try {
       const url = URL.createObjectURL(file);
       const img = new Image();
       img.onload = () => {
-        const fit = fitWithin(img.width, img.height, Math.floor(world.w*0.7), Math.floor(world.h*0.7));
-        if (lastBgUrlRef.current && lastBgUrlRef.current !== url) { try { URL.revokeObjectURL(lastBgUrlRef.current); } catch {} }
-        lastBgUrlRef.current = url;
-        snapshot({ bgUrl: url, bgImg: { w: fit.w, h: fit.h } });
+        bgUrlsRef.current.add(url);
+        snapshot({ bgUrl: url, bgImg: backgroundFit(img.width, img.height), bgAdjust: null });
       };
       img.src = url;
     } catch {}
   };
   const onInputChange = (e) => { const f = e?.target?.files?.[0]; if (f) onFile(f); try { e.target.value = ""; } catch {} };
 
+  /* ============ PDF import ============ */
+  // thumbnails come in one by one after the picker opens; page 1 goes to the active level by default
+  async function openPdfImport(file) {
+    closePdfImport();
+    try {
+      const doc = await openPdf(file);
+      pdfDocRef.current = doc;
+      setPdfImport({ name: file.name || "plan.pdf", pageCount: doc.pageCount, thumbs: [], dpi: DEFAULT_PDF_DPI, assign: { 1: activeLevel }, busy: false, error:"" });
+      for (let n = 1; n <= doc.pageCount && pdfDocRef.current === doc; n++) {
+        const url = await doc.thumbnail(n).catch(() => null);
+        if (pdfDocRef.current === doc) setPdfImport(p => p && { ...p, thumbs: Object.assign([...p.thumbs], { [n - 1]: url }) });
+      }
+    } catch (err) {
+      console.error("openPdfImport failed", err);
+      alert(`Could not open the PDF: ${err.message}`);
+    }
+  }
+  function closePdfImport() {
+    try { pdfDocRef.current?.destroy(); } catch { /* already closed */ }
+    pdfDocRef.current = null; setPdfImport(null);
+  }
+  const assignPdfPage = (n, to) => setPdfImport(p => p && { ...p, assign: { ...p.assign, [n]: to }, error:"" });
+  // pages assigned to the active level go in with snapshot(); other levels get a step appended to
+  // their stashed history; "new" pages become new levels on top, in page order
+  async function importPdfPages(e) {
+    e.preventDefault();
+    const p = pdfImport, doc = pdfDocRef.current;
+    if (!p || !doc || p.busy) return;
+    const picks = Object.entries(p.assign).filter(([, to]) => to).map(([n, to]) => ({ page: Number(n), to })).sort((a, b) => a.page - b.page);
+    if (!picks.length) { setPdfImport({ ...p, error:"Assign at least one page to a level." }); return; }
+    const taken = picks.filter(k => k.to !== "new").map(k => k.to);
+    const twice = levels.find(l => taken.indexOf(l.id) !== taken.lastIndexOf(l.id));
+    if (twice) { setPdfImport({ ...p, error:`Only one page can go to ${twice.name}.` }); return; }
+    setPdfImport({ ...p, busy: true, error:"" });
+    try {
+      const pages = [];
+      for (const k of picks) {
+        const r = await doc.render(k.page, p.dpi);
+        const url = URL.createObjectURL(r.blob);
+        bgUrlsRef.current.add(url);
+        pages.push({ ...k, url, w: r.w, h: r.h });
+      }
+      let list = levels.map(l => {
+        const pg = l.id !== activeLevel && pages.find(k => k.to === l.id);
+        if (!pg) return l;
+        const s = levelState(l);
+        return { ...l, history: [...l.history.slice(0, l.hIndex + 1), { ...s, bgUrl: pg.url, bgImg: backgroundFit(pg.w, pg.h, s), bgAdjust: null }], hIndex: l.hIndex + 1 };
+      });
+      for (const pg of pages.filter(k => k.to === "new")) {
+        // a freshly fitted page has its own scale, so the new level starts uncalibrated
+        const state = { ...emptyLevelState({ world, pan, calib: null, layerStack: defaultLayerStack(), symbols }), bgUrl: pg.url, bgImg: backgroundFit(pg.w, pg.h, { calib: null }) };
+        list = [...list, makeLevel(nextLevelName(list), state)];
+      }
+      setLevels(list);
+      const own = pages.find(k => k.to === activeLevel);
+      if (own) snapshot({ bgUrl: own.url, bgImg: backgroundFit(own.w, own.h), bgAdjust: null });
+      closePdfImport();
+    } catch (err) {
+      console.error("importPdfPages failed", err);
+      alert(`Could not render the PDF: ${err.message}`);
+      setPdfImport(q => q && { ...q, busy: false });
+    }
+  }
+
+  /* ============ vector underlay (DXF / SVG) ============ */
+  // a DXF with LINE entities first asks whether one of its layers should become walls
+  async function importVector(file) {
+    try {
+      const source = /\.dxf$/i.test(file.name || "") ? "dxf" : "svg";
+      const text = await file.text();
+      const { paths, unitCm } = source === "dxf" ? parseDxf(text) : parseSvg(text);
+      const drawing = { name: file.name || `underlay.${source}`, source, paths, unitCm };
+      const counts = new Map();
+      for (const p of paths) if (p.line) counts.set(p.layer, (counts.get(p.layer) || 0) + 1);
+      if (!counts.size) { placeUnderlay(drawing); return; }
+      setUnderlayPrompt({ ...drawing, layers: [...counts].map(([name, lines]) => ({ name, lines })), wallLayer:"", thickCm: String(wallThickCm), error:"" });
+    } catch (err) {
+      console.error("importVector failed", err);
+      alert(`Could not import the drawing: ${err.message}`);
+    }
+  }
+  // at true size when both the file and the plan know their units, else fitted like a raster background;
+  // LINEs on wallLayer become wall segments instead of underlay, all in one undo step
+  const placeUnderlay = ({ name, source, paths, unitCm }, wallLayer = "", thickCm = wallThickCm) => {
+    const box = pathsBox(paths);
+    const fit = Math.min((world.w * 0.7) / Math.max(1e-9, box.w), (world.h * 0.7) / Math.max(1e-9, box.h));
+    const placed = placePaths(paths, calib && unitCm ? unitCm * calib.pxPerCm : fit, { x: world.w / 2, y: world.h / 2 });
+    const toWall = (p) => wallLayer && p.line && p.layer === wallLayer;
+    let list = wallLines;
+    for (const p of placed.filter(toWall)) ({ list } = addWallSegment(list, { id: newWallId(), a: p.pts[0], b: p.pts[1], thickCm }));
+    const rest = placed.filter(p => !toWall(p));
+    // split walls re-host their doors and windows, as with the wall tool
+    snapshot({ underlay: rest.length ? makeUnderlay(name, source, rest) : null, ...(list !== wallLines ? { wallLines: list, openings: reattachOpenings(openings, wallLines, list, calib) } : {}) });
+  };
+  const submitUnderlayPrompt = (e) => {
+    e.preventDefault();
+    const p = underlayPrompt; if (!p) return;
+    const thick = Number(String(p.thickCm).replace(",", "."));
+    if (p.wallLayer && !(thick > 0 && thick <= 200)) { setUnderlayPrompt({ ...p, error:"Enter a wall thickness between 0 and 200 cm." }); return; }
+    if ((p.layers.find(l => l.name === p.wallLayer)?.lines || 0) > MAX_WALL_LINES) { setUnderlayPrompt({ ...p, error:`That layer has more than ${MAX_WALL_LINES} lines; pick the wall centre lines.` }); return; }
+    placeUnderlay(p, p.wallLayer, thick);
+    setUnderlayPrompt(null);
+  };
+  // snap polylines and one path per source layer, rebuilt only when the underlay changes
+  const underlayView = useMemo(() => {
+    const paths = underlayPaths(underlay), byLayer = new Map();
+    for (const p of paths) byLayer.set(p.layer, (byLayer.get(p.layer) || "") + `M${p.pts.map(q => `${q.x} ${q.y}`).join("L")}${p.closed ? "Z" : ""}`);
+    return { targets: collectTargets(paths), d: [...byLayer] };
+  }, [underlay]);
+
   /* ============ palette DnD ============ */
   const onPaletteDragStart = (e, type) => {
     if (!e?.dataTransfer) return;
@@ -227,39 +517,166 @@ export default function ImageCanvasApp() {
       try { e.dataTransfer.setDragImage(e.currentTarget, e.currentTarget.clientWidth/2, e.currentTarget.clientHeight/2); } catch {}
     }
   };
+  // catalogue entry or imported symbol (as { type, label, w, d, custom }) for an item type
+  const entryFor = (type) => {
+    const sym = symbols.find(s => s.id === type);
+    return sym ? { type: sym.id, label: sym.label, w: sym.w, d: sym.d, custom: sym } : catalogEntry(type);
+  };
   const onCanvasDragOver = (e) => { e.preventDefault(); try { if (e.dataTransfer) e.dataTransfer.dropEffect = "copy"; } catch {} };
   const onCanvasDrop = (e) => {
     e.preventDefault();
     const dt = e.dataTransfer;
-    if (dt?.files?.length > 0) { const f = dt.files[0]; if (f?.type?.startsWith("image/")) onFile(f); return; }
-    const type = dt.getData("text/plain") || dt.getData("text");
-    if (!type) return;
+    if (dt?.files?.length > 0) { const f = dt.files[0]; if (isProjectFile(f)) openProject(f); else if (f?.type?.startsWith("image/") || VECTOR_EXT.test(f?.name || "") || isPdfFile(f)) onFile(f); return; }
+    const entry = entryFor(dt.getData("text/plain") || dt.getData("text"));
+    if (!entry) return;
     const pt = screenToWorld(e.clientX, e.clientY);
-    snapshot({ items: [...items, { id: nextId(), type, x: pt.x, y: pt.y, size: 48 }] });
+    // a door dropped onto a wall becomes an opening in that wall
+    const host = entry.type === "door" ? nearestWall(wallLines, pt, hostTolerance()) : null;
+    if (host) { snapshot({ openings: [...openings, { id: newOpeningId("door"), kind:"door", wallId: host.wall.id, offset: host.offset, widthCm: entry.w, hinge:"a", swing:"left" }] }); return; }
+    // dropped centred on the pointer, at its real size
+    const w = lengthPx(entry.w, calib), h = lengthPx(entry.d, calib);
+    snapshot({ items: [...items, { id: nextId(), type: entry.type, x: pt.x - w/2, y: pt.y - h/2, w: entry.w, d: entry.d }] });
   };
 
   /* ============ tools ============ */
   const chooseTool = (k) => { setActiveTool(k); setSelectOpen(false); setSelecting(true); setDraft(null); };
-  const stopSelecting = () => { setSelecting(false); setDraft(null); drawingRef.current = false; }; // NEW
+  const stopSelecting = () => { setSelecting(false); setDraft(null); setPolyDraft(null); drawingRef.current = false; }; // NEW
+  useEffect(() => { if (activeTool !== "floorPoly") setPolyDraft(null); }, [activeTool]);
 
   /* ============ draw rectangles: down → move → up (NEW) ============ */
+  // measure endpoints stick to rect corners/edges (8 screen px)
+  /* ============ snapping ============ */
+  const gridPx = lengthPx(snapCfg.grid, calib);
+  // every shape as snap polylines; skip(kind, id) leaves out whatever is being edited,
+  // outlines:false leaves out wall outlines (wall drawing snaps to centre lines only)
+  // shapes on hidden layers are no snap targets either; the vector underlay counts as background
+  const snapTargets = ({ skip: skipShape = () => false, outlines = true } = {}) => {
+    const skip = (kind, s) => skipShape(kind, s.id) || !layerStack.find(l => l.id === layerOfShape(layerStack, kind, s))?.visible;
+    const shapes = collectTargets([
+      ...walls.filter(r => !skip("wall", r)).map(r => ({ pts: shapePoints(r), closed: true })),
+      ...windows.filter(r => !skip("window", r)).map(r => ({ pts: shapePoints(r), closed: true })),
+      ...floors.filter(r => !skip("floor", r)).map(r => ({ pts: shapePoints(r), closed: true })),
+      ...wallLines.filter(w => !skip("wallLine", w)).flatMap(w => [
+        { pts: [w.a, w.b], closed: false },
+        ...(outlines ? [{ pts: wallOutline(wallLines, w, calib), closed: true }] : []),
+      ]),
+      ...items.filter(it => !skip("item", it)).map(it => ({ pts: shapePoints(itemRect(it, calib)), closed: true })),
+      ...dims.filter(d => !skip("dim", d)).map(d => ({ pts: [d.a, d.b], closed: false })),
+    ]);
+    if (!underlay || !layerStack.find(l => l.id === "background")?.visible) return shapes;
+    return { points: shapes.points.concat(underlayView.targets.points), edges: shapes.edges.concat(underlayView.targets.edges) };
+  };
+  const snapOpts = (e, extra) => ({ cfg: snapCfg, scale: world.scale, gridPx, shift: !!e?.shiftKey, alt: !!e?.altKey, ...extra });
+  // snap one point; shows its guides
+  const snapAt = (pt, e, { anchor = null, skip, outlines, useEdges } = {}) => {
+    const r = snapPoint(pt, snapOpts(e, { targets: snapTargets({ skip, outlines }), anchor, useEdges }));
+    setGuides(r.guides);
+    return { x: r.x, y: r.y };
+  };
+  // snap a moving box; returns the corrected top-left
+  const snapMove = (box, e, skip) => {
+    const r = snapBox(box, snapOpts(e, { targets: snapTargets({ skip }) }));
+    setGuides(r.guides);
+    return { x: box.x + r.dx, y: box.y + r.dy };
+  };
+  // anchor for Shift (orthogonal) locking: where the current line / chain started
+  const drawAnchor = () => (drawingRef.current && draft ? draft.start : polyDraft?.points?.[polyDraft.points.length - 1] || null);
+  const isLineTool = () => LINE_TOOLS.has(activeTool) && selecting;
+
+  /* ============ polygon floors: click vertices, close on first vertex / double-click ============ */
+  const CLOSE_TOL = 8; // screen px
+  const commitPolygon = (pts) => {
+    // drop repeated clicks (a double-click lands two vertices on the same spot)
+    const clean = pts.filter((p, i) => i === 0 || dist(p, pts[i - 1]) * world.scale > 2);
+    if (clean.length >= 3 && polygonArea(clean) > 16) {
+      snapshot({ floors: [...floors, { id: newShapeId("floor"), points: clean }] });
+    }
+    setPolyDraft(null);
+  };
+  const addPolygonVertex = (pt) => {
+    const pts = polyDraft?.points || [];
+    if (pts.length >= 3 && dist(pt, pts[0]) * world.scale <= CLOSE_TOL) { commitPolygon(pts); return; }
+    setPolyDraft({ points: [...pts, pt], hover: pt });
+  };
+  /* ============ polyline walls: click to chain segments, double-click / Enter / Esc ends ============ */
+  const wallNodes = () => {
+    const out = [];
+    for (const w of wallLines) for (const p of [w.a, w.b]) if (!out.some(q => samePoint(p, q))) out.push(p);
+    return out;
+  };
+  const addWallPoint = (pt) => {
+    const last = polyDraft?.points?.[polyDraft.points.length - 1];
+    if (last && dist(last, pt) * world.scale > 2) {
+      const { list } = addWallSegment(wallLines, { id: newWallId(), a: { ...last }, b: { ...pt }, thickCm: wallThickCm }, CLOSE_TOL / world.scale);
+      snapshot({ wallLines: list, openings: reattachOpenings(openings, wallLines, list, calib) });
+    }
+    setPolyDraft({ points: [pt], hover: pt });
+  };
+
+  const onCanvasDoubleClick = () => {
+    if (!selecting || !polyDraft) return;
+    if (activeTool === "floorPoly") commitPolygon(polyDraft.points);
+    if (activeTool === "wallLine") setPolyDraft(null);
+  };
+  useEffect(() => {
+    if (!polyDraft) return;
+    const onKey = (e) => {
+      if (e.key === "Escape") setPolyDraft(null);
+      if (e.key === "Enter") { if (activeTool === "floorPoly") commitPolygon(polyDraft.points); else setPolyDraft(null); }
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  });
+
   const handleDrawPointerDown = (e) => {
     if (!activeTool || !selecting || e.button !== 0) return;
-    const pt = screenToWorld(e.clientX, e.clientY);
+    const raw = screenToWorld(e.clientX, e.clientY);
+    const pt = activeTool === "wallLine" ? snapAt(raw, e, { anchor: drawAnchor(), outlines: false }) : snapAt(raw, e, { anchor: drawAnchor() });
+    setGuides([]);
+    if (activeTool === "floorPoly") { addPolygonVertex(pt); return; }
+    if (activeTool === "wallLine") { addWallPoint(pt); return; }
     drawingRef.current = true;                               // NEW
     setDraft({ start: { x: pt.x, y: pt.y }, end: { x: pt.x, y: pt.y } }); // NEW
   };
 
   const commitDraftIfAny = () => {                           // NEW
     if (!drawingRef.current || !draft || !activeTool) return;
+    if (activeTool === "calibrate") {
+      if (Math.hypot(draft.end.x - draft.start.x, draft.end.y - draft.start.y) >= 4) {
+        setCalibPrompt({ a:{ ...draft.start }, b:{ ...draft.end }, value:"", unit: calib?.unit || "m", error:"" });
+      }
+      setDraft(null); drawingRef.current = false;
+      return;
+    }
+    // straighten: the line drawn along something that should be level or plumb turns the background
+    if (activeTool === "straighten") {
+      if (dist(draft.start, draft.end) >= 4) snapshot({ bgAdjust: cleanBgAdjust({ ...adjustOf(bgAdjust), rot: straightenRot(bgAdjust, draft.start, draft.end) }) });
+      setDraft(null); drawingRef.current = false;
+      setActiveTool(null); setSelecting(false);
+      return;
+    }
+    if (activeTool === "measure") {
+      if (dist(draft.start, draft.end) >= 4) snapshot({ dims: [...dims, { id: newShapeId("dim"), a:{ ...draft.start }, b:{ ...draft.end }, ...(dimTarget !== "dims" ? { layer: dimTarget } : {}) }] });
+      setDraft(null); drawingRef.current = false;
+      return;
+    }
     const L = Math.min(draft.start.x, draft.end.x);
     const T = Math.min(draft.start.y, draft.end.y);
     const R = Math.max(draft.start.x, draft.end.x);
     const B = Math.max(draft.start.y, draft.end.y);
     const w = Math.max(4, R - L), h = Math.max(4, B - T);
-    const rect = { id:`${activeTool}_${Date.now()}_${Math.random().toString(36).slice(2)}`, x:L, y:T, w, h };
+    const rect = { id: newShapeId(activeTool), x:L, y:T, w, h };
     if (activeTool === "wall")   snapshot({ walls:   [...walls, rect] });
-    if (activeTool === "window") { snapshot({ windows: [...windows, rect] }); setWindowPrompt({ id:rect.id, value:"", error:"" }); }
+    if (activeTool === "window") {
+      // drawn over a polyline wall → a window opening in it, as wide as the rect runs along the wall
+      const host = nearestWall(wallLines, { x: L + w/2, y: T + h/2 }, hostTolerance());
+      if (host) {
+        const offs = [[L,T],[R,T],[R,B],[L,B]].map(([x, y]) => projectOntoWall(host.wall, { x, y }).offset);
+        const widthPx = Math.max(4, Math.max(...offs) - Math.min(...offs));
+        const o = { id: newOpeningId("window"), kind:"window", wallId: host.wall.id, offset: (Math.max(...offs) + Math.min(...offs)) / 2, widthCm: calib ? widthPx / calib.pxPerCm : widthPx };
+        snapshot({ openings: [...openings, o] }); setWindowPrompt({ id:o.id, value:"", error:"" });
+      } else { snapshot({ windows: [...windows, rect] }); setWindowPrompt({ id:rect.id, value:"", error:"" }); }
+    }
     if (activeTool === "floor")  snapshot({ floors:  [...floors, rect] });
     setDraft(null);
     drawingRef.current = false;
@@ -274,22 +691,105 @@ export default function ImageCanvasApp() {
       setIsPanning(true); // NEW: hide handle
       return;
     }
+    // no drawing tool: drag a marquee over empty canvas (Shift adds to the selection)
+    if (!(activeTool && selecting) && e.button === 0 && !e.target.closest?.('button, [role="button"]')) {
+      const pt = screenToWorld(e.clientX, e.clientY);
+      setMarquee({ start: pt, end: pt, add: e.shiftKey });
+      e.currentTarget?.setPointerCapture?.(e.pointerId);
+      return;
+    }
     handleDrawPointerDown(e); // NEW: start draft on simple left-click when in selecting mode
   };
 
-  const onRectPointerDown = (e, kind, id) => {
-    if (e.button !== 0) return;
+  /* ============ selection: click / Shift-click, drag moves the whole selection ============ */
+  const layers = () => ({ walls, windows, floors, items, wallLines, dims, openings, symbols, calib });
+  // shapes on hidden or locked layers cannot be selected
+  const shapeEditable = (kind, s) => layerEditable(layerStack, layerOfShape(layerStack, kind, s));
+  const liveSelection = pruneSelection(layers(), selection).filter(s => shapeEditable(s.kind, selectedShape(layers(), s)));
+  const onShapePointerDown = (e, kind, id) => {
     e.stopPropagation();
-    drawingRef.current = false; // NEW: avoid committing draft if we clicked an existing rect
-    const pt = screenToWorld(e.clientX, e.clientY);
-    const list = kind==="wall" ? walls : kind==="window" ? windows : floors;
-    const r = list.find(x => x.id === id); if (!r) return;
-    draggingRectRef.current = { kind, id, dx: pt.x - r.x, dy: pt.y - r.y, start: list };
+    drawingRef.current = false; // NEW: avoid committing draft if we clicked an existing shape
+    if (e.shiftKey) { setSelection(sel => toggleSelected(sel, kind, id)); return; }
+    const hit = isSelected(liveSelection, kind, id);
+    const sel = hit ? liveSelection : [{ kind, id }];
+    setSelection(sel);
+    const pt = screenToWorld(e.clientX, e.clientY), start = layers();
+    groupDragRef.current = { sel, start, box: selectionBox(start, sel), ends: selectionEnds(wallLines, sel), sx: pt.x, sy: pt.y, hit: hit ? { kind, id } : null, moved:false };
     e.currentTarget?.setPointerCapture?.(e.pointerId);
   };
+  const onRectPointerDown = (e, kind, id) => {
+    if (e.button !== 0 || isLineTool()) return;
+    onShapePointerDown(e, kind, id);
+  };
+  const deleteSelection = () => {
+    if (!liveSelection.length) return;
+    snapshot(removeSelection(layers(), liveSelection));
+    setSelection([]);
+  };
+  const duplicateSelected = () => {
+    if (!liveSelection.length) return;
+    const { patch, sel } = duplicateSelection(layers(), liveSelection, DUPLICATE_OFFSET, DUPLICATE_OFFSET, newShapeId);
+    snapshot(patch);
+    setSelection(sel);
+  };
+  const isTyping = (t) => t?.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(t?.tagName || "");
+  useEffect(() => {
+    const onKey = (e) => {
+      if (isTyping(e.target) || view3d) return;
+      if (e.key === "Delete" || e.key === "Backspace") { if (liveSelection.length) { e.preventDefault(); deleteSelection(); } }
+      if (e.key === "Escape") setSelection([]);
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === "d") { e.preventDefault(); duplicateSelected(); }
+      if (!e.ctrlKey && !e.metaKey && !e.altKey && e.key.toLowerCase() === "r" && liveSelection.some(s => ROTATABLE_KINDS.includes(s.kind))) {
+        snapshot(rotateSelection(layers(), liveSelection, e.shiftKey ? -ROTATE_STEP : ROTATE_STEP));
+      }
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  });
+
+  /* ============ clipboard: Ctrl+C / X / V through the system clipboard (see clipboard.js) ============ */
+  const lastPointerRef = useRef(null); // last client position over the canvas, pastes land there
+  const pasteAt = () => {
+    const p = lastPointerRef.current;
+    if (p) return screenToWorld(p.x, p.y);
+    const { left, top, cw, ch } = getRefFrame();
+    return screenToWorld(left + cw/2, top + ch/2);
+  };
+  const pasteShapes = (clip) => {
+    const { add, sel } = placeClip(clip, pasteAt(), calib, newShapeId);
+    if (!sel.length) return;
+    const L = layers(), patch = {};
+    for (const [k, list] of Object.entries(add)) if (list.length) patch[k] = [...L[k], ...list];
+    // bring along the custom symbols of pasted items this document does not have yet
+    const missing = clip.symbols.map(cleanSymbol).filter(s => s && !symbols.some(x => x.id === s.id));
+    if (missing.length) patch.symbols = [...symbols, ...missing];
+    snapshot(patch);
+    setSelection(sel);
+  };
+  useEffect(() => {
+    const onCopy = (e) => {
+      if (isTyping(e.target) || !liveSelection.length || !e.clipboardData) return;
+      const text = JSON.stringify(copySelection(layers(), liveSelection, calib));
+      e.clipboardData.setData(CLIPBOARD_MIME, text);
+      e.clipboardData.setData("text/plain", text);
+      e.preventDefault();
+      if (e.type === "cut") deleteSelection();
+    };
+    const onPaste = (e) => {
+      const dt = e.clipboardData;
+      if (isTyping(e.target) || !dt) return;
+      const clip = parseClip(dt.getData(CLIPBOARD_MIME)) || parseClip(dt.getData("text/plain"));
+      if (clip) { e.preventDefault(); pasteShapes(clip); return; }
+      // a pasted image (screenshot, copied plan) becomes the background
+      const img = [...(dt.files || [])].find(f => f.type?.startsWith("image/"));
+      if (img) { e.preventDefault(); onFile(img); }
+    };
+    document.addEventListener("copy", onCopy); document.addEventListener("cut", onCopy); document.addEventListener("paste", onPaste);
+    return () => { document.removeEventListener("copy", onCopy); document.removeEventListener("cut", onCopy); document.removeEventListener("paste", onPaste); };
+  });
 
   const onRectHandlePointerDown = (e, kind, id, handle) => {
-    if (!selecting) return;
+    if (!selecting || isLineTool()) return;
     e.stopPropagation();
     drawingRef.current = false; // NEW
     const list = kind==="wall" ? walls : kind==="window" ? windows : floors;
@@ -298,44 +798,174 @@ export default function ImageCanvasApp() {
     e.currentTarget?.setPointerCapture?.(e.pointerId);
   };
 
-  const onItemPointerDown = (e, id) => {
+  // polygon vertices: drag to move, "+" midpoints insert, double-click deletes (min. 3 remain)
+  const onVertexPointerDown = (e, id, index, insert = false) => {
     if (e.button !== 0) return;
     e.stopPropagation();
-    drawingRef.current = false; // NEW
-    const pt = screenToWorld(e.clientX, e.clientY);
-    const it = items.find(x=>x.id===id); if (!it) return;
-    draggingItemRef.current = { id, dx: pt.x - it.x, dy: pt.y - it.y };
+    drawingRef.current = false;
+    if (insert) {
+      const pt = screenToWorld(e.clientX, e.clientY);
+      setFloors(prev => prev.map(f => f.id===id ? { ...f, points: [...f.points.slice(0, index), pt, ...f.points.slice(index)] } : f));
+    }
+    vertexDragRef.current = { id, index };
+    e.currentTarget?.setPointerCapture?.(e.pointerId);
+  };
+  const deleteVertex = (id, index) => {
+    const f = floors.find(x => x.id === id);
+    if (!f?.points || f.points.length <= 3) return;
+    snapshot({ floors: floors.map(x => x.id===id ? { ...x, points: x.points.filter((_, i) => i !== index) } : x) });
+  };
+
+  // wall segments select/move like other shapes (their joints stay connected); node drag moves one joint
+  const onWallLinePointerDown = (e, id) => {
+    if (e.button !== 0 || isLineTool() || (activeTool === "wallLine" && selecting)) return;
+    onShapePointerDown(e, "wallLine", id);
+  };
+  const onWallNodePointerDown = (e, node) => {
+    if (e.button !== 0 || (activeTool === "wallLine" && selecting)) return;
+    e.stopPropagation();
+    drawingRef.current = false;
+    wallDragRef.current = { ends: endpointsAt(wallLines, node), start: wallLines, sx: node.x, sy: node.y };
     e.currentTarget?.setPointerCapture?.(e.pointerId);
   };
+  const removeWallLine = (id) => snapshot({ wallLines: wallLines.filter(w => w.id !== id), openings: openings.filter(o => o.wallId !== id) });
+
+  /* ============ openings (windows/doors in polyline walls) ============ */
+  // how far from a wall centre line a window/door still snaps into it
+  const hostTolerance = () => Math.max(12 / world.scale, ...wallLines.map(w => wallThicknessPx(w, calib)));
+  const onOpeningPointerDown = (e, id) => {
+    if (e.button !== 0 || isLineTool() || (activeTool === "wallLine" && selecting)) return;
+    e.stopPropagation();
+    drawingRef.current = false;
+    openingDragRef.current = { id };
+    e.currentTarget?.setPointerCapture?.(e.pointerId);
+  };
+  // dragging slides along the host wall, or hops onto another wall the pointer gets close to
+  const dragOpeningTo = (id, pt) => {
+    setOpenings(prev => prev.map(o => {
+      if (o.id !== id) return o;
+      const near = nearestWall(wallLines, pt, hostTolerance());
+      if (near) return { ...o, wallId: near.wall.id, offset: near.offset };
+      const host = wallLines.find(w => w.id === o.wallId);
+      return host ? { ...o, offset: projectOntoWall(host, pt).offset } : o;
+    }));
+  };
+  const openDoorPrompt = (o) => setDoorPrompt({ id: o.id, value: String(o.widthCm), error:"" });
+  const updateDoor = (id, patch) => snapshot({ openings: openings.map(o => o.id===id ? { ...o, ...patch } : o) });
+  const submitDoorWidth = (e) => {
+    e?.preventDefault?.();
+    if (!doorPrompt) return;
+    const val = Number((doorPrompt.value ?? "").toString().trim().replace(",", "."));
+    if (!Number.isFinite(val) || val <= 0) { setDoorPrompt((p)=>({ ...p, error:"Please enter a positive width (cm)." })); return; }
+    updateDoor(doorPrompt.id, { widthCm: val });
+    setDoorPrompt(null);
+  };
+
+  const onItemPointerDown = (e, id) => {
+    if (e.button !== 0 || isLineTool()) return;
+    onShapePointerDown(e, "item", id);
+  };
 
   const onItemResizePointerDown = (e, id) => {
     if (e.button !== 0) return;
     e.stopPropagation();
     drawingRef.current = false; // NEW
     const it = items.find((x) => x.id === id); if (!it) return;
-    itemResizeRef.current = { id, start: Math.max(16, it.size || 48), sx: e.clientX, sy: e.clientY };
+    itemResizeRef.current = { id, start: { w: it.w, d: it.d, rot: it.rot || 0 }, sx: e.clientX, sy: e.clientY };
+    e.currentTarget?.setPointerCapture?.(e.pointerId);
+  };
+
+  // rotation handle: the angle follows the pointer around the shape centre, Shift snaps to ROTATE_STEP
+  const setRotatable = { wall: setWalls, window: setWindows, floor: setFloors, item: setItems };
+  const onRotatePointerDown = (e, kind, r) => {
+    if (e.button !== 0) return;
+    e.stopPropagation();
+    drawingRef.current = false;
+    rotateRef.current = { kind, id: r.id, c: rectCenter(r) };
     e.currentTarget?.setPointerCapture?.(e.pointerId);
   };
 
   /* ============ pointer move/up ============ */
   const MIN_SIDE = 4;
+  const MIN_ITEM_CM = 5;
   const onCanvasPointerMove = (e) => {
+    lastPointerRef.current = { x: e.clientX, y: e.clientY };
     // live draft while drawing (NEW)
     if (drawingRef.current && draft) {
-      const pt = screenToWorld(e.clientX, e.clientY);
+      const pt = snapAt(screenToWorld(e.clientX, e.clientY), e, { anchor: LINE_TOOLS.has(activeTool) ? draft.start : null });
       setDraft((d) => d ? ({ ...d, end: { x: pt.x, y: pt.y } }) : d);
       return;
     }
+    if ((activeTool === "floorPoly" || activeTool === "wallLine") && selecting && polyDraft) {
+      const pt = snapAt(screenToWorld(e.clientX, e.clientY), e, { anchor: drawAnchor(), outlines: activeTool !== "wallLine" });
+      setPolyDraft((d) => d ? ({ ...d, hover: pt }) : d);
+    }
+    // opening drag (slides along walls)
+    if (openingDragRef.current.id) {
+      dragOpeningTo(openingDragRef.current.id, screenToWorld(e.clientX, e.clientY));
+      return;
+    }
+    // wall joint drag
+    const wd = wallDragRef.current;
+    if (wd.ends) {
+      const moving = new Set(wd.ends.map(x => x.id));
+      const pt = snapAt(screenToWorld(e.clientX, e.clientY), e, { skip: (k, id) => k === "wallLine" && moving.has(id), outlines: false });
+      setWallLines(moveEndpoints(wd.start, wd.ends, pt.x - wd.sx, pt.y - wd.sy));
+      return;
+    }
+    // group move: the selection's bounding box snaps, every selected shape follows
+    const gd = groupDragRef.current;
+    if (gd.sel) {
+      const pt = screenToWorld(e.clientX, e.clientY);
+      if (!gd.moved && Math.hypot(pt.x - gd.sx, pt.y - gd.sy) * world.scale < 2) return;
+      gd.moved = true;
+      const keys = new Set([...gd.sel.map(selKey), ...gd.ends.map(x => selKey({ kind:"wallLine", id:x.id }))]);
+      const box = { ...gd.box, x: gd.box.x + pt.x - gd.sx, y: gd.box.y + pt.y - gd.sy };
+      const to = snapMove(box, e, (k, id) => keys.has(selKey({ kind:k, id })));
+      const dx = to.x - gd.box.x, dy = to.y - gd.box.y;
+      applyLive(translateSelection(gd.start, gd.sel, dx, dy, gd.ends));
+      return;
+    }
+    // marquee
+    if (marquee) {
+      const pt = screenToWorld(e.clientX, e.clientY);
+      setMarquee(m => m ? ({ ...m, end: pt }) : m);
+      return;
+    }
+    // background crop handle (in the image's own turned frame)
+    const cd = cropDragRef.current;
+    if (cd.handle) {
+      const crop = dragCrop(bgBox, bgAdjust, cd.handle, screenToWorld(e.clientX, e.clientY));
+      applyLive({ bgAdjust: cleanBgAdjust({ ...adjustOf(bgAdjust), crop }) });
+      return;
+    }
+    // polygon vertex drag
+    const vd = vertexDragRef.current;
+    if (vd.id) {
+      const pt = snapAt(screenToWorld(e.clientX, e.clientY), e, { skip: (k, id) => k === "floor" && id === vd.id });
+      setFloors(prev => prev.map(f => f.id===vd.id ? { ...f, points: f.points.map((p, i) => i===vd.index ? pt : p) } : f));
+      return;
+    }
     // pan
     if (panDragRef.current.active) {
       setPan({ x: panDragRef.current.ox + (e.clientX - panDragRef.current.sx), y: panDragRef.current.oy + (e.clientY - panDragRef.current.sy) });
       return;
     }
-    // rectangle resize
+    // rotation
+    const ro = rotateRef.current;
+    if (ro.id) {
+      const pt = screenToWorld(e.clientX, e.clientY);
+      let rot = Math.atan2(pt.y - ro.c.y, pt.x - ro.c.x) * 180 / Math.PI + 90; // handle sits above the centre
+      if (e.shiftKey) rot = Math.round(rot / ROTATE_STEP) * ROTATE_STEP;
+      rot = normDeg(rot);
+      setRotatable[ro.kind](prev => prev.map(r => r.id===ro.id ? merge(r, { rot }) : r));
+      return;
+    }
+    // rectangle resize (in the rect's own rotated frame; the opposite side stays put)
     const rr = rectResizeRef.current;
     if (rr.id) {
-      const pt = screenToWorld(e.clientX, e.clientY);
-      const s = rr.start;
+      const s = rr.start, c0 = rectCenter(s);
+      const pt = rotatePoint(snapAt(screenToWorld(e.clientX, e.clientY), e, { skip: (k, id) => k === rr.kind && id === rr.id }), c0, -(s.rot || 0));
       let L = s.x, T = s.y, R = s.x + s.w, B = s.y + s.h;
       const apply = {
         nw: ()=>{ L = pt.x; T = pt.y; },
@@ -351,42 +981,27 @@ export default function ImageCanvasApp() {
       let nx = Math.min(L, R), ny = Math.min(T, B);
       let nw = Math.max(MIN_SIDE, Math.abs(R - L));
       let nh = Math.max(MIN_SIDE, Math.abs(B - T));
+      if (s.rot) { const c = rotatePoint({ x: nx + nw/2, y: ny + nh/2 }, c0, s.rot); nx = c.x - nw/2; ny = c.y - nh/2; }
       const upd = { x:nx, y:ny, w:nw, h:nh };
       if (rr.kind === "wall")   setWalls   (prev => prev.map(r => r.id===rr.id ? merge(r, upd) : r));
       if (rr.kind === "window") setWindows (prev => prev.map(r => r.id===rr.id ? merge(r, upd) : r));
       if (rr.kind === "floor")  setFloors  (prev => prev.map(r => r.id===rr.id ? merge(r, upd) : r));
       return;
     }
-    // rectangle drag
-    const dr = draggingRectRef.current;
-    if (dr.id) {
-      const pt = screenToWorld(e.clientX, e.clientY);
-      const nx = pt.x - dr.dx, ny = pt.y - dr.dy;
-      if (dr.kind === "wall")   setWalls   (prev => prev.map(r => r.id===dr.id ? merge(r, { x:nx, y:ny }) : r));
-      if (dr.kind === "window") setWindows (prev => prev.map(r => r.id===dr.id ? merge(r, { x:nx, y:ny }) : r));
-      if (dr.kind === "floor")  setFloors  (prev => prev.map(r => r.id===dr.id ? merge(r, { x:nx, y:ny }) : r));
-      return;
-    }
     // item resize
     const ir = itemResizeRef.current;
     if (ir.id) {
-      const dx = e.clientX - ir.sx, dy = e.clientY - ir.sy;
-      const d = Math.max(dx, dy);
-      const size = Math.max(16, Math.min(256, Math.round(num(ir.start || 48) + d)));
-      setItems((p) => p.map((x) => (x.id === ir.id ? merge(x, { size }) : x)));
-      return;
-    }
-    // item drag
-    const di = draggingItemRef.current;
-    if (di.id) {
-      const pt = screenToWorld(e.clientX, e.clientY);
-      const nx = pt.x - di.dx, ny = pt.y - di.dy;
-      setItems(prev => prev.map(it => it.id===di.id ? merge(it, { x:nx, y:ny }) : it));
+      // pointer travel in the item's own (rotated) frame, screen px -> cm
+      const s = ir.start, k = 1 / (world.scale * (calib?.pxPerCm > 0 ? calib.pxPerCm : 1));
+      const t = rotatePoint({ x: e.clientX - ir.sx, y: e.clientY - ir.sy }, { x:0, y:0 }, -s.rot);
+      const upd = { w: Math.max(MIN_ITEM_CM, Math.round(s.w + t.x * k)), d: Math.max(MIN_ITEM_CM, Math.round(s.d + t.y * k)) };
+      setItems((p) => p.map((x) => (x.id === ir.id ? merge(x, upd) : x)));
       return;
     }
   };
 
   const onCanvasPointerUp = () => {
+    if (guides.length) setGuides([]);
     // end draft (commit) – NEW
     if (drawingRef.current) {
       commitDraftIfAny();
@@ -396,15 +1011,47 @@ export default function ImageCanvasApp() {
       panDragRef.current.active = false;
       setIsPanning(false); // NEW: show handle back
     }
+    if (vertexDragRef.current.id) {
+      vertexDragRef.current = { id:null, index:-1 };
+      snapshot({ floors:[...floors] });
+    }
+    if (cropDragRef.current.handle) {
+      cropDragRef.current = { handle:null };
+      commitLive();
+    }
+    if (openingDragRef.current.id) {
+      openingDragRef.current = { id:null };
+      snapshot({ openings:[...openings] });
+    }
+    if (wallDragRef.current.ends) {
+      wallDragRef.current = { ends:null, start:null, sx:0, sy:0 };
+      snapshot({ wallLines:[...wallLines] });
+    }
+    // a group move is one history entry; a plain click on a selected shape selects just that one
+    const gd = groupDragRef.current;
+    if (gd.sel) {
+      groupDragRef.current = { sel:null, start:null, box:null, ends:null, sx:0, sy:0, hit:null, moved:false };
+      if (gd.moved) snapshot({ walls:[...walls], windows:[...windows], floors:[...floors], items:[...items], wallLines:[...wallLines], dims:[...dims] });
+      else if (gd.hit) setSelection([gd.hit]);
+    }
+    if (marquee) {
+      const { start:a, end:b, add } = marquee;
+      setMarquee(null);
+      const rect = { x: Math.min(a.x, b.x), y: Math.min(a.y, b.y), w: Math.abs(b.x - a.x), h: Math.abs(b.y - a.y) };
+      // a click on empty canvas clears the selection
+      const picked = Math.max(rect.w, rect.h) * world.scale < 3 ? [] : shapesInRect(layers(), rect).filter(p => shapeEditable(p.kind, selectedShape(layers(), p)));
+      setSelection(sel => add ? [...sel, ...picked.filter(p => !isSelected(sel, p.kind, p.id))] : picked);
+    }
+    if (rotateRef.current.id) {
+      const key = LAYER_OF[rotateRef.current.kind];
+      rotateRef.current = { kind:null, id:null, c:null };
+      snapshot({ [key]: [...layers()[key]] });
+    }
     // items / rects snapshots
     if (itemResizeRef.current.id) {
       itemResizeRef.current = { id:null, start:0, sx:0, sy:0 };
       snapshot({ items:[...items] });
     }
-    if (draggingItemRef.current.id) {
-      draggingItemRef.current = { id:null, dx:0, dy:0 };
-      snapshot({ items:[...items] });
-    }
     if (rectResizeRef.current.id) {
       const k = rectResizeRef.current.kind;
       rectResizeRef.current = { kind:null, id:null, handle:null, start:null, startList:null };
@@ -412,14 +1059,6 @@ export default function ImageCanvasApp() {
       if (k==="window") snapshot({ windows:[...windows] });
       if (k==="floor") snapshot({ floors:[...floors] });
     }
-    if (draggingRectRef.current.id) {
-      const k = draggingRectRef.current.kind;
-      const list = k==="wall"?walls: k==="window"?windows: floors;
-      draggingRectRef.current = { kind:null, id:null, dx:0, dy:0, start:null };
-      if (k==="wall") snapshot({ walls:[...list] });
-      if (k==="window") snapshot({ windows:[...list] });
-      if (k==="floor") snapshot({ floors:[...list] });
-    }
   };
 
   /* ============ zoom ============ */
@@ -463,27 +1102,147 @@ export default function ImageCanvasApp() {
     const raw = (windowPrompt.value ?? "").toString().trim().replace(",", ".");
     const val = Number(raw);
     if (!Number.isFinite(val) || val < 0) { setWindowPrompt((p)=>({...p, error:"Please enter a non-negative number (cm)."})); return; }
-    setWindows(prev => prev.map(w => w.id===windowPrompt.id ? { ...w, heightCm: val } : w));
-    snapshot({ windows:[...windows.map(w => w.id===windowPrompt.id ? { ...w, heightCm: val } : w)] });
+    if (openings.some(o => o.id===windowPrompt.id)) {
+      snapshot({ openings: openings.map(o => o.id===windowPrompt.id ? { ...o, heightCm: val } : o) });
+    } else {
+      setWindows(prev => prev.map(w => w.id===windowPrompt.id ? { ...w, heightCm: val } : w));
+      snapshot({ windows:[...windows.map(w => w.id===windowPrompt.id ? { ...w, heightCm: val } : w)] });
+    }
     setWindowPrompt(null);
   };
   const openWindowPrompt = (id, v) => setWindowPrompt({ id, value: (Number.isFinite(v)?String(v):""), error:"" });
   const onChangeWindowHeight = (e) => setWindowPrompt(p => p ? ({ ...p, value: e.target.value, error:"" }) : p);
 
+  /* ============ floor areas ============ */
+  const floorMetrics = (f) => {
+    const pts = shapePoints(f);
+    return { area: polygonArea(pts), perimeter: polygonPerimeter(pts) };
+  };
+  const floorName = (f, i) => f.name || `Floor ${i + 1}`;
+  const submitFloorName = (e) => {
+    e?.preventDefault?.();
+    if (!floorPrompt) return;
+    const name = (floorPrompt.value ?? "").toString().trim();
+    snapshot({ floors: floors.map(f => f.id===floorPrompt.id ? { ...f, name: name || undefined } : f) });
+    setFloorPrompt(null);
+  };
+  const openFloorPrompt = (id, v) => setFloorPrompt({ id, value: v || "" });
+
+  /* ============ scale calibration prompt ============ */
+  const submitCalibration = (e) => {
+    e?.preventDefault?.();
+    if (!calibPrompt) return;
+    const val = Number((calibPrompt.value ?? "").toString().trim().replace(",", "."));
+    const next = Number.isFinite(val) && val > 0 ? makeCalibration(calibPrompt.a, calibPrompt.b, val, calibPrompt.unit) : null;
+    if (!next) { setCalibPrompt((p)=>({ ...p, error:"Please enter a positive length." })); return; }
+    snapshot({ calib: next });
+    setCalibPrompt(null); setActiveTool(null); setSelecting(false);
+  };
+  const removeCalibration = () => { snapshot({ calib: null }); setCalibPrompt(null); setActiveTool(null); setSelecting(false); };
+
+  /* ============ custom SVG symbols (see svg-symbols.js) ============ */
+  const isSvgFile = (f) => f?.type === "image/svg+xml" || /\.svg$/i.test(f?.name || "");
+  async function importSymbolFile(file) {
+    if (!file) return;
+    try {
+      const { svg, viewBox } = sanitizeSvg(await file.text());
+      const aspect = viewBox.h / viewBox.w;
+      setSymbolPrompt({ svg, aspect, label: file.name.replace(/\.svg$/i, ""), w: "100", d: String(Math.round(100 * aspect)), dTouched: false, error: "" });
+    } catch (err) {
+      console.error("importSymbolFile failed", err);
+      alert(`Could not import the symbol: ${err.message}`);
+    }
+  }
+  const onSymbolInputChange = (e) => { const f = e?.target?.files?.[0]; if (f) importSymbolFile(f); try { e.target.value = ""; } catch { /* read-only in some browsers */ } };
+  const submitSymbol = (e) => {
+    e?.preventDefault?.();
+    if (!symbolPrompt) return;
+    const num = (v) => Number(String(v ?? "").trim().replace(",", "."));
+    const label = symbolPrompt.label.trim(), w = num(symbolPrompt.w), d = num(symbolPrompt.d);
+    if (!label) { setSymbolPrompt(p => ({ ...p, error: "Please enter a name." })); return; }
+    if (!(w > 0) || !(d > 0)) { setSymbolPrompt(p => ({ ...p, error: "Please enter a positive width and depth." })); return; }
+    snapshot({ symbols: [...symbols, { id: newSymbolId(), label, w, d, svg: symbolPrompt.svg }] });
+    setSymbolPrompt(null);
+    setOpenCats(v => v.includes("custom") ? v : [...v, "custom"]);
+  };
+  // only symbols no item uses can go (undo brings them back)
+  // symbols are project-wide: one still placed on any level stays
+  const symbolInUse = (id) => [...items, ...levels.filter(l => l.id !== activeLevel).flatMap(l => levelState(l)?.items || [])].some(it => it.type === id);
+  const removeSymbol = (id) => { if (!symbolInUse(id)) snapshot({ symbols: symbols.filter(s => s.id !== id) }); };
+  const customCategory = { key: "custom", label: "My symbols", items: symbols.map(s => ({ type: s.id, label: s.label, w: s.w, d: s.d, custom: s })) };
+
+  const dimLabel = (d) => (calib ? formatPx(dist(d.a, d.b), calib) : `${Math.round(dist(d.a, d.b))} px`);
+
+  /* ============ background adjustments (see background-adjust.js) ============ */
+  const bgAdj = adjustOf(bgAdjust);
+  // sliders and typing apply live and land in history once, when let go (commitLive); buttons are one step each
+  const adjustBg = (patch, live = false) => {
+    const next = cleanBgAdjust({ ...bgAdj, ...patch });
+    if (live) applyLive({ bgAdjust: next }); else snapshot({ bgAdjust: next });
+  };
+  const onCropPointerDown = (e, handle) => {
+    if (e.button !== 0) return;
+    e.stopPropagation();
+    drawingRef.current = false;
+    cropDragRef.current = { handle };
+    e.currentTarget?.setPointerCapture?.(e.pointerId);
+  };
+
+  /* ============ layers panel (see layer-stack.js) ============ */
+  const LAYER_DRAG_MIME = "application/x-atlas-layer";
+  // dimension lines go into the chosen annotation layer, else (or once it is gone) into "dims"
+  const dimTarget = layerStack.some(l => l.id === dimLayer && l.annotation) ? dimLayer : "dims";
+  const updateLayer = (id, patch) => snapshot({ layerStack: layerStack.map(l => l.id === id ? { ...l, ...patch } : l) });
+  // the opacity slider updates live and lands in history once, when it is let go
+  const slideOpacity = (id, opacity) => applyLive({ layerStack: layerStack.map(l => l.id === id ? { ...l, opacity } : l) });
+  const addAnnotationLayer = () => {
+    const l = newAnnotationLayer(`Annotations ${layerStack.filter(x => x.annotation).length + 1}`);
+    snapshot({ layerStack: [...layerStack, l] });
+    setDimLayer(l.id); setLayerRename({ id: l.id, value: l.name });
+  };
+  // an annotation layer's dimension lines move to "dims" rather than vanish with it
+  const removeLayer = (id) => {
+    if (isBuiltinLayer(id)) return;
+    snapshot({ layerStack: layerStack.filter(l => l.id !== id), dims: dims.map(({ layer, ...d }) => (layer && layer !== id ? { ...d, layer } : d)) });
+  };
+  const submitLayerRename = () => {
+    const r = layerRename; setLayerRename(null);
+    const name = r?.value.trim(), l = layerStack.find(x => x.id === r?.id);
+    if (l && name && name !== l.name) updateLayer(l.id, { name });
+  };
+  const onLayerDragStart = (e, i) => {
+    e.dataTransfer.setData(LAYER_DRAG_MIME, String(i)); e.dataTransfer.effectAllowed = "move";
+    try { e.dataTransfer.setDragImage(e.currentTarget.parentElement, 12, 12); } catch { /* keep the default drag image */ }
+  };
+  const onLayerDragOver = (e) => { if (e.dataTransfer.types.includes(LAYER_DRAG_MIME)) { e.preventDefault(); e.dataTransfer.dropEffect = "move"; } };
+  const onLayerDrop = (e, to) => {
+    const from = Number(e.dataTransfer.getData(LAYER_DRAG_MIME));
+    if (!Number.isInteger(from)) return;
+    e.preventDefault();
+    if (from !== to) snapshot({ layerStack: moveLayer(layerStack, from, to) });
+  };
+
+  /* ============ inspector (see inspector.js) ============ */
+  const inspected = liveSelection.length === 1 ? liveSelection[0] : null;
+  // text of the field being typed in { key, value }, so "1." or "" survive until it is valid
+  const [fieldDraft, setFieldDraft] = useState(null);
+  const editField = (key, value) => { setFieldDraft({ key, value }); if (inspected) applyLive(applyField(layers(), inspected, key, value)); };
+  const endFieldEdit = () => { setFieldDraft(null); commitLive(); };
+  const defaultColor = (kind) => (kind === "item" ? "#333333" : kind === "dim" ? DIM_COLOR : colorFor(kind === "wallLine" ? "wall" : kind));
+
+  const removeDim = (id) => snapshot({ dims: dims.filter(d => d.id !== id) });
+  const sizeLabel = (w, h) => (calib ? `${formatPx(w, calib)} × ${formatPx(h, calib)}` : undefined);
+
   /* ============ undo/redo ============ */
   const undo = () => {
     if (!canUndo) return;
     const i = hIndex - 1; setHIndex(i);
-    const s = history[i];
-    setItems(s.items); setWalls(s.walls); setWindows(s.windows); setFloors(s.floors);
-    setBgUrl(s.bgUrl); setWorld(s.world); setPan(s.pan); setBgImg(s.bgImg);
+    restore(history[i]);
   };
   const redo = () => {
     if (!canRedo) return;
     const i = hIndex + 1; setHIndex(i);
-    const s = history[i];
-    setItems(s.items); setWalls(s.walls); setWindows(s.windows); setFloors(s.floors);
-    setBgUrl(s.bgUrl); setWorld(s.world); setPan(s.pan); setBgImg(s.bgImg);
+    restore(history[i]);
   };
 
   /* ============ export ============ */
@@ -492,8 +1251,10 @@ export default function ImageCanvasApp() {
       const f = getRefFrame();
       if (!bgImg.w || !bgImg.h) { alert("No background image loaded."); return; }
 
-      const imgDispW = bgImg.w * world.scale;
-      const imgDispH = bgImg.h * world.scale;
+      // the image covers the background as shown: cropped, turned (see background-adjust.js)
+      const box = bgBounds(bgBox, bgAdjust);
+      const imgDispW = box.w * world.scale;
+      const imgDispH = box.h * world.scale;
       const outW = Math.max(1, Math.round(imgDispW));
       const outH = Math.max(1, Math.round(imgDispH));
 
@@ -504,47 +1265,119 @@ export default function ImageCanvasApp() {
       const ctx = canvas.getContext("2d"); if (!ctx) return;
       ctx.scale(dpr, dpr);
 
-      const offX = (world.w - bgImg.w) / 2, offY = (world.h - bgImg.h) / 2;
-
-      // draw bg
-      if (bgUrl) {
-        await new Promise((resolve) => {
-          const img = new Image();
-          img.onload = () => { ctx.drawImage(img, 0, 0, outW, outH); resolve(); };
-          img.onerror = resolve; img.src = bgUrl;
-        });
-      } else {
-        ctx.fillStyle = "#faf9f5"; ctx.fillRect(0, 0, outW, outH);
-      }
+      const offX = box.x, offY = box.y;
 
       const toShot = (wx, wy) => ({ sx: (wx - offX) * world.scale, sy: (wy - offY) * world.scale });
 
       const drawRects = (list, color) => {
-        ctx.save(); ctx.globalAlpha = 0.35; ctx.fillStyle = color; ctx.strokeStyle = color;
+        ctx.save(); ctx.globalAlpha *= 0.35;
         for (const r of list) {
+          ctx.fillStyle = ctx.strokeStyle = r.color || color;
+          const pts = r.points || (r.rot ? rectCorners(r) : null); // polygons and rotated rects
+          if (pts) {
+            ctx.beginPath();
+            pts.forEach((p, i) => { const q = toShot(p.x, p.y); if (i) ctx.lineTo(q.sx, q.sy); else ctx.moveTo(q.sx, q.sy); });
+            ctx.closePath(); ctx.fill(); ctx.stroke();
+            continue;
+          }
           const { sx, sy } = toShot(r.x, r.y);
           const w = r.w * world.scale, h = r.h * world.scale;
           ctx.fillRect(sx, sy, w, h); ctx.strokeRect(sx, sy, w, h);
         }
         ctx.restore();
       };
-      drawRects(floors, "#0a28a0"); drawRects(walls, "#ff4da6"); drawRects(windows, "#00a050");
-
-      // draw items
-      for (const it of items) {
-        const node = document.getElementById(it.id); const svg = node?.querySelector?.("svg"); if (!svg) continue;
-        const { sx, sy } = toShot(it.x, it.y);
-        const sizePx = Math.max(16, Math.min(256, num(it.size || 48))) * world.scale;
-        const cloneSvg = svg.cloneNode(true);
-        const svgStr = new XMLSerializer().serializeToString(cloneSvg);
-        const blob = new Blob([svgStr], { type: "image/svg+xml;charset=utf-8" });
-        const url = URL.createObjectURL(blob);
-        await new Promise((resolve) => {
-          const img = new Image();
-          img.onload = () => { ctx.drawImage(img, sx, sy, sizePx, sizePx); URL.revokeObjectURL(url); resolve(); };
-          img.onerror = () => { URL.revokeObjectURL(url); resolve(); };
-          img.src = url;
-        });
+
+      // openings: clear the wall, then window glazing or door leaf + swing arc
+      const drawOpenings = () => {
+        for (const o of openings) {
+          const host = wallLines.find(w => w.id === o.wallId); if (!host) continue;
+          const f = openingFrame(host, o, calib);
+          const cut = openingCorners(f).map(p => toShot(p.x, p.y));
+          const path = () => { ctx.beginPath(); cut.forEach((q, i) => (i ? ctx.lineTo(q.sx, q.sy) : ctx.moveTo(q.sx, q.sy))); ctx.closePath(); };
+          ctx.save();
+          path(); ctx.fillStyle = "#faf9f5"; ctx.fill();
+          if (o.kind === "window") {
+            ctx.globalAlpha *= 0.35; ctx.fillStyle = ctx.strokeStyle = "#00a050"; path(); ctx.fill(); ctx.stroke();
+          } else {
+            const sw = doorSwing(f, o), h = toShot(sw.hinge.x, sw.hinge.y), op = toShot(sw.open.x, sw.open.y);
+            ctx.strokeStyle = "#333"; ctx.lineWidth = 2;
+            ctx.beginPath(); ctx.moveTo(h.sx, h.sy); ctx.lineTo(op.sx, op.sy); ctx.stroke();
+            const a0 = Math.atan2(sw.open.y - sw.hinge.y, sw.open.x - sw.hinge.x), a1 = Math.atan2(sw.closed.y - sw.hinge.y, sw.closed.x - sw.hinge.x);
+            ctx.lineWidth = 1; ctx.setLineDash([4, 3]);
+            ctx.beginPath(); ctx.arc(h.sx, h.sy, sw.r * world.scale, a0, a1, sw.sweep === 0); ctx.stroke();
+          }
+          ctx.restore();
+        }
+      };
+      const drawDims = (list) => {
+        ctx.save(); ctx.lineWidth = 1.5;
+        ctx.font = "12px Inter, system-ui, Arial, sans-serif"; ctx.textAlign = "center"; ctx.textBaseline = "bottom";
+        for (const d of list) {
+          ctx.strokeStyle = ctx.fillStyle = d.color || DIM_COLOR;
+          const a = toShot(d.a.x, d.a.y), b = toShot(d.b.x, d.b.y);
+          const ang = Math.atan2(b.sy - a.sy, b.sx - a.sx);
+          ctx.beginPath(); ctx.moveTo(a.sx, a.sy); ctx.lineTo(b.sx, b.sy); ctx.stroke();
+          for (const [p, dir] of [[a, ang + Math.PI], [b, ang]]) {
+            ctx.beginPath(); ctx.moveTo(p.sx, p.sy);
+            ctx.lineTo(p.sx - 9 * Math.cos(dir - 0.4), p.sy - 9 * Math.sin(dir - 0.4));
+            ctx.lineTo(p.sx - 9 * Math.cos(dir + 0.4), p.sy - 9 * Math.sin(dir + 0.4));
+            ctx.closePath(); ctx.fill();
+          }
+          ctx.save(); ctx.translate((a.sx + b.sx) / 2, (a.sy + b.sy) / 2);
+          ctx.rotate(Math.abs(ang) > Math.PI / 2 ? ang + Math.PI : ang);
+          ctx.lineWidth = 3; ctx.strokeStyle = "#fff"; ctx.strokeText(dimLabel(d), 0, -3); ctx.fillText(dimLabel(d), 0, -3);
+          ctx.restore();
+        }
+        ctx.restore();
+      };
+      // imported symbols draw from their stored markup, built-in ones from the live DOM svg
+      const drawItems = async () => {
+        for (const it of items) {
+          const custom = entryFor(it.type)?.custom;
+          const svg = custom ? null : document.getElementById(it.id)?.querySelector?.("svg");
+          if (!custom && !svg) continue;
+          const { sx, sy } = toShot(it.x, it.y);
+          const r = itemRect(it, calib), w = r.w * world.scale, h = r.h * world.scale;
+          const url = custom ? svgDataUrl(custom.svg) : URL.createObjectURL(new Blob([new XMLSerializer().serializeToString(svg.cloneNode(true))], { type: "image/svg+xml;charset=utf-8" }));
+          const release = () => { if (!custom) URL.revokeObjectURL(url); };
+          await new Promise((resolve) => {
+            const img = new Image();
+            img.onload = () => {
+              ctx.save(); ctx.translate(sx + w/2, sy + h/2); ctx.rotate((it.rot || 0) * Math.PI / 180);
+              ctx.drawImage(img, -w/2, -h/2, w, h); ctx.restore();
+              release(); resolve();
+            };
+            img.onerror = () => { release(); resolve(); };
+            img.src = url;
+          });
+        }
+      };
+      const drawBackground = () => new Promise((resolve) => {
+        if (!bgUrl) { resolve(); return; }
+        const img = new Image();
+        img.onload = () => {
+          const { sx, sy } = toShot(bgBox.x, bgBox.y);
+          drawAdjusted(ctx, img, { x: sx, y: sy, w: bgBox.w * world.scale, h: bgBox.h * world.scale }, bgAdjust);
+          resolve();
+        };
+        img.onerror = resolve; img.src = bgUrl;
+      });
+      const DRAW = {
+        background: drawBackground,
+        floors: () => drawRects(floors, "#0a28a0"),
+        walls: () => { drawRects(walls, "#ff4da6"); drawRects(wallLines.map(w => ({ points: wallOutline(wallLines, w, calib), color: w.color })), "#ff4da6"); drawOpenings(); },
+        windows: () => drawRects(windows, "#00a050"),
+        items: drawItems,
+      };
+
+      // the layer stack bottom-up: hidden layers are skipped, opacity multiplies in;
+      // "dims" and annotation layers draw their own dimension lines
+      ctx.fillStyle = "#faf9f5"; ctx.fillRect(0, 0, outW, outH);
+      for (const l of layerStack) {
+        if (!l.visible) continue;
+        ctx.save(); ctx.globalAlpha = l.opacity;
+        await (DRAW[l.id] ? DRAW[l.id]() : drawDims(dims.filter(d => layerOfShape(layerStack, "dim", d) === l.id)));
+        ctx.restore();
       }
 
       const a = document.createElement("a");
@@ -556,16 +1389,273 @@ export default function ImageCanvasApp() {
     }
   }
 
+  /* ============ levels ============ */
+  const activeIndex = levels.findIndex(l => l.id === activeLevel);
+  // every level with its committed state; the active one's is the top of the live history
+  const levelStates = () => levels.map(l => ({ ...l, state: l.id === activeLevel ? history[hIndex] : levelState(l) }));
+  const belowLevel = activeIndex > 0 ? levelState(levels[activeIndex - 1]) : null;
+  // drafts, prompts and the selection only make sense on the level they were started on
+  const resetTransient = () => {
+    setDraft(null); setPolyDraft(null); setMarquee(null); setGuides([]); setFieldDraft(null);
+    setWindowPrompt(null); setDoorPrompt(null); setCalibPrompt(null); setFloorPrompt(null); setSymbolPrompt(null); setUnderlayPrompt(null); setSelection([]);
+    drawingRef.current = false;
+  };
+  // make `target` active; `list` is the new level list, the level being left is stashed into it.
+  // The view (pan/zoom) stays put so stacked plans can be compared; symbols are project-wide.
+  const enterLevel = (list, target) => {
+    const hist = target.history.map(h => ({ ...h, symbols }));
+    setLevels(list.map(l => (l.id === activeLevel ? { ...l, history, hIndex } : l.id === target.id ? { ...l, history: null, hIndex: 0 } : l)));
+    setActiveLevel(target.id);
+    restore({ ...hist[target.hIndex], pan, world: { ...hist[target.hIndex].world, scale: world.scale } });
+    setHistory(hist); setHIndex(target.hIndex);
+    setDimLayer("dims"); resetTransient();
+  };
+  const switchLevel = (id) => { const t = levels.find(l => l.id === id); if (t && id !== activeLevel) enterLevel(levels, t); };
+  // a new empty level right above (or below) the active one, with the same view and scale
+  const addLevel = (above) => {
+    const l = makeLevel(nextLevelName(levels), emptyLevelState({ world, pan, calib, layerStack: defaultLayerStack(), symbols }));
+    const at = activeIndex + (above ? 1 : 0);
+    enterLevel([...levels.slice(0, at), l, ...levels.slice(at)], l);
+  };
+  const removeLevel = (id) => {
+    const i = levels.findIndex(l => l.id === id);
+    if (levels.length < 2 || i < 0) return;
+    if (!window.confirm(`Delete "${levels[i].name}" and everything on it? This cannot be undone.`)) return;
+    const rest = levels.filter(l => l.id !== id);
+    if (id === activeLevel) enterLevel(rest, rest[Math.max(0, i - 1)]); else setLevels(rest);
+  };
+  const updateLevel = (id, patch) => setLevels(ls => ls.map(l => (l.id === id ? { ...l, ...patch } : l)));
+  const setLevelHeight = (id, v) => { const n = Number(v); if (n > 0) updateLevel(id, { heightCm: n }); };
+  const submitLevelRename = () => {
+    if (levelRename?.value.trim()) updateLevel(levelRename.id, { name: levelRename.value.trim() });
+    setLevelRename(null);
+  };
+
+  /* ============ 3D preview ============ */
+  // the active level comes from live state, so drags and inspector typing show up straight away;
+  // selected shapes are highlighted
+  const model3d = useMemo(() => {
+    if (!view3d) return null;
+    const live = { items, walls, wallLines, openings, windows, floors, layerStack, calib };
+    const list = levels.map(l => ({ ...l, state: l.id === activeLevel ? live : levelState(l) }));
+    return buildModel(list, { only: only3dLevel ? activeLevel : null, highlight: new Set(selection.map(s => s.id)) });
+  }, [view3d, levels, activeLevel, only3dLevel, items, walls, wallLines, openings, windows, floors, layerStack, calib, selection]);
+  // every level as committed, without images (the model does not use them)
+  const exportModel = () => {
+    try {
+      const doc = toProjectDoc({ levels: levelStates(), activeLevel, symbols }, () => null);
+      downloadBlob(new Blob([exportGlb(doc)], { type: GLB_MIME }), `plan${GLB_EXT}`);
+    } catch (err) {
+      console.error("exportModel failed", err);
+      alert("Could not export the 3D model.");
+    }
+  };
+
+  // built-in symbols from the live DOM svg (like the PNG export), imported ones from their markup
+  const symbolMarkup = (it) => {
+    const custom = entryFor(it.type)?.custom;
+    if (custom) return custom.svg;
+    const svg = document.getElementById(it.id)?.querySelector?.("svg");
+    return svg ? new XMLSerializer().serializeToString(svg) : null;
+  };
+  // the background is embedded as a data URL, or downloaded next to the SVG and linked by name;
+  // an adjusted one goes in as shown, baked into a PNG
+  async function saveSvg() {
+    try {
+      let background = null, linked = null;
+      const blob = !bgFrame() ? null : bgAdjust ? await canvasBlob(await backgroundCanvas(), "image/png") : await urlToBlob(bgUrl);
+      if (blob) {
+        const ext = (blob.type.split("/")[1] || "png").replace("jpeg", "jpg").replace("svg+xml", "svg");
+        if (!embedBg) linked = `plan-background.${ext}`;
+        background = { href: linked || await blobToDataUrl(blob), ...bgFrame() };
+      }
+      downloadText(buildSvg({ ...layers(), layerStack, world }, { colors: COLORS, dimColor: DIM_COLOR, background, symbolMarkup }), `plan${SVG_EXT}`, SVG_MIME);
+      if (linked) downloadBlob(blob, linked);
+    } catch (err) {
+      console.error("saveSvg failed", err);
+      alert("Could not export the SVG.");
+    }
+  }
+
+  // PDF: the plan at a fixed scale with title block (pdf-export.js); the background goes in as JPEG
+  const bgFrame = () => (bgUrl && bgImg.w && bgImg.h ? bgBounds(bgBox, bgAdjust) : null);
+  const pdfBox = (withBg) => printBox(layers(), withBg ? bgFrame() : null);
+  const openPdfPrompt = () => setPdfPrompt({
+    ...pdfInfoRef.current, date: new Date().toLocaleDateString(), paper:"A4", landscape:true, withBg:true,
+    scale: fitScale(pdfBox(true), calib, "A4", true), error:"",
+  });
+  // paper or background changes re-fit the scale
+  const updatePdfPrompt = (patch) => setPdfPrompt(p => {
+    if (!p) return p;
+    const next = { ...p, ...patch, error:"" };
+    return "paper" in patch || "landscape" in patch || "withBg" in patch ? { ...next, scale: fitScale(pdfBox(next.withBg), calib, next.paper, next.landscape) } : next;
+  });
+  // the background as shown (adjustments applied) on a canvas covering bgFrame(), at the
+  // image's own resolution but at most 4000 px a side
+  const backgroundCanvas = (fill = null) => new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => {
+      const box = bgFrame(), k = Math.min(img.width / bgImg.w, 4000 / box.w, 4000 / box.h);
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.max(1, Math.round(box.w * k)); canvas.height = Math.max(1, Math.round(box.h * k));
+      const ctx = canvas.getContext("2d");
+      if (fill) { ctx.fillStyle = fill; ctx.fillRect(0, 0, canvas.width, canvas.height); }
+      drawAdjusted(ctx, img, { x: (bgBox.x - box.x) * k, y: (bgBox.y - box.y) * k, w: bgBox.w * k, h: bgBox.h * k }, bgAdjust);
+      resolve(canvas);
+    };
+    img.onerror = reject; img.src = bgUrl;
+  });
+  const canvasBlob = (canvas, type, quality) => new Promise((resolve, reject) => canvas.toBlob((b) => (b ? resolve(b) : reject(new Error("Image encoding failed"))), type, quality));
+  const backgroundJpeg = async () => {
+    const canvas = await backgroundCanvas("#fff");
+    return { jpeg: new Uint8Array(await (await canvasBlob(canvas, "image/jpeg", 0.9)).arrayBuffer()), pxW: canvas.width, pxH: canvas.height };
+  };
+  async function savePdf(e) {
+    e.preventDefault();
+    const p = pdfPrompt; if (!p) return;
+    if (!calib) { setPdfPrompt({ ...p, error:"Calibrate the plan scale (📐) first: the drawing scale is computed from it." }); return; }
+    try {
+      const frame = p.withBg ? bgFrame() : null;
+      const background = frame ? { ...await backgroundJpeg(), ...frame } : null;
+      const bytes = buildPdf({ ...layers(), layerStack }, {
+        paper: p.paper, landscape: p.landscape, scale: p.scale, colors: COLORS, background,
+        info: { name: p.name.trim(), address: p.address.trim(), date: p.date.trim(), level: levels[activeIndex]?.name },
+        itemLabel: (it) => it.label || entryFor(it.type)?.label || it.type,
+      });
+      downloadBlob(new Blob([bytes], { type: PDF_MIME }), `${p.name.trim() || "plan"}${PDF_EXT}`);
+      pdfInfoRef.current = { name: p.name, address: p.address };
+      setPdfPrompt(null);
+    } catch (err) {
+      console.error("savePdf failed", err);
+      alert("Could not export the PDF.");
+    }
+  }
+
+  // DXF: real millimetres, so it needs the calibration
+  function saveDxf() {
+    if (!calib) { alert("Calibrate the plan scale (📐) first: DXF is written in millimetres."); return; }
+    try {
+      downloadText(buildDxf({ ...layers(), layerStack }, { colors: COLORS, itemLabel: (it) => it.label || entryFor(it.type)?.label || it.type }), `plan${DXF_EXT}`, DXF_MIME);
+    } catch (err) {
+      console.error("saveDxf failed", err);
+      alert("Could not export the DXF.");
+    }
+  }
+
+  /* ============ project file ============ */
+  const projectInputRef = useRef(null);
+  async function saveProject() {
+    try {
+      const doc = await buildProject({ levels: levelStates(), activeLevel, symbols });
+      downloadText(JSON.stringify(doc), `plan${PROJECT_EXT}`);
+    } catch (err) {
+      console.error("saveProject failed", err);
+      alert("Could not save the project.");
+    }
+  }
+  // opening a project starts a fresh history on every level; blobFor(level doc) -> background blob or null
+  const loadDoc = (doc, blobFor) => {
+    if (!doc.levels?.length) throw new Error("Project has no levels.");
+    for (const u of bgUrlsRef.current) { try { URL.revokeObjectURL(u); } catch { /* already revoked */ } }
+    bgUrlsRef.current = new Set();
+    const syms = (doc.symbols || []).map(cleanSymbol).filter(Boolean);
+    const loaded = doc.levels.map((lv) => {
+      const blob = blobFor(lv), url = blob ? URL.createObjectURL(blob) : null, L = lv.layers;
+      if (url) bgUrlsRef.current.add(url);
+      bumpIdCounter(L.items);
+      const s = {
+        items: L.items, walls: L.walls, wallLines: L.wallLines, openings: L.openings, windows: L.windows, floors: L.floors, dims: L.dims,
+        symbols: syms,
+        layerStack: cleanLayerStack(lv.layerStack),
+        bgUrl: url, bgImg: lv.background ? { w: lv.background.w, h: lv.background.h } : { w:0, h:0 }, bgAdjust: cleanBgAdjust(lv.backgroundAdjust), underlay: cleanUnderlay(lv.underlay),
+        world: lv.view.world, pan: lv.view.pan, calib: lv.calibration || null,
+      };
+      return { id: lv.id, name: String(lv.name || "Level"), heightCm: Number(lv.heightCm) > 0 ? Number(lv.heightCm) : DEFAULT_LEVEL_HEIGHT_CM, history: [historyEntry(s)], hIndex: 0 };
+    });
+    const active = loaded.find(l => l.id === doc.activeLevel) || loaded[0];
+    setLevels(loaded.map(l => (l === active ? { ...l, history: null } : l))); setActiveLevel(active.id);
+    restore(active.history[0]);
+    setHistory(active.history); setHIndex(0);
+    setDimLayer("dims"); setLevelRename(null); resetTransient();
+  };
+  async function openProject(file) {
+    if (!file) return;
+    try {
+      const { doc, bgBlobs } = await parseProject(await file.text());
+      loadDoc(doc, (lv) => bgBlobs[lv.id]);
+    } catch (err) {
+      console.error("openProject failed", err);
+      alert(`Could not open the project: ${err.message}`);
+    }
+  }
+  /* ============ autosave / session restore ============ */
+  // autosave stays off until the user has answered the "restore last session" offer,
+  // otherwise the empty start-up document would be checkpointed over the old session
+  const autosaveReadyRef = useRef(false);
+  const savedBgKeysRef = useRef(new Set()); // background object URLs stored as blobs as of the last save (pruned ones drop out)
+  const [recovery, setRecovery] = useState(null); // { list, pick } while the restore offer is shown
+  useEffect(() => {
+    listCheckpoints()
+      .then((list) => { if (list.length) setRecovery({ list, pick: list[0].id }); else autosaveReadyRef.current = true; })
+      .catch(() => { autosaveReadyRef.current = true; });
+  }, []);
+  useEffect(() => {
+    if (!autosaveReadyRef.current) return;
+    const states = levels.map(l => ({ ...l, state: l.id === activeLevel ? history[hIndex] : levelState(l) }));
+    const project = { levels: states, activeLevel, symbols: history[hIndex]?.symbols };
+    if (project.levels.some(l => !l.state)) return;
+    const t = setTimeout(async () => {
+      try {
+        const bgKeys = [...new Set(project.levels.map(l => l.state.bgUrl).filter(Boolean))], bgBlobs = {};
+        for (const k of bgKeys) if (!savedBgKeysRef.current.has(k)) bgBlobs[k] = await urlToBlob(k);
+        const doc = toProjectDoc(project, (l) => (l.state.bgUrl ? { key: l.state.bgUrl, w: l.state.bgImg.w, h: l.state.bgImg.h } : null));
+        savedBgKeysRef.current = new Set(await saveCheckpoint({ doc, bgKeys, bgBlobs }));
+      } catch (err) { console.warn("autosave failed", err); }
+    }, 1000);
+    return () => clearTimeout(t);
+  }, [history, hIndex, levels, activeLevel]);
+  const openRecovery = () => listCheckpoints().then((list) => setRecovery(list.length ? { list, pick: list[0].id } : null)).catch(() => {});
+  async function restoreCheckpoint(id) {
+    try {
+      const cp = await loadCheckpoint(id);
+      if (!cp) throw new Error("Recovery point not found.");
+      loadDoc(migrateProject(cp.doc), (lv) => cp.bgBlobs[lv.background?.key] || null);
+      setRecovery(null); autosaveReadyRef.current = true;
+    } catch (err) {
+      console.error("restoreCheckpoint failed", err);
+      alert(`Could not restore the session: ${err.message}`);
+    }
+  }
+  const dismissRecovery = () => { setRecovery(null); autosaveReadyRef.current = true; };
+
+  const onProjectInputChange = (e) => { const f = e?.target?.files?.[0]; if (f) openProject(f); try { e.target.value = ""; } catch { /* read-only in some browsers */ } };
+  const isProjectFile = (f) => /\.json$/i.test(f?.name || "") || f?.type === "application/json";
+
   /* ============ UI smalls ============ */
   const toggleSelect = () => setSelectOpen(v=>!v);
-  const ActiveLabel = activeTool ? (activeTool==="wall"?"Walls":activeTool==="window"?"Windows":"Floor") : "None";
-  const clearAll = () => snapshot({ items:[], walls:[], windows:[], floors:[] });
+  const ActiveLabel = activeTool ? ({ wall:"Walls", window:"Windows", floor:"Floor", floorPoly:"Floor polygon", wallLine:"Wall lines", measure:"Measure", calibrate:"Calibrate", straighten:"Straighten" }[activeTool] || "None") : "None";
+  const clearAll = () => snapshot({ items:[], walls:[], wallLines:[], openings:[], windows:[], floors:[], dims:[] });
   const removeItem = (id) => snapshot({ items: items.filter(i=>i.id!==id) });
-  const clearBackground = () => { if (lastBgUrlRef.current) { try { URL.revokeObjectURL(lastBgUrlRef.current); } catch {} lastBgUrlRef.current=null; } snapshot({ bgUrl:null, bgImg:{w:0,h:0} }); };
+  const clearBackground = () => snapshot({ bgUrl:null, bgImg:{w:0,h:0}, bgAdjust:null, underlay:null });
 
   /* ======================= render ======================= */
   const { worldLeft, worldTop } = getRefFrame();
 
+  // handles live in the shape's own (rotated) frame, so they turn with it
+  const rotStyle = (rot) => (rot ? { transform:`rotate(${rot}deg)`, transformOrigin:"center" } : null);
+  const rotFrame = (r) => ({ position:"absolute", left:r.x, top:r.y, width:r.w, height:r.h, transform: r.rot ? `rotate(${r.rot}deg)` : undefined, transformOrigin:"center", pointerEvents:"none", zIndex:12 });
+
+  // one layer of the stack: a zero-size box at the world origin (so it never catches the
+  // pointer itself) stacked by its position in layerStack; locked layers are inert
+  const layerIndex = (id) => layerStack.findIndex(l => l.id === id);
+  const layerProps = (id) => {
+    const l = layerStack[layerIndex(id)];
+    return {
+      inert: !!l?.locked,
+      style: { position:"absolute", left:0, top:0, width:0, height:0, overflow:"visible", zIndex: 2 * layerIndex(id) + 1, opacity: l?.opacity ?? 1, display: l && !l.visible ? "none" : undefined },
+    };
+  };
+
   const Handles = ({ kind, r }) => {
     if (!selecting) return null;
     const color = colorFor(kind);
@@ -574,22 +1664,64 @@ export default function ImageCanvasApp() {
         key={pos}
         role="button"
         aria-label={`Resize ${pos}`}
-        style={{ ...styles.resizeHandle(color), ...st, cursor }}
+        style={{ ...styles.resizeHandle(color), ...st, cursor, pointerEvents:"auto" }}
         onPointerDown={(e) => onRectHandlePointerDown(e, kind, r.id, pos)}
       />
     );
-    const left = r.x, top = r.y, w = r.w, h = r.h;
-    const cx = left + w/2, cy = top + h/2;
+    const w = r.w, h = r.h;
+    const cx = w/2, cy = h/2;
+    return (
+      <div style={rotFrame(r)}>
+        {mk("nw", { left: -4, top: -4 }, "nwse-resize")}
+        {mk("ne", { left: w-4, top: -4 }, "nesw-resize")}
+        {mk("sw", { left: -4, top: h-4 }, "nesw-resize")}
+        {mk("se", { left: w-4, top: h-4 }, "nwse-resize")}
+        {mk("n",  { left: cx-4, top: -4 }, "ns-resize")}
+        {mk("s",  { left: cx-4, top: h-4 }, "ns-resize")}
+        {mk("w",  { left: -4, top: cy-4 }, "ew-resize")}
+        {mk("e",  { left: w-4, top: cy-4 }, "ew-resize")}
+      </div>
+    );
+  };
+
+  // shown on selected items / rects
+  const RotateHandle = ({ kind, r }) => {
+    if (!isSelected(liveSelection, kind, r.id)) return null;
+    return (
+      <div style={rotFrame(r)}>
+        <div style={{ position:"absolute", left: r.w/2 - 0.5, top:-20, width:1, height:20, background:SELECT_COLOR }} />
+        <div
+          role="button" aria-label="Rotate" title="Drag to rotate · Shift snaps to 15° · R / Shift+R"
+          style={{ ...styles.resizeHandle(SELECT_COLOR), left: r.w/2 - 5, top:-30, width:10, height:10, borderRadius:5, cursor:"grab", pointerEvents:"auto" }}
+          onPointerDown={(e) => onRotatePointerDown(e, kind, r)}
+        />
+      </div>
+    );
+  };
+
+  const PolyHandles = ({ f }) => {
+    if (!selecting) return null;
+    const color = colorFor("floor");
     return (
       <>
-        {mk("nw", { left: left-4, top: top-4 }, "nwse-resize")}
-        {mk("ne", { left: left+w-4, top: top-4 }, "nesw-resize")}
-        {mk("sw", { left: left-4, top: top+h-4 }, "nesw-resize")}
-        {mk("se", { left: left+w-4, top: top+h-4 }, "nwse-resize")}
-        {mk("n",  { left: cx-4, top: top-4 }, "ns-resize")}
-        {mk("s",  { left: cx-4, top: top+h-4 }, "ns-resize")}
-        {mk("w",  { left: left-4, top: cy-4 }, "ew-resize")}
-        {mk("e",  { left: left+w-4, top: cy-4 }, "ew-resize")}
+        {f.points.map((p, i) => {
+          const q = f.points[(i + 1) % f.points.length];
+          return (
+            <React.Fragment key={i}>
+              <div
+                role="button" aria-label={`Vertex ${i + 1}`} title="Drag to move · double-click to delete"
+                style={{ ...styles.resizeHandle(color), left: p.x-4, top: p.y-4, cursor:"move", borderRadius:5 }}
+                onPointerDown={(e)=>onVertexPointerDown(e, f.id, i)}
+                onDoubleClick={(e)=>{ e.stopPropagation(); deleteVertex(f.id, i); }}
+              />
+              <div
+                role="button" aria-label="Insert vertex" title="Drag to insert a vertex"
+                style={{ ...styles.resizeHandle(color), left: (p.x+q.x)/2-3, top: (p.y+q.y)/2-3, width:6, height:6, opacity:0.6, cursor:"copy" }}
+                onPointerDown={(e)=>onVertexPointerDown(e, f.id, i + 1, true)}
+              />
+            </React.Fragment>
+          );
+        })}
       </>
     );
   };
@@ -601,14 +1733,56 @@ export default function ImageCanvasApp() {
     >
       {/* toolbar */}
       <div style={styles.floaterBar}>
-        <button aria-label="Save as image" style={styles.floaterBtn} title="Save as image" onClick={saveCompositionImage}>⬇️</button>
+        <button aria-label="Open project" style={styles.floaterBtn} title="Open project" onClick={()=>projectInputRef.current?.click()}>📂</button>
+        <button aria-label="Save project" style={styles.floaterBtn} title="Save project" onClick={saveProject}>💾</button>
+        <button aria-label="Recovery points" style={styles.floaterBtn} title="Recovery points" onClick={openRecovery}>🕘</button>
+        <div style={{ position:"relative" }}>
+          <button aria-label="Export" aria-expanded={exportOpen} style={styles.floaterBtn} title="Export" onClick={()=>setExportOpen(v=>!v)}>⬇️</button>
+          {exportOpen && (
+            <div style={styles.exportMenu} role="menu" aria-label="Export">
+              <button role="menuitem" style={styles.smallBtn} title="Raster image at screen scale" onClick={()=>{ setExportOpen(false); saveCompositionImage(); }}>PNG image</button>
+              <button role="menuitem" style={styles.smallBtn} title="Editable vectors, one group per layer" onClick={()=>{ setExportOpen(false); saveSvg(); }}>SVG vector</button>
+              <button role="menuitem" style={styles.smallBtn} title="Print-ready, at a fixed scale with title block" onClick={()=>{ setExportOpen(false); openPdfPrompt(); }}>PDF…</button>
+              <button role="menuitem" style={styles.smallBtn} title="AutoCAD / LibreCAD drawing in millimetres" onClick={()=>{ setExportOpen(false); saveDxf(); }}>DXF (CAD)</button>
+              <label style={{ ...styles.toolOption, justifyContent:"flex-start" }} title="Off: the background is saved as a separate image file and linked">
+                <input type="checkbox" checked={embedBg} onChange={(e)=>setEmbedBg(e.target.checked)} /> Embed background
+              </label>
+            </div>
+          )}
+        </div>
+        <button aria-label="Edit background" aria-pressed={bgEditOpen} style={styles.floaterBtn} title="Background: rotate, straighten, crop, flip, opacity and filters" onClick={()=>setBgEditOpen(v=>!v)}>🖼️</button>
+        <button aria-label="Calibrate scale" style={styles.floaterBtn} title="Calibrate scale: draw a line over a known length" onClick={()=>chooseTool("calibrate")}>📐</button>
+        <button aria-label="Floor areas" style={styles.floaterBtn} title="Floor area summary" onClick={()=>setSummaryOpen(v=>!v)}>📊</button>
+        <button aria-label="Layers" style={styles.floaterBtn} title="Layers" onClick={()=>setLayersOpen(v=>!v)}>🗂️</button>
+        <button aria-label="3D view" style={styles.floaterBtn} title={view3d ? "Back to the 2D plan" : "3D view"} onClick={()=>setView3d(v=>!v)}>🧊</button>
+        <button aria-label="Levels" style={styles.floaterBtn} title={`Levels · ${levels[activeIndex]?.name || ""}`} onClick={()=>setLevelsOpen(v=>!v)}>🏢</button>
         <button aria-label="Zoom out" style={styles.floaterBtn} title="Zoom out" onClick={() => nudgeZoom(1/1.1)}>−</button>
         <button aria-label="Zoom in"  style={styles.floaterBtn} title="Zoom in"  onClick={() => nudgeZoom(1.1)}>＋</button>
         <button aria-label="Clear items/walls" style={styles.floaterBtn} title="Clear items & walls" onClick={clearAll}>🧹</button>
         <button aria-label="Remove background" style={styles.floaterBtn} title="Remove background" onClick={clearBackground}>🗑️</button>
-        <input ref={fileInputRef} type="file" accept="image/*" onChange={onInputChange} hidden />
+        <input ref={fileInputRef} type="file" accept="image/*,.dxf,.svg,.pdf,application/pdf" onChange={onInputChange} hidden />
+        <input ref={projectInputRef} type="file" accept={`${PROJECT_EXT},.json,application/json`} onChange={onProjectInputChange} hidden />
       </div>
 
+      {/* 3D preview over the plan; the 2D view underneath keeps its pan, zoom and selection */}
+      {view3d && model3d && (
+        <div style={styles.view3d}>
+          <Preview3D model={model3d} cameraRef={camera3dRef} floorY={levelElevations(levels)[activeIndex] / 100} onClose={()=>setView3d(false)}>
+            <label style={styles.toolOption} title="Floor-to-floor height of this level; walls are extruded to it">
+              {levels[activeIndex]?.name}
+              <input type="number" min={1} step={1} value={levels[activeIndex]?.heightCm ?? ""} aria-label="Storey height" onChange={(e)=>setLevelHeight(activeLevel, e.target.value)} style={{ ...styles.inspectorInput, width:60 }} />
+              cm
+            </label>
+            {levels.length > 1 && (
+              <label style={styles.toolOption}>
+                <input type="checkbox" checked={only3dLevel} onChange={(e)=>setOnly3dLevel(e.target.checked)} /> This level only
+              </label>
+            )}
+            <button type="button" style={styles.smallBtn} onClick={exportModel} title="Download walls, openings, floors and furniture as a glTF binary (metres)">⬇ GLB</button>
+          </Preview3D>
+        </div>
+      )}
+
       {/* undo/redo bar */}
       <div style={styles.undoRedoBar}>
         <button style={styles.undoRedoBtn(canUndo)} onClick={undo} disabled={!canUndo}>⟲ Undo</button>
@@ -624,12 +1798,43 @@ export default function ImageCanvasApp() {
           {selectOpen && (
             <div style={styles.menu}>
               <div style={styles.item(activeTool==="wall",   "#ff4da6")} onClick={()=>{setActiveTool("wall"); setSelecting(true);}}>Walls</div>
+              <div style={styles.item(activeTool==="wallLine", "#ff4da6")} onClick={()=>{setActiveTool("wallLine"); setSelecting(true);}}>Wall lines</div>
               <div style={styles.item(activeTool==="window", "#00a050")} onClick={()=>{setActiveTool("window"); setSelecting(true);}}>Windows</div>
               <div style={styles.item(activeTool==="floor",  "#0a28a0")} onClick={()=>{setActiveTool("floor"); setSelecting(true);}}>Floor</div>
+              <div style={styles.item(activeTool==="floorPoly", "#0a28a0")} onClick={()=>{setActiveTool("floorPoly"); setSelecting(true);}}>Floor polygon</div>
+              <div style={styles.item(activeTool==="measure", DIM_COLOR)} onClick={()=>{setActiveTool("measure"); setSelecting(true);}}>Measure</div>
             </div>
           )}
         </div>
+        {activeTool === "wallLine" && selecting && (
+          <label style={styles.toolOption}>
+            Thickness
+            <input
+              type="number" min={1} step={1} aria-label="Wall thickness (cm)" value={wallThickCm}
+              onChange={(e)=>{ const v = Number(e.target.value); if (Number.isFinite(v) && v > 0) setWallThickCm(v); }}
+              style={{ width:56, height:26, borderRadius:6, border:"1px solid rgba(0,0,0,0.2)", padding:"0 6px" }}
+            />
+            cm
+          </label>
+        )}
         <button style={styles.stopBtn} onClick={stopSelecting} aria-label="Stop selecting">Stop selecting</button>
+        <div style={styles.snapPanel} aria-label="Snapping">
+          <label title="Snap to corners, edges, midpoints and alignments (hold Alt to bypass, Shift for orthogonal lines)">
+            <input type="checkbox" checked={snapCfg.on} onChange={(e)=>setSnapCfg(c => ({ ...c, on: e.target.checked }))} /> Snap
+          </label>
+          <label style={{ display:"flex", alignItems:"center", gap:4 }}>
+            <input type="checkbox" checked={snapCfg.gridOn} onChange={(e)=>setSnapCfg(c => ({ ...c, gridOn: e.target.checked }))} /> Grid
+            <input
+              type="number" min={1} step={1} aria-label="Grid size" value={snapCfg.grid}
+              onChange={(e)=>{ const v = Number(e.target.value); if (Number.isFinite(v) && v > 0) setSnapCfg(c => ({ ...c, grid: v })); }}
+              style={{ width:48, height:22, borderRadius:6, border:"1px solid rgba(0,0,0,0.2)", padding:"0 4px" }}
+            />
+            {calib ? "cm" : "px"}
+          </label>
+        </div>
+        <div style={styles.scaleBadge} title={calib ? "Plan scale (click 📐 to recalibrate)" : "Click 📐 and draw over a known length"}>
+          {calib ? `1 ${UNITS[calib.unit].label} = ${Math.round(calib.pxPerCm * UNITS[calib.unit].cm * 100) / 100} px` : "Scale not set"}
+        </div>
       </div>
 
       {/* palette handle — hides while panning (NEW) */}
@@ -642,19 +1847,56 @@ export default function ImageCanvasApp() {
       </button>
 
       {/* palette */}
-      <aside style={styles.sidebar(sidebarOpen)} aria-hidden={!sidebarOpen}>
-        {PALETTE.map((p) => (
-          <div
-            key={p.type}
-            draggable
-            onDragStart={(e) => onPaletteDragStart(e, p.type)}
-            style={styles.paletteCard}
-            title={`Drag ${p.label}`}
-          >
-            {Icon[p.type]?.(48)}
-            <div style={{ fontSize: 14 }}>{p.label}</div>
-          </div>
-        ))}
+      <aside
+        style={styles.sidebar(sidebarOpen)} aria-hidden={!sidebarOpen}
+        onDragOver={(e)=>{ if (e.dataTransfer?.types?.includes("Files")) { e.preventDefault(); e.stopPropagation(); } }}
+        onDrop={(e)=>{ const f = e.dataTransfer?.files?.[0]; if (!f) return; e.preventDefault(); e.stopPropagation(); if (isSvgFile(f)) importSymbolFile(f); else alert("Drop an SVG file here to add it to the palette."); }}
+      >
+        <input
+          type="search" placeholder="Search furniture" aria-label="Search furniture" style={styles.paletteSearch}
+          value={paletteQuery} onChange={(e)=>setPaletteQuery(e.target.value)}
+        />
+        <button type="button" style={styles.smallBtn} title="Add an SVG file as a palette symbol (or drop one here)" onClick={()=>symbolInputRef.current?.click()}>Import SVG symbol…</button>
+        <input ref={symbolInputRef} type="file" accept=".svg,image/svg+xml" style={{ display:"none" }} onChange={onSymbolInputChange} />
+        {searchCatalog(paletteQuery, [customCategory]).map((c) => {
+          const open = !!paletteQuery.trim() || openCats.includes(c.key);
+          return (
+            <div key={c.key} style={{ display:"flex", flexDirection:"column", gap:6 }}>
+              <div
+                style={styles.paletteCat} role="button" aria-expanded={open}
+                onClick={()=>setOpenCats(v => v.includes(c.key) ? v.filter(k => k !== c.key) : [...v, c.key])}
+              >
+                <span>{c.label}</span><span style={{ color:"#888" }}>{open ? "▾" : "▸"}</span>
+              </div>
+              {open && c.items.map((p) => (
+                <div
+                  key={p.type}
+                  draggable
+                  onDragStart={(e) => onPaletteDragStart(e, p.type)}
+                  style={styles.paletteCard}
+                  title={`Drag ${p.label}`}
+                >
+                  <FurnitureSymbol type={p.type} w={p.w} d={p.d} width={36} height={36} custom={p.custom} />
+                  <div style={{ fontSize: 13, lineHeight: 1.2, flex: 1 }}>
+                    {p.label}
+                    <div style={{ fontSize: 11, color:"#888" }}>{`${p.w} × ${p.d} cm`}</div>
+                  </div>
+                  {p.custom && (() => {
+                    const used = symbolInUse(p.type);
+                    return (
+                      <button
+                        type="button" aria-label={`Remove ${p.label}`} disabled={used}
+                        title={used ? "In use on the plan" : "Remove symbol"}
+                        style={{ border:"none", background:"transparent", cursor: used ? "default" : "pointer", opacity: used ? 0.3 : 0.7 }}
+                        onClick={()=>removeSymbol(p.type)}
+                      >✕</button>
+                    );
+                  })()}
+                </div>
+              ))}
+            </div>
+          );
+        })}
       </aside>
 
       {/* canvas */}
@@ -664,6 +1906,7 @@ export default function ImageCanvasApp() {
         onPointerMove={onCanvasPointerMove}
         onPointerUp={onCanvasPointerUp}
         onPointerDown={onWorldPointerDown}
+        onDoubleClick={onCanvasDoubleClick}
         onWheel={onWheel}
         onDragEnter={onCanvasDragOver}
         onDragOver={onCanvasDragOver}
@@ -682,115 +1925,380 @@ export default function ImageCanvasApp() {
             background: "#faf9f5",
           }}
         >
-          {/* Background image centered inside world */}
-          {bgUrl ? (
-            <img
-              src={bgUrl}
-              alt="Background"
-              draggable={false}
-              style={{ ...styles.bgImg, width: bgImg.w, height: bgImg.h, left: bgOffset.x, top: bgOffset.y }}
-            />
-          ) : null}
+          {/* Plan layers in layerStack order (see layer-stack.js); the overlays after it stay on top */}
+          <div style={{ position:"absolute", left:0, top:0, zIndex:0 }}>
+            <div {...layerProps("background")}>
+              {/* Background image centered inside world */}
+              {/* while editing, the cropped-away part shows faintly */}
+              {bgUrl && bgEditOpen && (
+                <img src={bgUrl} alt="" aria-hidden="true" draggable={false} style={{ ...styles.bgImg, width: bgImg.w, height: bgImg.h, left: bgOffset.x, top: bgOffset.y, ...bgStyle({ ...bgAdj, crop: null }), opacity: 0.25 * bgAdj.opacity }} />
+              )}
+              {bgUrl ? (
+                <img
+                  src={bgUrl}
+                  alt="Background"
+                  draggable={false}
+                  style={{ ...styles.bgImg, width: bgImg.w, height: bgImg.h, left: bgOffset.x, top: bgOffset.y, ...bgStyle(bgAdjust) }}
+                />
+              ) : null}
+              {/* Vector underlay: hairlines at every zoom */}
+              {underlay && (
+                <svg width={world.w} height={world.h} style={{ position:"absolute", left:0, top:0, overflow:"visible", pointerEvents:"none" }} aria-label={`Underlay ${underlay.name}`}>
+                  {underlayView.d.map(([layer, d]) => <path key={layer} d={d} fill="none" stroke="#555" strokeWidth={1} vectorEffect="non-scaling-stroke"><title>{layer}</title></path>)}
+                </svg>
+              )}
+            </div>
+            {/* Level below: faint outlines to align this level against (just above the background layer) */}
+            {underlayOn && belowLevel && (
+              <svg width={world.w} height={world.h} style={{ position:"absolute", left:0, top:0, overflow:"visible", pointerEvents:"none", zIndex: 2 * layerIndex("background") + 2, opacity:0.5 }} aria-hidden="true">
+                {[...belowLevel.floors, ...belowLevel.walls, ...belowLevel.windows].map(r => (
+                  <polygon key={r.id} points={shapePoints(r).map(p => `${p.x},${p.y}`).join(" ")} fill="none" stroke="#777" strokeWidth={1} strokeDasharray="4 3" vectorEffect="non-scaling-stroke" />
+                ))}
+                {belowLevel.wallLines.map(w => (
+                  <polygon key={w.id} points={wallOutline(belowLevel.wallLines, w, belowLevel.calib).map(p => `${p.x},${p.y}`).join(" ")} fill="rgba(0,0,0,0.06)" stroke="#777" strokeWidth={1} vectorEffect="non-scaling-stroke" />
+                ))}
+              </svg>
+            )}
+            {/* Snap grid (just above the background layer) */}
+            {snapCfg.on && snapCfg.gridOn && gridPx * world.scale >= 4 && (
+              <div style={{ position:"absolute", left:0, top:0, width:world.w, height:world.h, zIndex: 2 * layerIndex("background") + 2, pointerEvents:"none", backgroundImage:"linear-gradient(to right, rgba(0,0,0,0.07) 1px, transparent 1px), linear-gradient(to bottom, rgba(0,0,0,0.07) 1px, transparent 1px)", backgroundSize:`${gridPx}px ${gridPx}px` }} />
+            )}
+            <div {...layerProps("floors")}>
+              {/* Floors + area/perimeter label (click to name) */}
+              {floors.map(r => {
+                const m = floorMetrics(r), b = shapeBox(r);
+                return (
+                  <React.Fragment key={r.id}>
+                    {r.points ? (
+                      <svg width={Math.max(1, b.w)} height={Math.max(1, b.h)} style={{ position:"absolute", left:b.x, top:b.y, overflow:"visible", pointerEvents:"none" }}>
+                        <polygon
+                          points={r.points.map(p => `${p.x - b.x},${p.y - b.y}`).join(" ")}
+                          fill={paintOf("floor", r).fill} stroke={paintOf("floor", r).stroke} strokeWidth={2} strokeLinejoin="round"
+                          style={{ pointerEvents:"all", cursor:"move" }}
+                          onPointerDown={(e)=>onRectPointerDown(e, "floor", r.id)}
+                          onDoubleClick={(e)=>{ e.stopPropagation(); openFloorPrompt(r.id, r.name); }}
+                        >
+                          {(calib || r.notes) && <title>{[sizeLabel(b.w, b.h), r.notes].filter(Boolean).join(" · ")}</title>}
+                        </polygon>
+                      </svg>
+                    ) : (
+                      <div
+                        style={{ ...styles.rect(paintOf("floor", r).fill, paintOf("floor", r).stroke), left: r.x, top: r.y, width: r.w, height: r.h, ...rotStyle(r.rot) }}
+                        title={[sizeLabel(r.w, r.h), r.notes].filter(Boolean).join(" · ") || undefined}
+                        onPointerDown={(e)=>onRectPointerDown(e, "floor", r.id)}
+                        onDoubleClick={(e)=>{ e.stopPropagation(); openFloorPrompt(r.id, r.name); }}
+                      />
+                    )}
+                    {(calib || r.name) && (
+                      <div
+                        style={{ ...styles.floorTag, left: b.x, top: b.y + b.h }}
+                        role="button" tabIndex={0}
+                        onClick={(e)=>{ e.stopPropagation(); openFloorPrompt(r.id, r.name); }}
+                        onKeyDown={(e)=>{ if(e.key==="Enter"||e.key===" "){ e.preventDefault(); openFloorPrompt(r.id, r.name); } }}
+                      >
+                        {[r.name, calib && formatPx2(m.area, calib), calib && `⟂ ${formatPx(m.perimeter, calib)}`].filter(Boolean).join(" · ")}
+                      </div>
+                    )}
+                    {r.points ? <PolyHandles f={r} /> : <><Handles kind="floor" r={r} /><RotateHandle kind="floor" r={r} /></>}
+                  </React.Fragment>
+                );
+              })}
+            </div>
+            <div {...layerProps("walls")}>
+              {/* Polyline walls (drag a segment or a joint; double-click a segment to remove) */}
+              {(wallLines.length > 0 || (activeTool === "wallLine" && selecting && polyDraft)) && (
+                <svg width={world.w} height={world.h} style={{ ...styles.calibLine, zIndex:"auto" }}>
+                  {wallLines.map(w => (
+                    <polygon
+                      key={w.id}
+                      points={wallOutline(wallLines, w, calib).map(p => `${p.x},${p.y}`).join(" ")}
+                      fill={paintOf("wall", w).fill} stroke={paintOf("wall", w).stroke} strokeWidth={1.5} strokeLinejoin="miter"
+                      style={{ pointerEvents: activeTool === "wallLine" && selecting ? "none" : "all", cursor:"move" }}
+                      onPointerDown={(e)=>onWallLinePointerDown(e, w.id)}
+                      onDoubleClick={(e)=>{ e.stopPropagation(); removeWallLine(w.id); }}
+                    >
+                      {(calib || w.label || w.notes) && <title>{shapeTitle(w, calib && `${formatPx(dist(w.a, w.b), calib)} · ${w.thickCm} cm thick`)}</title>}
+                    </polygon>
+                  ))}
+                  {activeTool === "wallLine" && selecting && polyDraft && (
+                    <line
+                      x1={polyDraft.points[0].x} y1={polyDraft.points[0].y} x2={polyDraft.hover.x} y2={polyDraft.hover.y}
+                      stroke={COLORS.wall.stroke} strokeOpacity={0.5} strokeWidth={wallThicknessPx({ thickCm: wallThickCm }, calib)}
+                    />
+                  )}
+                  {openings.map(o => {
+                    const host = wallLines.find(w => w.id === o.wallId); if (!host) return null;
+                    const f = openingFrame(host, o, calib);
+                    const cut = openingCorners(f).map(p => `${p.x},${p.y}`).join(" ");
+                    const sw = o.kind === "door" ? doorSwing(f, o) : null;
+                    return (
+                      <g
+                        key={o.id} style={{ pointerEvents:"all", cursor:"ew-resize" }}
+                        onPointerDown={(e)=>onOpeningPointerDown(e, o.id)}
+                        onDoubleClick={(e)=>{ e.stopPropagation(); if (o.kind === "door") openDoorPrompt(o); else openWindowPrompt(o.id, o.heightCm); }}
+                      >
+                        <polygon points={cut} fill="#faf9f5" stroke="none" />
+                        {o.kind === "window" ? (
+                          <>
+                            <polygon points={cut} fill={COLORS.window.fill} stroke={COLORS.window.stroke} strokeWidth={1.5} />
+                            <line x1={f.c.x - f.d.x*f.hw} y1={f.c.y - f.d.y*f.hw} x2={f.c.x + f.d.x*f.hw} y2={f.c.y + f.d.y*f.hw} stroke={COLORS.window.stroke} strokeWidth={1} />
+                          </>
+                        ) : (
+                          <>
+                            <line x1={sw.hinge.x} y1={sw.hinge.y} x2={sw.open.x} y2={sw.open.y} stroke="#333" strokeWidth={2} />
+                            <path d={`M ${sw.open.x} ${sw.open.y} A ${sw.r} ${sw.r} 0 0 ${sw.sweep} ${sw.closed.x} ${sw.closed.y}`} fill="none" stroke="#333" strokeWidth={1} strokeDasharray="4 3" />
+                          </>
+                        )}
+                        <title>{o.kind === "door" ? `Door${calib ? ` · ${Math.round(o.widthCm)} cm` : ""} · double-click to edit` : `Window${calib ? ` · ${Math.round(o.widthCm)} cm` : ""} · double-click to set height`}</title>
+                      </g>
+                    );
+                  })}
+                  {selecting && wallNodes().map((n, i) => (
+                    <circle
+                      key={i} cx={n.x} cy={n.y} r={4} fill="#fff" stroke={colorFor("wall")} strokeWidth={2}
+                      style={{ pointerEvents: activeTool === "wallLine" ? "none" : "all", cursor:"move" }}
+                      onPointerDown={(e)=>onWallNodePointerDown(e, n)}
+                    />
+                  ))}
+                </svg>
+              )}
+              {/* Walls */}
+              {walls.map(r => (
+                <React.Fragment key={r.id}>
+                  <div
+                    style={{ ...styles.rect(paintOf("wall", r).fill, paintOf("wall", r).stroke), left: r.x, top: r.y, width: r.w, height: r.h, ...rotStyle(r.rot) }}
+                    title={shapeTitle(r, sizeLabel(r.w, r.h))}
+                    onPointerDown={(e)=>onRectPointerDown(e, "wall", r.id)}
+                  />
+                  <Handles kind="wall" r={r} />
+                  <RotateHandle kind="wall" r={r} />
+                </React.Fragment>
+              ))}
+              {/* Window openings: height label (click to edit) */}
+              {openings.filter(o => o.kind === "window" && typeof o.heightCm === "number").map(o => {
+                const host = wallLines.find(w => w.id === o.wallId); if (!host) return null;
+                const f = openingFrame(host, o, calib);
+                return (
+                  <div
+                    key={o.id}
+                    style={{ ...styles.windowTag, left: f.c.x, top: f.c.y - f.ht }}
+                    role="button" tabIndex={0}
+                    onClick={(e)=>{ e.stopPropagation(); openWindowPrompt(o.id, o.heightCm); }}
+                    onKeyDown={(e)=>{ if(e.key==="Enter"||e.key===" "){ e.preventDefault(); openWindowPrompt(o.id, o.heightCm); } }}
+                  >
+                    {o.heightCm} cm
+                  </div>
+                );
+              })}
+            </div>
+            <div {...layerProps("windows")}>
+              {/* Windows + height label (click to edit) */}
+              {windows.map(r => (
+                <React.Fragment key={r.id}>
+                  <div
+                    style={{ ...styles.rect(paintOf("window", r).fill, paintOf("window", r).stroke), left: r.x, top: r.y, width: r.w, height: r.h, ...rotStyle(r.rot) }}
+                    title={shapeTitle(r, sizeLabel(r.w, r.h))}
+                    onPointerDown={(e)=>onRectPointerDown(e, "window", r.id)}
+                    onDoubleClick={(e)=>{ e.stopPropagation(); openWindowPrompt(r.id, r.heightCm); }}
+                  />
+                  {typeof r.heightCm === "number" && (
+                    <div
+                      style={{ ...styles.windowTag, left: r.x, top: r.y }}
+                      role="button" tabIndex={0}
+                      onClick={(e)=>{ e.stopPropagation(); openWindowPrompt(r.id, r.heightCm); }}
+                      onKeyDown={(e)=>{ if(e.key==="Enter"||e.key===" "){ e.preventDefault(); openWindowPrompt(r.id, r.heightCm); } }}
+                    >
+                      {r.heightCm} cm
+                    </div>
+                  )}
+                  <Handles kind="window" r={r} />
+                  <RotateHandle kind="window" r={r} />
+                </React.Fragment>
+              ))}
+            </div>
+            <div {...layerProps("items")}>
+              {/* Items + resize knob + rotation handle (both turn with the item) */}
+              {items.map(it => {
+                const frame = { id: it.id, ...itemRect(it, calib) };
+                return (
+                  <React.Fragment key={it.id}>
+                    <div
+                      id={it.id}
+                      style={{ ...styles.placed, left: it.x, top: it.y, width: frame.w, height: frame.h, ...rotStyle(it.rot) }}
+                      title={shapeTitle(it, entryFor(it.type)?.label || it.type, `${Math.round(it.w)} × ${Math.round(it.d)} cm`)}
+                      onPointerDown={(e)=>onItemPointerDown(e, it.id)}
+                      onDoubleClick={()=>removeItem(it.id)}
+                    >
+                      <FurnitureSymbol type={it.type} w={it.w} d={it.d} width={frame.w} height={frame.h} color={it.color} custom={entryFor(it.type)?.custom} />
+                    </div>
+                    {/* resize knob (↘) */}
+                    <div style={rotFrame(frame)}>
+                      <div
+                        role="button"
+                        aria-label="Resize"
+                        style={{
+                          position: "absolute",
+                          left: frame.w - 6,
+                          top:  frame.h - 6,
+                          pointerEvents: "auto",
+                          zIndex: 13,
+                          width: 16,
+                          height: 16,
+                          borderRadius: 8,
+                          background: "#fff",
+                          border: "1px solid rgba(0,0,0,0.3)",
+                          boxShadow: "0 1px 2px rgba(0,0,0,0.2)",
+                          display: "grid",
+                          placeItems: "center",
+                          cursor: "nwse-resize",
+                          touchAction: "none",
+                        }}
+                        onPointerDown={(e)=>onItemResizePointerDown(e, it.id)}
+                      >
+                        <span style={{ fontSize: 10, lineHeight: 1, userSelect: "none", pointerEvents: "none" }}>↘︎</span>
+                      </div>
+                    </div>
+                    <RotateHandle kind="item" r={frame} />
+                  </React.Fragment>
+                );
+              })}
+            </div>
+            {/* Dimension lines, in "dims" and the annotation layers (double-click to remove) */}
+            {layerStack.filter(l => l.id === "dims" || l.annotation).map(l => {
+              const list = [...dims.filter(d => layerOfShape(layerStack, "dim", d) === l.id), ...(l.id === dimTarget && activeTool === "measure" && selecting && draft ? [{ id:"draft", a:draft.start, b:draft.end }] : [])];
+              // one arrow-head marker per colour in use
+              const arrow = (d) => `atlas-dim-arrow-${l.id}-${(d.color || DIM_COLOR).slice(1)}`;
+              return (
+                <div key={l.id} {...layerProps(l.id)}>
+                  {list.length > 0 && (
+                    <svg width={world.w} height={world.h} style={{ ...styles.calibLine, zIndex:11 }}>
+                      <defs>
+                        {[...new Set(list.map(d => d.color || DIM_COLOR))].map(c => (
+                          <marker key={c} id={arrow({ color: c })} viewBox="0 0 10 10" refX="10" refY="5" markerWidth="9" markerHeight="9" markerUnits="userSpaceOnUse" orient="auto-start-reverse">
+                            <path d="M0,1 L10,5 L0,9 z" fill={c} />
+                          </marker>
+                        ))}
+                      </defs>
+                      {list.map((d) => {
+                        const mx = (d.a.x + d.b.x) / 2, my = (d.a.y + d.b.y) / 2;
+                        let ang = Math.atan2(d.b.y - d.a.y, d.b.x - d.a.x) * 180 / Math.PI;
+                        if (Math.abs(ang) > 90) ang += 180;
+                        return (
+                          <g key={d.id} opacity={d.id === "draft" ? 0.7 : 1}>
+                            <line x1={d.a.x} y1={d.a.y} x2={d.b.x} y2={d.b.y} stroke={d.color || DIM_COLOR} strokeWidth={1.5} markerStart={`url(#${arrow(d)})`} markerEnd={`url(#${arrow(d)})`} />
+                            {d.id !== "draft" && (
+                              <line x1={d.a.x} y1={d.a.y} x2={d.b.x} y2={d.b.y} stroke="transparent" strokeWidth={10} style={{ pointerEvents:"stroke", cursor:"move" }} onPointerDown={(e)=>{ if (e.button === 0 && !isLineTool()) onShapePointerDown(e, "dim", d.id); }} onDoubleClick={(e)=>{ e.stopPropagation(); removeDim(d.id); }}>
+                                <title>{shapeTitle(d, "Double-click to remove")}</title>
+                              </line>
+                            )}
+                            <text x={mx} y={my - 4} fontSize={12} fill={d.color || DIM_COLOR} textAnchor="middle" transform={`rotate(${ang} ${mx} ${my})`} stroke="#fff" strokeWidth={3} paintOrder="stroke">
+                              {dimLabel(d)}
+                            </text>
+                          </g>
+                        );
+                      })}
+                    </svg>
+                  )}
+                </div>
+              );
+            })}
+          </div>
 
-          {/* Floors */}
-          {floors.map(r => (
-            <React.Fragment key={r.id}>
-              <div
-                style={{ ...styles.rect(COLORS.floor.fill, COLORS.floor.stroke), left: r.x, top: r.y, width: r.w, height: r.h }}
-                onPointerDown={(e)=>onRectPointerDown(e, "floor", r.id)}
-              />
-              <Handles kind="floor" r={r} />
-            </React.Fragment>
-          ))}
-          {/* Walls */}
-          {walls.map(r => (
-            <React.Fragment key={r.id}>
-              <div
-                style={{ ...styles.rect(COLORS.wall.fill, COLORS.wall.stroke), left: r.x, top: r.y, width: r.w, height: r.h }}
-                onPointerDown={(e)=>onRectPointerDown(e, "wall", r.id)}
+          {/* Polygon floor being drawn */}
+          {activeTool === "floorPoly" && selecting && polyDraft && (
+            <svg width={world.w} height={world.h} style={{ ...styles.calibLine, zIndex:5 }}>
+              <polyline
+                points={[...polyDraft.points, polyDraft.hover].map(p => `${p.x},${p.y}`).join(" ")}
+                fill={COLORS.floor.fill.replace("0.35", "0.2")} stroke={COLORS.floor.stroke} strokeWidth={2} strokeDasharray="6 4"
               />
-              <Handles kind="wall" r={r} />
-            </React.Fragment>
-          ))}
-          {/* Windows + height label (click to edit) */}
-          {windows.map(r => (
-            <React.Fragment key={r.id}>
+              {polyDraft.points.map((p, i) => <circle key={i} cx={p.x} cy={p.y} r={i === 0 ? 5 : 3} fill={i === 0 ? "#fff" : COLORS.floor.stroke} stroke={COLORS.floor.stroke} strokeWidth={1.5} />)}
+            </svg>
+          )}
+          {/* Calibration reference line */}
+          {calib && !(activeTool === "calibrate" && selecting) && (
+            <svg width={world.w} height={world.h} style={styles.calibLine}>
+              <line x1={calib.line.a.x} y1={calib.line.a.y} x2={calib.line.b.x} y2={calib.line.b.y} stroke="#e08a00" strokeWidth={1.5} strokeDasharray="6 4" />
+              <text x={(calib.line.a.x + calib.line.b.x) / 2} y={(calib.line.a.y + calib.line.b.y) / 2 - 6} fontSize={11} fill="#b56f00" textAnchor="middle">
+                {formatLength(calib.line.value * UNITS[calib.unit].cm, calib.unit)}
+              </text>
+            </svg>
+          )}
+
+          {/* Background crop handles, in the image's own turned frame */}
+          {bgEditOpen && bgUrl && bgImg.w > 0 && layerEditable(layerStack, "background") && (() => {
+            const { x, y, w, h } = bgAdj.crop, L = x * bgImg.w, T = y * bgImg.h, W = w * bgImg.w, H = h * bgImg.h;
+            const mk = (pos, hx, hy) => (
               <div
-                style={{ ...styles.rect(COLORS.window.fill, COLORS.window.stroke), left: r.x, top: r.y, width: r.w, height: r.h }}
-                onPointerDown={(e)=>onRectPointerDown(e, "window", r.id)}
-                onDoubleClick={(e)=>{ e.stopPropagation(); openWindowPrompt(r.id, r.heightCm); }}
+                key={pos} role="button" aria-label={`Crop ${pos}`} title="Drag to crop"
+                style={{ ...styles.resizeHandle(SELECT_COLOR), left: hx - 4, top: hy - 4, cursor:"crosshair", pointerEvents:"auto" }}
+                onPointerDown={(e)=>onCropPointerDown(e, pos)}
               />
-              {typeof r.heightCm === "number" && (
-                <div
-                  style={{ ...styles.windowTag, left: r.x, top: r.y }}
-                  role="button" tabIndex={0}
-                  onClick={(e)=>{ e.stopPropagation(); openWindowPrompt(r.id, r.heightCm); }}
-                  onKeyDown={(e)=>{ if(e.key==="Enter"||e.key===" "){ e.preventDefault(); openWindowPrompt(r.id, r.heightCm); } }}
-                >
-                  {r.heightCm} cm
-                </div>
-              )}
-              <Handles kind="window" r={r} />
-            </React.Fragment>
-          ))}
+            );
+            return (
+              <div style={{ position:"absolute", left: bgOffset.x, top: bgOffset.y, width: bgImg.w, height: bgImg.h, transform: bgTransform(bgAdjust), transformOrigin:"center", pointerEvents:"none", zIndex:12 }}>
+                <div style={{ position:"absolute", left:L, top:T, width:W, height:H, outline:`1px dashed ${SELECT_COLOR}` }} />
+                {mk("nw", L, T)}{mk("n", L + W/2, T)}{mk("ne", L + W, T)}{mk("e", L + W, T + H/2)}
+                {mk("se", L + W, T + H)}{mk("s", L + W/2, T + H)}{mk("sw", L, T + H)}{mk("w", L, T + H/2)}
+              </div>
+            );
+          })()}
+          {/* Straighten: the line being drawn along something that should be level or plumb */}
+          {activeTool === "straighten" && selecting && draft && (
+            <svg width={world.w} height={world.h} style={styles.calibLine}>
+              <line x1={draft.start.x} y1={draft.start.y} x2={draft.end.x} y2={draft.end.y} stroke={SELECT_COLOR} strokeWidth={2} strokeDasharray="6 4" vectorEffect="non-scaling-stroke" />
+            </svg>
+          )}
 
-          {/* Items + resize knob */}
-          {items.map(it => {
-            const sizePx = Math.max(16, Math.min(256, num(it.size || 48)));
-            const scale = sizePx / 48;
+          {/* Calibration draft / pending line */}
+          {activeTool === "calibrate" && selecting && (draft || calibPrompt) && (() => {
+            const a = draft ? draft.start : calibPrompt.a, b = draft ? draft.end : calibPrompt.b;
             return (
-              <React.Fragment key={it.id}>
-                <div
-                  id={it.id}
-                  style={{ ...styles.placed, left: it.x, top: it.y, transform:`scale(${scale})`, transformOrigin:"top left" }}
-                  onPointerDown={(e)=>onItemPointerDown(e, it.id)}
-                  onDoubleClick={()=>removeItem(it.id)}
-                >
-                  {Icon[it.type]?.(48)}
-                </div>
-                {/* resize knob (↘) */}
-                <div
-                  role="button"
-                  aria-label="Resize"
-                  style={{
-                    position: "absolute",
-                    left: it.x + sizePx - 6,
-                    top:  it.y + sizePx - 6,
-                    zIndex: 13,
-                    width: 16,
-                    height: 16,
-                    borderRadius: 8,
-                    background: "#fff",
-                    border: "1px solid rgba(0,0,0,0.3)",
-                    boxShadow: "0 1px 2px rgba(0,0,0,0.2)",
-                    display: "grid",
-                    placeItems: "center",
-                    cursor: "nwse-resize",
-                    touchAction: "none",
-                  }}
-                  onPointerDown={(e)=>onItemResizePointerDown(e, it.id)}
-                >
-                  <span style={{ fontSize: 10, lineHeight: 1, userSelect: "none", pointerEvents: "none" }}>↘︎</span>
-                </div>
-              </React.Fragment>
+              <svg width={world.w} height={world.h} style={styles.calibLine}>
+                <line x1={a.x} y1={a.y} x2={b.x} y2={b.y} stroke="#e08a00" strokeWidth={2} />
+                <circle cx={a.x} cy={a.y} r={3} fill="#e08a00" /><circle cx={b.x} cy={b.y} r={3} fill="#e08a00" />
+              </svg>
             );
-          })}
+          })()}
 
           {/* Draft rectangle (visible while drawing) – NEW */}
-          {activeTool && selecting && draft && (() => {
+          {activeTool && !LINE_TOOLS.has(activeTool) && selecting && draft && (() => {
             const L = Math.min(draft.start.x, draft.end.x), T = Math.min(draft.start.y, draft.end.y);
             const W = Math.abs(draft.end.x - draft.start.x), H = Math.abs(draft.end.y - draft.start.y);
             const { fill, stroke } = COLORS[activeTool];
             const draftFill = fill.replace("0.35", "0.2");
             return <div style={{ ...styles.draft(draftFill, stroke), left:L, top:T, width:W, height:H }} />;
           })()}
+          {/* Selection outlines + marquee */}
+          {(liveSelection.length > 0 || marquee) && (
+            <svg width={world.w} height={world.h} style={styles.guides}>
+              {liveSelection.map(sel => {
+                const b = boxOf(sel.kind, selectedShape(layers(), sel), calib), pad = 4 / world.scale;
+                return <rect key={selKey(sel)} x={b.x - pad} y={b.y - pad} width={b.w + pad*2} height={b.h + pad*2} fill="none" stroke={SELECT_COLOR} strokeWidth={1.5} strokeDasharray="5 3" vectorEffect="non-scaling-stroke" />;
+              })}
+              {marquee && (
+                <rect
+                  x={Math.min(marquee.start.x, marquee.end.x)} y={Math.min(marquee.start.y, marquee.end.y)}
+                  width={Math.abs(marquee.end.x - marquee.start.x)} height={Math.abs(marquee.end.y - marquee.start.y)}
+                  fill={`${SELECT_COLOR}14`} stroke={SELECT_COLOR} strokeWidth={1} strokeDasharray="4 3" vectorEffect="non-scaling-stroke"
+                />
+              )}
+            </svg>
+          )}
+          {/* Smart alignment guides (while dragging / drawing) */}
+          {guides.length > 0 && (
+            <svg width={world.w} height={world.h} style={styles.guides}>
+              {guides.map((g, i) => (
+                <line key={i} x1={g.a.x} y1={g.a.y} x2={g.b.x} y2={g.b.y} stroke="#e0007a" strokeWidth={1} strokeDasharray="4 3" vectorEffect="non-scaling-stroke" />
+              ))}
+            </svg>
+          )}
         </div>
 
         {/* Empty-state helper when no background */}
-        {!bgUrl && (
+        {!bgUrl && !underlay && (
           <div style={{ position:"absolute", inset:0, display:"grid", placeItems:"center", pointerEvents:"none" }}>
             <div style={{ textAlign:"center", color:"#666", pointerEvents:"auto" }}>
-              <div style={{ fontSize:18, marginBottom:6 }}>Drop an image anywhere</div>
+              <div style={{ fontSize:18, marginBottom:6 }}>Drop an image, PDF, DXF or SVG plan anywhere</div>
               <div style={{ fontSize:13, marginBottom:12, opacity:0.8 }}>or</div>
               <button onClick={()=>fileInputRef.current?.click()} style={styles.topChooseBtn}>Choose a file</button>
             </div>
@@ -798,6 +2306,453 @@ export default function ImageCanvasApp() {
         )}
       </div>
 
+      {/* Restore last session / recovery points */}
+      {recovery && (
+        <div style={styles.recovery} role="dialog" aria-label="Restore session">
+          <span style={{ fontWeight:700 }}>{recovery.list[0].previous ? "Restore last session?" : "Recovery points"}</span>
+          <select
+            aria-label="Recovery point" value={recovery.pick}
+            onChange={(e)=>{ const pick = Number(e.target.value); setRecovery((r)=>r ? ({ ...r, pick }) : r); }}
+            style={{ height:30, borderRadius:8, border:"1px solid rgba(0,0,0,0.2)" }}
+          >
+            {recovery.list.map((c) => (
+              <option key={c.id} value={c.id}>{`${new Date(c.savedAt).toLocaleString()} · ${c.shapes} shapes`}</option>
+            ))}
+          </select>
+          <button style={styles.smallBtn} onClick={()=>restoreCheckpoint(recovery.pick)}>Restore</button>
+          <button style={styles.smallBtn} onClick={dismissRecovery}>Dismiss</button>
+        </div>
+      )}
+
+      {/* Selection actions */}
+      {liveSelection.length > 0 && (
+        <div style={styles.selectionBar} role="toolbar" aria-label="Selection">
+          <span style={{ fontWeight:700 }}>{`${liveSelection.length} selected`}</span>
+          <button style={styles.smallBtn} onClick={duplicateSelected} title="Duplicate the selection (Ctrl+D)">Duplicate</button>
+          <button style={styles.smallBtn} onClick={deleteSelection} title="Delete the selection (Del)">Delete</button>
+          <button style={styles.smallBtn} onClick={()=>setSelection([])} aria-label="Clear selection" title="Clear selection (Esc)">✕</button>
+        </div>
+      )}
+
+      {/* Floor area summary */}
+      {summaryOpen && (
+        <div style={styles.summary} role="region" aria-label="Floor area summary">
+          <div style={{ display:"flex", justifyContent:"space-between", fontWeight:700, marginBottom:6 }}>
+            <span>Floor areas</span>
+            <span role="button" style={{ cursor:"pointer" }} onClick={()=>setSummaryOpen(false)} aria-label="Close summary">✕</span>
+          </div>
+          {!calib && <div style={{ color:"#666", marginBottom:6 }}>Calibrate the plan scale (📐) to see real areas.</div>}
+          {floors.length === 0 && <div style={{ color:"#666" }}>No floor regions yet.</div>}
+          {floors.map((f, i) => {
+            const m = floorMetrics(f);
+            return (
+              <div key={f.id} style={styles.summaryRow}>
+                <span role="button" style={{ cursor:"pointer" }} onClick={()=>openFloorPrompt(f.id, f.name)}>{floorName(f, i)}</span>
+                <span>{calib ? formatPx2(m.area, calib) : "–"}</span>
+                <span style={{ color:"#666" }}>{calib ? `⟂ ${formatPx(m.perimeter, calib)}` : ""}</span>
+              </div>
+            );
+          })}
+          {floors.length > 0 && calib && (
+            <div style={{ ...styles.summaryRow, borderBottom:"none", fontWeight:700 }}>
+              <span>Total</span>
+              <span>{formatPx2(floors.reduce((s, f) => s + floorMetrics(f).area, 0), calib)}</span>
+              <span />
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Right-hand panels: levels + layers + inspector */}
+      <div style={styles.rightPanels}>
+        {/* Levels panel: top storey first; click to switch, double-click to rename */}
+        {levelsOpen && (
+          <div style={styles.panel} role="region" aria-label="Levels">
+            <div style={{ display:"flex", justifyContent:"space-between", fontWeight:700, marginBottom:6 }}>
+              <span>Levels</span>
+              <span role="button" style={{ cursor:"pointer" }} onClick={()=>setLevelsOpen(false)} aria-label="Close levels">✕</span>
+            </div>
+            {[...levels].reverse().map((l) => (
+              <div key={l.id} style={styles.layerRow(l.id === activeLevel)}>
+                {levelRename?.id === l.id ? (
+                  <input
+                    autoFocus aria-label="Level name" value={levelRename.value}
+                    onChange={(e)=>setLevelRename(r => r ? ({ ...r, value: e.target.value }) : r)}
+                    onBlur={submitLevelRename}
+                    onKeyDown={(e)=>{ if (e.key === "Enter") submitLevelRename(); else if (e.key === "Escape") setLevelRename(null); }}
+                    style={{ flex:1, minWidth:0, height:22, borderRadius:6, border:"1px solid rgba(0,0,0,0.2)", padding:"0 6px" }}
+                  />
+                ) : (
+                  <span
+                    style={{ flex:1, minWidth:0, overflow:"hidden", textOverflow:"ellipsis", whiteSpace:"nowrap", cursor:"pointer", fontWeight: l.id === activeLevel ? 700 : 400 }}
+                    title={`${l.name} · click to edit this level, double-click to rename`}
+                    onClick={()=>switchLevel(l.id)}
+                    onDoubleClick={()=>setLevelRename({ id: l.id, value: l.name })}
+                  >
+                    {l.name}
+                  </span>
+                )}
+                <input
+                  type="number" min={1} step={1} value={l.heightCm} aria-label={`${l.name} floor-to-floor height`} title="Floor-to-floor height (cm)"
+                  onChange={(e)=>setLevelHeight(l.id, e.target.value)}
+                  style={{ ...styles.inspectorInput, width:56 }}
+                />
+                <span style={{ color:"#666" }}>cm</span>
+                {levels.length > 1
+                  ? <button type="button" style={styles.layerBtn} aria-label={`Delete ${l.name}`} title="Delete level" onClick={()=>removeLevel(l.id)}>✕</button>
+                  : <span style={{ width:20 }} />}
+              </div>
+            ))}
+            <div style={{ display:"flex", gap:6, marginTop:8 }}>
+              <button style={{ ...styles.smallBtn, flex:1 }} onClick={()=>addLevel(true)}>＋ Above</button>
+              <button style={{ ...styles.smallBtn, flex:1 }} onClick={()=>addLevel(false)}>＋ Below</button>
+            </div>
+            <label style={{ ...styles.toolOption, justifyContent:"flex-start", marginTop:6 }}>
+              <input type="checkbox" checked={underlayOn} onChange={(e)=>setUnderlayOn(e.target.checked)} /> Show level below as underlay
+            </label>
+            <div style={{ marginTop:6, color:"#666" }}>Each level has its own background, shapes and undo history.</div>
+          </div>
+        )}
+
+        {/* Background panel: rotation, crop, flip and filters, all undoable and non-destructive */}
+        {bgEditOpen && (
+          <div style={styles.panel} role="region" aria-label="Background">
+            <div style={{ display:"flex", justifyContent:"space-between", fontWeight:700, marginBottom:6 }}>
+              <span>Background</span>
+              <span role="button" style={{ cursor:"pointer" }} onClick={()=>setBgEditOpen(false)} aria-label="Close background">✕</span>
+            </div>
+            {!bgUrl ? <div style={{ color:"#666" }}>Load a plan image to adjust it.</div> : (
+              <>
+                <div style={styles.bgRow}>
+                  <span style={styles.bgLabel}>Rotate</span>
+                  <input
+                    type="range" min={-180} max={180} step={0.1} value={bgAdj.rot} aria-label="Rotation"
+                    onChange={(e)=>adjustBg({ rot: Number(e.target.value) }, true)} onPointerUp={commitLive} onKeyUp={commitLive}
+                    style={{ flex:1, minWidth:0 }}
+                  />
+                  <input
+                    type="number" step={0.1} value={bgAdj.rot} aria-label="Rotation (degrees)"
+                    onChange={(e)=>adjustBg({ rot: Number(e.target.value) }, true)} onBlur={commitLive}
+                    style={{ ...styles.inspectorInput, width:60 }}
+                  />°
+                </div>
+                <div style={styles.bgRow}>
+                  <button type="button" style={styles.smallBtn} title="Rotate 90° counter-clockwise" onClick={()=>adjustBg({ rot: bgAdj.rot - 90 })}>⟲ 90°</button>
+                  <button type="button" style={styles.smallBtn} title="Rotate 90° clockwise" onClick={()=>adjustBg({ rot: bgAdj.rot + 90 })}>⟳ 90°</button>
+                  <button type="button" style={styles.smallBtn} title="Draw a line along a wall that should be level or plumb" onClick={()=>chooseTool("straighten")}>Straighten…</button>
+                </div>
+                <div style={styles.bgRow}>
+                  <span style={styles.bgLabel}>Flip</span>
+                  <button type="button" style={styles.smallBtn} aria-pressed={bgAdj.flipX} title="Mirror left ↔ right" onClick={()=>adjustBg({ flipX: !bgAdj.flipX })}>↔</button>
+                  <button type="button" style={styles.smallBtn} aria-pressed={bgAdj.flipY} title="Mirror top ↕ bottom" onClick={()=>adjustBg({ flipY: !bgAdj.flipY })}>↕</button>
+                </div>
+                <div style={styles.bgRow}>
+                  <span style={styles.bgLabel}>Crop</span>
+                  <span style={{ flex:1, color:"#666" }}>drag the handles on the plan</span>
+                  <button type="button" style={styles.smallBtn} onClick={()=>adjustBg({ crop: null })}>Reset</button>
+                </div>
+                {[["opacity", "Opacity", 0, 1], ["grayscale", "Grayscale", 0, 1], ["contrast", "Contrast", ...FILTER_RANGE.contrast], ["brightness", "Brightness", ...FILTER_RANGE.brightness]].map(([key, label, min, max]) => (
+                  <div key={key} style={styles.bgRow}>
+                    <span style={styles.bgLabel}>{label}</span>
+                    <input
+                      type="range" min={min} max={max} step={0.05} value={bgAdj[key]} aria-label={label} title={`${Math.round(bgAdj[key] * 100)}%`}
+                      onChange={(e)=>adjustBg({ [key]: Number(e.target.value) }, true)} onPointerUp={commitLive} onKeyUp={commitLive}
+                      style={{ flex:1, minWidth:0 }}
+                    />
+                    <span style={{ width:36, textAlign:"right", color:"#666" }}>{Math.round(bgAdj[key] * 100)}%</span>
+                  </div>
+                ))}
+                <button type="button" style={{ ...styles.smallBtn, width:"100%", marginTop:6 }} disabled={!bgAdjust} onClick={()=>snapshot({ bgAdjust: null })}>Reset all</button>
+              </>
+            )}
+          </div>
+        )}
+
+        {/* Layers panel: top of the stack first; drag ⋮⋮ to reorder */}
+        {layersOpen && (
+          <div style={styles.panel} role="region" aria-label="Layers">
+            <div style={{ display:"flex", justifyContent:"space-between", fontWeight:700, marginBottom:6 }}>
+              <span>Layers</span>
+              <span role="button" style={{ cursor:"pointer" }} onClick={()=>setLayersOpen(false)} aria-label="Close layers">✕</span>
+            </div>
+            {layerStack.map((l, i) => ({ l, i })).reverse().map(({ l, i }) => {
+              const holdsDims = l.id === "dims" || l.annotation;
+              return (
+                <div key={l.id} style={styles.layerRow(holdsDims && dimTarget === l.id)} onDragOver={onLayerDragOver} onDrop={(e)=>onLayerDrop(e, i)}>
+                  <span draggable onDragStart={(e)=>onLayerDragStart(e, i)} title="Drag to reorder" style={{ cursor:"grab", color:"#999" }}>⋮⋮</span>
+                  <button type="button" style={styles.layerBtn} aria-label={`${l.visible ? "Hide" : "Show"} ${l.name}`} title={l.visible ? "Hide" : "Show"} onClick={()=>updateLayer(l.id, { visible: !l.visible })}>
+                    {l.visible ? "👁" : "◌"}
+                  </button>
+                  <button type="button" style={styles.layerBtn} aria-label={`${l.locked ? "Unlock" : "Lock"} ${l.name}`} title={l.locked ? "Unlock" : "Lock"} onClick={()=>updateLayer(l.id, { locked: !l.locked })}>
+                    {l.locked ? "🔒" : "🔓"}
+                  </button>
+                  {layerRename?.id === l.id ? (
+                    <input
+                      autoFocus aria-label="Layer name" value={layerRename.value}
+                      onChange={(e)=>setLayerRename(r => r ? ({ ...r, value: e.target.value }) : r)}
+                      onBlur={submitLayerRename}
+                      onKeyDown={(e)=>{ if (e.key === "Enter") submitLayerRename(); else if (e.key === "Escape") setLayerRename(null); }}
+                      style={{ flex:1, minWidth:0, height:22, borderRadius:6, border:"1px solid rgba(0,0,0,0.2)", padding:"0 6px" }}
+                    />
+                  ) : (
+                    <span
+                      style={{ flex:1, minWidth:0, overflow:"hidden", textOverflow:"ellipsis", whiteSpace:"nowrap", cursor: holdsDims ? "pointer" : "default", opacity: l.visible ? 1 : 0.5 }}
+                      title={holdsDims ? `${l.name} · click to draw new dimension lines here${l.annotation ? ", double-click to rename" : ""}` : l.name}
+                      onClick={()=>{ if (holdsDims) setDimLayer(l.id); }}
+                      onDoubleClick={()=>{ if (l.annotation) setLayerRename({ id: l.id, value: l.name }); }}
+                    >
+                      {l.name}
+                    </span>
+                  )}
+                  <input
+                    type="range" min={0} max={1} step={0.05} value={l.opacity} aria-label={`${l.name} opacity`} title={`Opacity ${Math.round(l.opacity * 100)}%`}
+                    onChange={(e)=>slideOpacity(l.id, Number(e.target.value))} onPointerUp={commitLive} onKeyUp={commitLive}
+                    style={{ width:60 }}
+                  />
+                  {l.annotation
+                    ? <button type="button" style={styles.layerBtn} aria-label={`Remove ${l.name}`} title="Remove layer (its dimension lines move to Dimensions)" onClick={()=>removeLayer(l.id)}>✕</button>
+                    : <span style={{ width:20 }} />}
+                </div>
+              );
+            })}
+            <button style={{ ...styles.smallBtn, marginTop:8, width:"100%" }} onClick={addAnnotationLayer}>＋ Annotation layer</button>
+            <div style={{ marginTop:6, color:"#666" }}>Locked layers ignore the pointer; new dimension lines go into the highlighted layer.</div>
+          </div>
+        )}
+
+        {/* Inspector: fields of the single selected shape; typing applies live, leaving a field commits one undo step */}
+        {liveSelection.length > 0 && (
+          <div style={styles.panel} role="region" aria-label="Properties">
+            <div style={{ fontWeight:700, marginBottom:6 }}>{inspected ? KIND_LABELS[inspected.kind] : `${liveSelection.length} shapes selected`}</div>
+            {!inspected && <div style={{ color:"#666" }}>Select a single shape to edit its properties.</div>}
+            {inspected && (
+              <div style={styles.inspectorGrid}>
+                {inspectFields(layers(), inspected).map((f) => {
+                  const value = fieldDraft?.key === f.key ? fieldDraft.value : f.value;
+                  const edit = { onFocus: () => setFieldDraft({ key: f.key, value: String(f.value) }), onChange: (e) => editField(f.key, e.target.value), onBlur: endFieldEdit };
+                  if (f.type === "color") return (
+                    <React.Fragment key={f.key}>
+                      <label htmlFor="inspector-color">{f.label}</label>
+                      <input id="inspector-color" type="color" value={f.value || defaultColor(inspected.kind)} onChange={(e) => applyLive(applyField(layers(), inspected, "color", e.target.value))} onBlur={commitLive} style={{ ...styles.inspectorInput, padding:0 }} />
+                      <button type="button" style={styles.layerBtn} aria-label="Reset colour" title="Reset colour" disabled={!f.value} onClick={() => snapshot(applyField(layers(), inspected, "color", ""))}>↺</button>
+                    </React.Fragment>
+                  );
+                  if (f.type === "notes") return (
+                    <React.Fragment key={f.key}>
+                      <label htmlFor="inspector-notes" style={{ alignSelf:"start" }}>{f.label}</label>
+                      <textarea id="inspector-notes" rows={3} value={value} {...edit} style={{ ...styles.inspectorInput, height:"auto", padding:"4px 6px", resize:"vertical", fontFamily:"inherit" }} />
+                      <span />
+                    </React.Fragment>
+                  );
+                  return (
+                    <React.Fragment key={f.key}>
+                      <label htmlFor={`inspector-${f.key}`}>{f.label}</label>
+                      <input
+                        id={`inspector-${f.key}`} type="text" inputMode={f.type === "number" ? "decimal" : undefined}
+                        value={value} {...edit} onKeyDown={(e) => { if (e.key === "Enter") e.currentTarget.blur(); }}
+                        style={styles.inspectorInput}
+                      />
+                      <span style={{ color:"#888" }}>{f.unit || ""}</span>
+                    </React.Fragment>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+
+      {/* Imported SVG symbol: name + real size */}
+      {symbolPrompt && (
+        <form style={styles.note} onSubmit={submitSymbol}>
+          <div style={{ fontWeight:700, marginBottom:6 }}>New palette symbol</div>
+          <div style={{ display:"flex", gap:8, alignItems:"center" }}>
+            <img src={svgDataUrl(symbolPrompt.svg)} alt="" width={30} height={30} style={{ border:"1px solid rgba(0,0,0,0.1)", borderRadius:4 }} />
+            <input
+              autoFocus placeholder="Name" aria-label="Symbol name"
+              value={symbolPrompt.label} onChange={(e)=>setSymbolPrompt(p => p ? ({ ...p, label: e.target.value, error:"" }) : p)}
+              style={{ width:140, height:30, padding:"0 10px", borderRadius:8, border:"1px solid rgba(0,0,0,0.2)", outline:"none" }}
+            />
+            <input
+              inputMode="decimal" aria-label="Width in cm" title="Width (cm)"
+              value={symbolPrompt.w}
+              onChange={(e)=>{ const v = e.target.value; setSymbolPrompt(p => p ? ({ ...p, w: v, d: p.dTouched ? p.d : String(Math.round(Number(v.replace(",", ".")) * p.aspect) || ""), error:"" }) : p); }}
+              style={{ width:60, height:30, padding:"0 8px", borderRadius:8, border:"1px solid rgba(0,0,0,0.2)", outline:"none" }}
+            />
+            <span>×</span>
+            <input
+              inputMode="decimal" aria-label="Depth in cm" title="Depth (cm)"
+              value={symbolPrompt.d} onChange={(e)=>setSymbolPrompt(p => p ? ({ ...p, d: e.target.value, dTouched: true, error:"" }) : p)}
+              style={{ width:60, height:30, padding:"0 8px", borderRadius:8, border:"1px solid rgba(0,0,0,0.2)", outline:"none" }}
+            />
+            <span>cm</span>
+            <button type="submit" style={styles.smallBtn}>Add</button>
+            <button type="button" style={styles.smallBtn} onClick={()=>setSymbolPrompt(null)}>Cancel</button>
+          </div>
+          {symbolPrompt.error && <div style={{ marginTop:6, color:"#d33", fontSize:12 }}>{symbolPrompt.error}</div>}
+        </form>
+      )}
+
+      {/* Floor name prompt */}
+      {floorPrompt && (
+        <form style={styles.note} onSubmit={submitFloorName}>
+          <div style={{ fontWeight:700, marginBottom:6 }}>Floor region name</div>
+          <div style={{ display:"flex", gap:8, alignItems:"center" }}>
+            <input
+              autoFocus placeholder="e.g. Kitchen" aria-label="Floor name"
+              value={floorPrompt.value} onChange={(e)=>setFloorPrompt(p => p ? ({ ...p, value: e.target.value }) : p)}
+              style={{ width:160, height:30, padding:"0 10px", borderRadius:8, border:"1px solid rgba(0,0,0,0.2)", outline:"none" }}
+            />
+            <button type="submit" style={styles.smallBtn}>Save</button>
+            <button type="button" style={styles.smallBtn} onClick={()=>setFloorPrompt(null)}>Cancel</button>
+          </div>
+        </form>
+      )}
+
+      {/* Scale calibration prompt */}
+      {calibPrompt && (
+        <form style={styles.note} onSubmit={submitCalibration}>
+          <div style={{ fontWeight:700, marginBottom:6 }}>Length of the line you drew</div>
+          <div style={{ display:"flex", gap:8, alignItems:"center" }}>
+            <input
+              autoFocus inputMode="decimal" placeholder="e.g. 3.5" aria-label="Reference length"
+              value={calibPrompt.value} onChange={(e)=>setCalibPrompt(p => p ? ({ ...p, value: e.target.value, error:"" }) : p)}
+              style={{ width:120, height:30, padding:"0 10px", borderRadius:8, border:`1px solid ${calibPrompt.error?"#d33":"rgba(0,0,0,0.2)"}`, outline:"none" }}
+            />
+            <select aria-label="Unit" value={calibPrompt.unit} onChange={(e)=>setCalibPrompt(p => p ? ({ ...p, unit: e.target.value }) : p)} style={{ height:30, borderRadius:8, border:"1px solid rgba(0,0,0,0.2)" }}>
+              {UNIT_KEYS.map((u) => <option key={u} value={u}>{UNITS[u].label}</option>)}
+            </select>
+            <button type="submit" style={styles.smallBtn}>Save</button>
+            <button type="button" style={styles.smallBtn} onClick={()=>setCalibPrompt(null)}>Cancel</button>
+            {calib && <button type="button" style={styles.smallBtn} onClick={removeCalibration}>Remove scale</button>}
+          </div>
+          {calibPrompt.error && <div style={{ marginTop:6, color:"#d33", fontSize:12 }}>{calibPrompt.error}</div>}
+          <div style={{ marginTop:6, fontSize:12, opacity:0.8 }}>Tip: use the longest dimension you can read off the plan</div>
+        </form>
+      )}
+
+      {/* PDF import: page thumbnails, each assignable to a level */}
+      {pdfImport && (
+        <form style={{ ...styles.note, maxWidth:"80vw" }} onSubmit={importPdfPages} aria-label="Import PDF pages">
+          <div style={{ fontWeight:700, marginBottom:6 }}>{pdfImport.name} · {pdfImport.pageCount} page{pdfImport.pageCount === 1 ? "" : "s"}</div>
+          <div style={styles.pdfPages}>
+            {Array.from({ length: pdfImport.pageCount }, (_, i) => i + 1).map(n => (
+              <div key={n} style={styles.pdfPage(!!pdfImport.assign[n])}>
+                {pdfImport.thumbs[n - 1]
+                  ? <img src={pdfImport.thumbs[n - 1]} alt={`Page ${n}`} style={{ maxWidth:120, maxHeight:120, cursor:"pointer" }} onClick={()=>assignPdfPage(n, pdfImport.assign[n] ? "" : activeLevel)} />
+                  : <div style={{ width:90, height:120, display:"grid", placeItems:"center", color:"#999" }}>…</div>}
+                <select aria-label={`Level for page ${n}`} value={pdfImport.assign[n] || ""} onChange={(e)=>assignPdfPage(n, e.target.value)} style={{ ...styles.inspectorInput, width:120 }}>
+                  <option value="">Page {n}: skip</option>
+                  {[...levels].reverse().map(l => <option key={l.id} value={l.id}>→ {l.name}</option>)}
+                  <option value="new">→ New level</option>
+                </select>
+              </div>
+            ))}
+          </div>
+          <div style={{ display:"flex", gap:8, alignItems:"center", marginTop:8 }}>
+            <label style={styles.toolOption} title="Resolution the pages are rendered at">
+              Resolution
+              <select aria-label="Resolution" value={pdfImport.dpi} onChange={(e)=>setPdfImport(p => p && { ...p, dpi: Number(e.target.value) })} style={{ height:30, borderRadius:8, border:"1px solid rgba(0,0,0,0.2)" }}>
+                {PDF_DPIS.map(d => <option key={d} value={d}>{d} dpi</option>)}
+              </select>
+            </label>
+            <button type="submit" style={styles.smallBtn} disabled={pdfImport.busy}>{pdfImport.busy ? "Rendering…" : "Import"}</button>
+            <button type="button" style={styles.smallBtn} onClick={closePdfImport}>Cancel</button>
+          </div>
+          {pdfImport.error && <div style={{ marginTop:6, color:"#d33", fontSize:12 }}>{pdfImport.error}</div>}
+        </form>
+      )}
+
+      {/* DXF import: optionally turn the LINEs of one layer into walls */}
+      {underlayPrompt && (
+        <form style={styles.note} onSubmit={submitUnderlayPrompt} aria-label="Import drawing">
+          <div style={{ fontWeight:700, marginBottom:6 }}>Import {underlayPrompt.name}</div>
+          <div style={{ display:"flex", gap:8, alignItems:"center" }}>
+            <select aria-label="Layer to convert into walls" value={underlayPrompt.wallLayer} onChange={(e)=>setUnderlayPrompt(p => p ? ({ ...p, wallLayer: e.target.value, error:"" }) : p)} style={{ height:30, borderRadius:8, border:"1px solid rgba(0,0,0,0.2)" }}>
+              <option value="">Underlay only</option>
+              {underlayPrompt.layers.map(l => <option key={l.name} value={l.name}>Walls from {l.name} ({l.lines} lines)</option>)}
+            </select>
+            {underlayPrompt.wallLayer && (
+              <input
+                inputMode="decimal" aria-label="Wall thickness (cm)" title="Wall thickness (cm)"
+                value={underlayPrompt.thickCm} onChange={(e)=>setUnderlayPrompt(p => p ? ({ ...p, thickCm: e.target.value, error:"" }) : p)}
+                style={{ width:64, height:30, padding:"0 10px", borderRadius:8, border:`1px solid ${underlayPrompt.error?"#d33":"rgba(0,0,0,0.2)"}`, outline:"none" }}
+              />
+            )}
+            <button type="submit" style={styles.smallBtn}>Import</button>
+            <button type="button" style={styles.smallBtn} onClick={()=>setUnderlayPrompt(null)}>Cancel</button>
+          </div>
+          {underlayPrompt.error && <div style={{ marginTop:6, color:"#d33", fontSize:12 }}>{underlayPrompt.error}</div>}
+          <div style={{ marginTop:6, fontSize:12, opacity:0.8 }}>
+            {calib && underlayPrompt.unitCm ? "Placed at true size from the file's units." : "Placed to fit; calibrate the scale against it afterwards."} Converted lines are drawn as wall centre lines.
+          </div>
+        </form>
+      )}
+
+      {/* PDF export: paper, scale and title block */}
+      {pdfPrompt && (
+        <form style={styles.note} onSubmit={savePdf} aria-label="PDF export">
+          <div style={{ fontWeight:700, marginBottom:6 }}>Export PDF</div>
+          <div style={styles.inspectorGrid}>
+            <span>Project</span>
+            <input autoFocus aria-label="Project name" value={pdfPrompt.name} onChange={(e)=>updatePdfPrompt({ name: e.target.value })} style={{ ...styles.inspectorInput, gridColumn:"span 2" }} />
+            <span>Address</span>
+            <input aria-label="Address" value={pdfPrompt.address} onChange={(e)=>updatePdfPrompt({ address: e.target.value })} style={{ ...styles.inspectorInput, gridColumn:"span 2" }} />
+            <span>Date</span>
+            <input aria-label="Date" value={pdfPrompt.date} onChange={(e)=>updatePdfPrompt({ date: e.target.value })} style={{ ...styles.inspectorInput, gridColumn:"span 2" }} />
+            <span>Paper</span>
+            <select aria-label="Paper size" value={pdfPrompt.paper} onChange={(e)=>updatePdfPrompt({ paper: e.target.value })} style={styles.inspectorInput}>
+              {PAPER_KEYS.map(k => <option key={k} value={k}>{PAPER[k].label}</option>)}
+            </select>
+            <select aria-label="Orientation" value={pdfPrompt.landscape ? "landscape" : "portrait"} onChange={(e)=>updatePdfPrompt({ landscape: e.target.value === "landscape" })} style={styles.inspectorInput}>
+              <option value="portrait">Portrait</option>
+              <option value="landscape">Landscape</option>
+            </select>
+            <span>Scale</span>
+            <select aria-label="Drawing scale" value={pdfPrompt.scale} onChange={(e)=>updatePdfPrompt({ scale: Number(e.target.value) })} style={{ ...styles.inspectorInput, gridColumn:"span 2" }}>
+              {SCALES.map(s => <option key={s} value={s}>1:{s}</option>)}
+            </select>
+          </div>
+          {bgUrl && (
+            <label style={{ ...styles.toolOption, justifyContent:"flex-start", marginTop:6 }}>
+              <input type="checkbox" checked={pdfPrompt.withBg} onChange={(e)=>updatePdfPrompt({ withBg: e.target.checked })} /> Include background
+            </label>
+          )}
+          {calib && !fitsAt(pdfBox(pdfPrompt.withBg), calib, pdfPrompt.scale, pdfPrompt.paper, pdfPrompt.landscape) && (
+            <div style={{ marginTop:6, fontSize:12, color:"#c25400" }}>The plan does not fit the page at 1:{pdfPrompt.scale}; it will be cropped.</div>
+          )}
+          {(pdfPrompt.error || !calib) && <div style={{ marginTop:6, color:"#d33", fontSize:12 }}>{pdfPrompt.error || "Calibrate the plan scale (📐) first: the drawing scale is computed from it."}</div>}
+          <div style={{ display:"flex", gap:8, marginTop:8 }}>
+            <button type="submit" style={styles.smallBtn} disabled={!calib}>Save PDF</button>
+            <button type="button" style={styles.smallBtn} onClick={()=>setPdfPrompt(null)}>Cancel</button>
+          </div>
+        </form>
+      )}
+
+      {/* Door width / swing prompt */}
+      {doorPrompt && (() => {
+        const door = openings.find(o => o.id === doorPrompt.id);
+        if (!door) return null;
+        return (
+          <form style={styles.note} onSubmit={submitDoorWidth}>
+            <div style={{ fontWeight:700, marginBottom:6 }}>Door</div>
+            <div style={{ display:"flex", gap:8, alignItems:"center" }}>
+              <input
+                autoFocus inputMode="decimal" placeholder="e.g. 90" aria-label="Door width (cm)"
+                value={doorPrompt.value} onChange={(e)=>setDoorPrompt(p => p ? ({ ...p, value: e.target.value, error:"" }) : p)}
+                style={{ width:90, height:30, padding:"0 10px", borderRadius:8, border:`1px solid ${doorPrompt.error?"#d33":"rgba(0,0,0,0.2)"}`, outline:"none" }}
+              />
+              <span>cm wide</span>
+              <button type="submit" style={styles.smallBtn}>Save</button>
+              <button type="button" style={styles.smallBtn} onClick={()=>updateDoor(door.id, { hinge: door.hinge === "b" ? "a" : "b" })}>Flip hinge</button>
+              <button type="button" style={styles.smallBtn} onClick={()=>updateDoor(door.id, { swing: door.swing === "right" ? "left" : "right" })}>Flip swing</button>
+              <button type="button" style={styles.smallBtn} onClick={()=>{ snapshot({ openings: openings.filter(o => o.id !== door.id) }); setDoorPrompt(null); }}>Remove</button>
+            </div>
+            {doorPrompt.error && <div style={{ marginTop:6, color:"#d33", fontSize:12 }}>{doorPrompt.error}</div>}
+          </form>
+        );
+      })()}
+
       {/* Window height prompt */}
       {windowPrompt && (
         <form style={styles.note} onSubmit={submitWindowHeight}>
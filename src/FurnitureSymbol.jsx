@@ -0,0 +1,89 @@
+import React from "react";
+import { catalogEntry } from "./catalog.js";
+import { svgDataUrl } from "./svg-symbols.js";
+
+/**
+ * AtlaS – top-down furniture symbols
+ * - Drawn in the item's own cm frame (viewBox 0 0 w d), so a symbol stretches with the
+ *   item's width/depth; strokes stay 1.5 screen px at any size and zoom.
+ * - The back of a piece (headboard, sofa back, cistern…) is at y = 0.
+ */
+
+// stroke colour comes from the root <svg> (inherited), so an item can be recoloured
+const STROKE = "#333";
+const S = { fill: "none", strokeWidth: 1.5, vectorEffect: "non-scaling-stroke", strokeLinecap: "round", strokeLinejoin: "round" };
+const Rect = (x, y, w, h, rx = 0) => <rect x={x} y={y} width={Math.max(0, w)} height={Math.max(0, h)} rx={rx} {...S} />;
+const Line = (x1, y1, x2, y2) => <line x1={x1} y1={y1} x2={x2} y2={y2} {...S} />;
+const Circle = (cx, cy, r) => <circle cx={cx} cy={cy} r={Math.max(0, r)} {...S} />;
+
+const SYMBOLS = {
+  box: (w, d) => Rect(0, 0, w, d),
+  bed: (w, d) => {
+    const n = w >= 120 ? 2 : 1, gap = 6, pw = (w - gap * (n + 1)) / n;
+    return (
+      <>
+        {Rect(0, 0, w, d, 3)}
+        {Array.from({ length: n }, (_, i) => <React.Fragment key={i}>{Rect(gap + i * (pw + gap), 6, pw, Math.min(30, d * 0.15), 4)}</React.Fragment>)}
+        {Line(0, d * 0.32, w, d * 0.32)}
+        {Line(0, d * 0.32, w * 0.25, d * 0.42)}
+      </>
+    );
+  },
+  nightstand: (w, d) => <>{Rect(0, 0, w, d, 2)}{Circle(w / 2, d / 2, Math.min(w, d) * 0.25)}</>,
+  wardrobe: (w, d) => <>{Rect(0, 0, w, d)}{Line(3, d / 2, w - 3, d / 2)}{Line(w / 2, d - 3, w / 2, d)}</>,
+  dresser: (w, d) => <>{Rect(0, 0, w, d)}{Line(0, d * 0.85, w, d * 0.85)}</>,
+  sofa: (w, d) => {
+    const back = d * 0.25, arm = Math.min(20, w * 0.15), seat = w - arm * 2, n = seat > 160 ? 3 : seat > 90 ? 2 : 1;
+    return (
+      <>
+        {Rect(0, 0, w, d, 6)}
+        {Line(arm, back, w - arm, back)}
+        {Rect(0, 0, arm, d, 6)}
+        {Rect(w - arm, 0, arm, d, 6)}
+        {Array.from({ length: n - 1 }, (_, i) => <React.Fragment key={i}>{Line(arm + (seat / n) * (i + 1), back, arm + (seat / n) * (i + 1), d)}</React.Fragment>)}
+      </>
+    );
+  },
+  coffeeTable: (w, d) => <>{Rect(0, 0, w, d, 6)}{Rect(6, 6, w - 12, d - 12, 4)}</>,
+  tvUnit: (w, d) => <>{Rect(0, 0, w, d)}{Rect(w * 0.15, 4, w * 0.7, 5)}</>,
+  table: (w, d) => <>{Rect(0, 0, w, d, 3)}{Rect(5, 5, w - 10, d - 10, 2)}</>,
+  chair: (w, d) => <>{Rect(2, d * 0.2, w - 4, d * 0.8 - 2, 4)}{Rect(0, 0, w, d * 0.18, 3)}</>,
+  desk: (w, d) => <>{Rect(0, 0, w, d)}{Rect(w / 2 - 25, 5, 50, 6)}{Rect(w / 2 - 22, d * 0.55, 44, 14, 2)}</>,
+  officeChair: (w, d) => <>{Circle(w / 2, d * 0.55, Math.min(w, d) * 0.38)}{Rect(w * 0.15, 0, w * 0.7, d * 0.16, 4)}</>,
+  bookshelf: (w, d) => {
+    const n = Math.max(1, Math.round(w / 40));
+    return <>{Rect(0, 0, w, d)}{Array.from({ length: n - 1 }, (_, i) => <React.Fragment key={i}>{Line((w / n) * (i + 1), 0, (w / n) * (i + 1), d)}</React.Fragment>)}</>;
+  },
+  cabinet: (w, d) => <>{Rect(0, 0, w, d)}{Line(0, d * 0.9, w, d * 0.9)}{Line(w * 0.4, d * 0.95, w * 0.6, d * 0.95)}</>,
+  counter: (w, d) => <>{Rect(0, 0, w, d)}{Line(0, d - 4, w, d - 4)}</>,
+  kitchenSink: (w, d) => <>{Rect(0, 0, w, d)}{Rect(w * 0.1, d * 0.2, w * 0.8, d * 0.6, 6)}{Circle(w / 2, d / 2, 2.5)}{Line(w / 2, 4, w / 2, d * 0.2)}</>,
+  cooktop: (w, d) => (
+    <>
+      {Rect(0, 0, w, d)}
+      {Circle(w * 0.3, d * 0.3, Math.min(w, d) * 0.14)}{Circle(w * 0.7, d * 0.3, Math.min(w, d) * 0.1)}
+      {Circle(w * 0.3, d * 0.7, Math.min(w, d) * 0.1)}{Circle(w * 0.7, d * 0.7, Math.min(w, d) * 0.14)}
+    </>
+  ),
+  fridge: (w, d) => <>{Rect(0, 0, w, d)}{Line(0, d * 0.88, w, d * 0.88)}{Line(0, 0, w, d * 0.88)}</>,
+  dishwasher: (w, d) => <>{Rect(0, 0, w, d)}{Rect(5, 5, w - 10, d - 14)}</>,
+  bathtub: (w, d) => <>{Rect(0, 0, w, d, 4)}{Rect(6, 6, w - 12, d - 12, Math.min(w, d) * 0.3)}{Circle(w * 0.12, d / 2, 3)}</>,
+  shower: (w, d) => <>{Rect(0, 0, w, d)}{Line(0, 0, w, d)}{Line(w, 0, 0, d)}{Circle(w / 2, d / 2, 4)}</>,
+  toilet: (w, d) => <>{Rect(0, 0, w, d * 0.28, 3)}<ellipse cx={w / 2} cy={d * 0.62} rx={w * 0.45} ry={d * 0.36} {...S} /></>,
+  washbasin: (w, d) => <>{Rect(0, 0, w, d, 3)}<ellipse cx={w / 2} cy={d * 0.55} rx={w * 0.35} ry={d * 0.3} {...S} />{Circle(w / 2, d * 0.55, 2)}</>,
+  washer: (w, d) => <>{Rect(0, 0, w, d, 2)}{Circle(w / 2, d / 2, Math.min(w, d) * 0.32)}</>,
+  // hinge at bottom-left: leaf along the left side, swing arc to the bottom-right
+  door: (w, d) => <>{Line(0, d, 0, 0)}<path d={`M 0 0 A ${w} ${d} 0 0 1 ${w} ${d}`} {...S} strokeDasharray="4 3" />{Line(0, d, w, d)}</>,
+};
+
+// props: type, w, d (cm footprint), width/height (rendered size in px), color (stroke),
+// custom: an imported symbol { label, svg } (see svg-symbols.js), drawn as an image
+export default function FurnitureSymbol({ type, w, d, width, height, color, custom }) {
+  if (custom) return <img src={svgDataUrl(custom.svg)} width={width} height={height} alt={custom.label} draggable={false} style={{ display: "block", pointerEvents: "none" }} />;
+  const entry = catalogEntry(type);
+  const draw = SYMBOLS[entry?.symbol || type] || SYMBOLS.box;
+  return (
+    <svg width={width} height={height} viewBox={`0 0 ${w} ${d}`} overflow="visible" role="img" aria-label={entry?.label || type} stroke={color || STROKE} style={{ display: "block" }}>
+      {draw(w, d)}
+    </svg>
+  );
+}
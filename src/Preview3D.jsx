@@ -0,0 +1,196 @@
+import React, { useEffect, useRef, useState } from "react";
+import { perspective, viewMatrix, multiply, frameBounds, turnCamera, zoomCamera, panCamera, walkStep, setCameraMode } from "./camera3d.js";
+
+/**
+ * AtlaS – 3D preview (hand-rolled WebGL, no scene library)
+ * - Draws the meshes of buildModel() (model3d.js) flat-shaded under one key light and a
+ *   fill light; see-through meshes (glass) go last, blended, without depth writes.
+ * - The camera lives in the parent's cameraRef, so closing and reopening the view (or
+ *   rebuilding the model after an edit) keeps it.
+ * - Orbit: drag to turn, right- or Shift-drag to pan, wheel to zoom.
+ *   Walk: drag to look around, W A S D / arrow keys to move (Shift: faster), wheel to step.
+ */
+
+const VERT = `
+attribute vec3 aPos;
+attribute vec3 aNormal;
+uniform mat4 uViewProj;
+varying vec3 vNormal;
+void main() { vNormal = aNormal; gl_Position = uViewProj * vec4(aPos, 1.0); }`;
+const FRAG = `
+precision mediump float;
+uniform vec3 uColor;
+uniform float uAlpha;
+varying vec3 vNormal;
+void main() {
+  vec3 n = normalize(vNormal);
+  float key = max(dot(n, normalize(vec3(0.35, 0.8, 0.45))), 0.0);
+  float fill = max(dot(n, normalize(vec3(-0.5, 0.3, -0.6))), 0.0);
+  gl_FragColor = vec4(uColor * (0.45 + 0.45 * key + 0.15 * fill), uAlpha);
+}`;
+const BACKGROUND = [0.98, 0.976, 0.96];
+const WALK_SPEED = 1.4; // m/s
+const WALK_KEYS = { w: [1, 0], arrowup: [1, 0], s: [-1, 0], arrowdown: [-1, 0], a: [0, -1], arrowleft: [0, -1], d: [0, 1], arrowright: [0, 1] };
+
+const styles = {
+  wrap: { position:"absolute", inset:0, background:"#faf9f5" },
+  canvas: { width:"100%", height:"100%", display:"block", touchAction:"none", cursor:"grab" },
+  bar: { position:"absolute", left:12, top:12, display:"flex", gap:8, alignItems:"center", background:"#fff", border:"1px solid rgba(0,0,0,0.15)", borderRadius:10, padding:"6px 10px", fontSize:12, boxShadow:"0 2px 6px rgba(0,0,0,0.08)" },
+  btn: (on) => ({ height:28, padding:"0 10px", borderRadius:8, border:`1px solid ${on ? "#1a73e8" : "rgba(0,0,0,0.2)"}`, background:on ? "#1a73e822" : "#fff", cursor:"pointer", fontWeight:700 }),
+  hint: { position:"absolute", left:"50%", bottom:72, transform:"translateX(-50%)", color:"#666", fontSize:12, pointerEvents:"none" },
+};
+
+function compile(gl, type, src) {
+  const sh = gl.createShader(type);
+  gl.shaderSource(sh, src); gl.compileShader(sh);
+  if (!gl.getShaderParameter(sh, gl.COMPILE_STATUS)) throw new Error(gl.getShaderInfoLog(sh) || "shader did not compile");
+  return sh;
+}
+function link(gl) {
+  const prog = gl.createProgram();
+  gl.attachShader(prog, compile(gl, gl.VERTEX_SHADER, VERT));
+  gl.attachShader(prog, compile(gl, gl.FRAGMENT_SHADER, FRAG));
+  gl.linkProgram(prog);
+  if (!gl.getProgramParameter(prog, gl.LINK_STATUS)) throw new Error(gl.getProgramInfoLog(prog) || "program did not link");
+  return prog;
+}
+
+// props: model (buildModel result), cameraRef, floorY (active level floor, m, where walking starts),
+// onClose; children are extra toolbar controls
+export default function Preview3D({ model, cameraRef, floorY = 0, onClose, children }) {
+  const canvasRef = useRef(null);
+  const glRef = useRef(null); // { gl, prog, loc, meshes: [{ pos, normal, count, color, opacity }] }
+  const dirtyRef = useRef(true);
+  const keysRef = useRef(new Set());
+  const dragRef = useRef(null);
+  const [mode, setMode] = useState(() => cameraRef.current?.mode || "orbit");
+  const [failed, setFailed] = useState(null);
+
+  if (!cameraRef.current) cameraRef.current = frameBounds(model.bounds);
+  const setCamera = (cam) => { cameraRef.current = cam; dirtyRef.current = true; };
+
+  /* ============ GL setup + render loop ============ */
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const gl = canvas?.getContext("webgl", { antialias: true });
+    if (!gl) { setFailed("WebGL is not available in this browser."); return; }
+    let prog;
+    try { prog = link(gl); } catch (err) { console.error("3D preview shaders failed", err); setFailed("The 3D view could not start."); return; }
+    const loc = {
+      pos: gl.getAttribLocation(prog, "aPos"), normal: gl.getAttribLocation(prog, "aNormal"),
+      viewProj: gl.getUniformLocation(prog, "uViewProj"), color: gl.getUniformLocation(prog, "uColor"), alpha: gl.getUniformLocation(prog, "uAlpha"),
+    };
+    glRef.current = { gl, prog, loc, meshes: [] };
+
+    const draw = () => {
+      const dpr = window.devicePixelRatio || 1, w = Math.max(1, Math.round(canvas.clientWidth * dpr)), h = Math.max(1, Math.round(canvas.clientHeight * dpr));
+      if (canvas.width !== w || canvas.height !== h) { canvas.width = w; canvas.height = h; }
+      gl.viewport(0, 0, w, h);
+      gl.clearColor(...BACKGROUND, 1);
+      gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+      gl.enable(gl.DEPTH_TEST);
+      gl.useProgram(prog);
+      gl.uniformMatrix4fv(loc.viewProj, false, multiply(perspective(w / h), viewMatrix(cameraRef.current)));
+      gl.enableVertexAttribArray(loc.pos); gl.enableVertexAttribArray(loc.normal);
+      for (const opaque of [true, false]) {
+        if (opaque) { gl.disable(gl.BLEND); gl.depthMask(true); }
+        else { gl.enable(gl.BLEND); gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA); gl.depthMask(false); }
+        for (const m of glRef.current.meshes) {
+          if ((m.opacity >= 1) !== opaque) continue;
+          gl.bindBuffer(gl.ARRAY_BUFFER, m.pos); gl.vertexAttribPointer(loc.pos, 3, gl.FLOAT, false, 0, 0);
+          gl.bindBuffer(gl.ARRAY_BUFFER, m.normal); gl.vertexAttribPointer(loc.normal, 3, gl.FLOAT, false, 0, 0);
+          gl.uniform3fv(loc.color, m.color); gl.uniform1f(loc.alpha, m.opacity);
+          gl.drawArrays(gl.TRIANGLES, 0, m.count);
+        }
+      }
+      gl.depthMask(true);
+    };
+
+    let raf = 0, last = performance.now();
+    const frame = (now) => {
+      const dt = Math.min(0.1, (now - last) / 1000); last = now;
+      const cam = cameraRef.current;
+      if (cam.mode === "walk" && keysRef.current.size) {
+        let f = 0, r = 0;
+        for (const k of keysRef.current) { const v = WALK_KEYS[k]; if (v) { f += v[0]; r += v[1]; } }
+        const step = WALK_SPEED * dt * (keysRef.current.has("shift") ? 3 : 1);
+        if (f || r) { cameraRef.current = walkStep(cam, f * step, r * step); dirtyRef.current = true; }
+      }
+      if (dirtyRef.current) { dirtyRef.current = false; draw(); }
+      raf = requestAnimationFrame(frame);
+    };
+    raf = requestAnimationFrame(frame);
+    const ro = new ResizeObserver(() => { dirtyRef.current = true; });
+    ro.observe(canvas);
+    return () => {
+      cancelAnimationFrame(raf); ro.disconnect();
+      for (const m of glRef.current?.meshes || []) { gl.deleteBuffer(m.pos); gl.deleteBuffer(m.normal); }
+      gl.deleteProgram(prog); glRef.current = null;
+    };
+  }, [cameraRef]);
+
+  /* ============ model -> GPU buffers ============ */
+  useEffect(() => {
+    const g = glRef.current;
+    if (!g) return;
+    const { gl } = g;
+    for (const m of g.meshes) { gl.deleteBuffer(m.pos); gl.deleteBuffer(m.normal); }
+    g.meshes = model.meshes.map((m) => {
+      const buf = (data) => { const b = gl.createBuffer(); gl.bindBuffer(gl.ARRAY_BUFFER, b); gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(data), gl.STATIC_DRAW); return b; };
+      return { pos: buf(m.positions), normal: buf(m.normals), count: m.positions.length / 3, color: m.color, opacity: m.opacity };
+    });
+    dirtyRef.current = true;
+  }, [model]);
+
+  /* ============ walk keys ============ */
+  useEffect(() => {
+    const isTyping = (t) => t?.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(t?.tagName || "");
+    const down = (e) => {
+      if (isTyping(e.target) || e.ctrlKey || e.metaKey || e.altKey) return;
+      const k = e.key.toLowerCase();
+      if (k === "shift" || WALK_KEYS[k]) { keysRef.current.add(k); if (k.startsWith("arrow")) e.preventDefault(); }
+    };
+    const up = (e) => keysRef.current.delete(e.key.toLowerCase());
+    const clear = () => keysRef.current.clear();
+    window.addEventListener("keydown", down); window.addEventListener("keyup", up); window.addEventListener("blur", clear);
+    return () => { window.removeEventListener("keydown", down); window.removeEventListener("keyup", up); window.removeEventListener("blur", clear); };
+  }, []);
+
+  /* ============ pointer ============ */
+  const onPointerDown = (e) => {
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+    dragRef.current = { x: e.clientX, y: e.clientY, pan: e.button === 2 || e.shiftKey };
+  };
+  const onPointerMove = (e) => {
+    const d = dragRef.current;
+    if (!d) return;
+    const dx = e.clientX - d.x, dy = e.clientY - d.y;
+    d.x = e.clientX; d.y = e.clientY;
+    const cam = cameraRef.current;
+    setCamera(d.pan && cam.mode === "orbit" ? panCamera(cam, dx, dy) : turnCamera(cam, cam.mode === "walk" ? -dx : dx, cam.mode === "walk" ? -dy : dy));
+  };
+  const onPointerUp = () => { dragRef.current = null; };
+  const onWheel = (e) => setCamera(zoomCamera(cameraRef.current, e.deltaY < 0 ? 1 / 1.1 : 1.1));
+  const chooseMode = (m) => { setCamera(setCameraMode(cameraRef.current, m, floorY)); setMode(m); };
+  const fit = () => { setCamera({ ...frameBounds(model.bounds), mode: "orbit" }); setMode("orbit"); };
+
+  return (
+    <div style={styles.wrap} role="region" aria-label="3D view">
+      <canvas
+        ref={canvasRef} style={styles.canvas}
+        onPointerDown={onPointerDown} onPointerMove={onPointerMove} onPointerUp={onPointerUp} onPointerCancel={onPointerUp}
+        onWheel={onWheel} onContextMenu={(e) => e.preventDefault()}
+      />
+      <div style={styles.bar}>
+        <button type="button" style={styles.btn(mode === "orbit")} onClick={() => chooseMode("orbit")} title="Orbit: drag to turn, right/Shift-drag to pan, wheel to zoom">Orbit</button>
+        <button type="button" style={styles.btn(mode === "walk")} onClick={() => chooseMode("walk")} title="Walk: drag to look, W A S D / arrows to move, Shift to hurry">Walk</button>
+        <button type="button" style={styles.btn(false)} onClick={fit} title="Show the whole model">Fit</button>
+        {children}
+        <button type="button" style={styles.btn(false)} onClick={onClose} title="Back to the 2D plan">2D</button>
+      </div>
+      {failed && <div style={styles.hint}>{failed}</div>}
+      {!failed && !model.meshes.length && <div style={styles.hint}>Nothing to show yet – draw walls, floors or furniture.</div>}
+      {!failed && mode === "walk" && <div style={styles.hint}>W A S D / arrows to walk · drag to look around · Shift to hurry</div>}
+    </div>
+  );
+}
@@ -0,0 +1,130 @@
+/**
+ * AtlaS – background image adjustments
+ * - Non-destructive: the scan stays as loaded and bgAdjust, kept next to bgImg in every
+ *   snapshot, says how to show it: { rot, flipX, flipY, crop, opacity, grayscale, contrast, brightness }.
+ *   null means "as loaded"; cleanBgAdjust() folds an all-default object back to null.
+ * - crop { x, y, w, h } is in fractions of the unrotated, unflipped image. The cropped image
+ *   is flipped, then rotated (degrees, clockwise on screen) about the centre of its frame –
+ *   the bgOffset / bgImg box – which is how CSS transform + clip-path draw the <img>.
+ * - The same parameters drive the canvas (drawAdjusted), so PNG/PDF/SVG exports match the screen.
+ * - Only the raster background is adjusted; a vector underlay is left as imported.
+ */
+
+import { rotatePoint } from "./geometry.js";
+
+export const DEFAULT_BG_ADJUST = { rot: 0, flipX: false, flipY: false, crop: { x: 0, y: 0, w: 1, h: 1 }, opacity: 1, grayscale: 0, contrast: 1, brightness: 1 };
+export const MIN_CROP = 0.02; // smallest crop side, as a fraction of the image
+// slider ranges (opacity and grayscale are 0…1)
+export const FILTER_RANGE = { contrast: [0.5, 2], brightness: [0.5, 2] };
+
+const num = (v, d) => (Number.isFinite(Number(v)) ? Number(v) : d);
+const clamp = (v, lo, hi) => Math.min(hi, Math.max(lo, v));
+// degrees in (-180, 180]
+export const normRot = (d) => { const r = ((num(d, 0) % 360) + 360) % 360; return r > 180 ? r - 360 : r; };
+
+// the effective parameters, defaults filled in
+export const adjustOf = (a) => ({ ...DEFAULT_BG_ADJUST, ...(a || {}), crop: { ...DEFAULT_BG_ADJUST.crop, ...(a?.crop || {}) } });
+
+function cleanCrop(c) {
+  const x = clamp(num(c?.x, 0), 0, 1 - MIN_CROP), y = clamp(num(c?.y, 0), 0, 1 - MIN_CROP);
+  return { x, y, w: clamp(num(c?.w, 1), MIN_CROP, 1 - x), h: clamp(num(c?.h, 1), MIN_CROP, 1 - y) };
+}
+// validated copy (from a project file or a UI patch), or null when nothing is adjusted
+export function cleanBgAdjust(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const a = {
+    rot: Math.round(normRot(raw.rot) * 100) / 100,
+    flipX: !!raw.flipX, flipY: !!raw.flipY,
+    crop: cleanCrop(raw.crop),
+    opacity: clamp(num(raw.opacity, 1), 0, 1),
+    grayscale: clamp(num(raw.grayscale, 0), 0, 1),
+    contrast: clamp(num(raw.contrast, 1), ...FILTER_RANGE.contrast),
+    brightness: clamp(num(raw.brightness, 1), ...FILTER_RANGE.brightness),
+  };
+  return JSON.stringify(a) === JSON.stringify(DEFAULT_BG_ADJUST) ? null : a;
+}
+
+/* ======================= CSS ======================= */
+// CSS filter, also valid for CanvasRenderingContext2D.filter
+export function bgFilter(adjust) {
+  const a = adjustOf(adjust), parts = [];
+  if (a.grayscale) parts.push(`grayscale(${a.grayscale})`);
+  if (a.contrast !== 1) parts.push(`contrast(${a.contrast})`);
+  if (a.brightness !== 1) parts.push(`brightness(${a.brightness})`);
+  return parts.join(" ") || "none";
+}
+export function bgTransform(adjust) {
+  const a = adjustOf(adjust), parts = [];
+  if (a.rot) parts.push(`rotate(${a.rot}deg)`);
+  if (a.flipX || a.flipY) parts.push(`scale(${a.flipX ? -1 : 1}, ${a.flipY ? -1 : 1})`);
+  return parts.join(" ") || undefined;
+}
+// style for an <img> laid out over its frame
+export function bgStyle(adjust) {
+  const a = adjustOf(adjust), { x, y, w, h } = a.crop, pct = (v) => `${Math.round(v * 10000) / 100}%`;
+  const cropped = x > 0 || y > 0 || w < 1 || h < 1;
+  return {
+    transform: bgTransform(a), transformOrigin: "center",
+    clipPath: cropped ? `inset(${pct(y)} ${pct(1 - x - w)} ${pct(1 - y - h)} ${pct(x)})` : undefined,
+    filter: bgFilter(a) === "none" ? undefined : bgFilter(a),
+    opacity: a.opacity === 1 ? undefined : a.opacity,
+  };
+}
+
+/* ======================= geometry ======================= */
+// image fraction (fx, fy) -> world point, for a frame { x, y, w, h }
+export function fromImage(frame, adjust, fx, fy) {
+  const a = adjustOf(adjust), c = { x: frame.x + frame.w / 2, y: frame.y + frame.h / 2 };
+  const p = { x: c.x + (fx - 0.5) * frame.w * (a.flipX ? -1 : 1), y: c.y + (fy - 0.5) * frame.h * (a.flipY ? -1 : 1) };
+  return rotatePoint(p, c, a.rot);
+}
+// world point -> image fraction { x, y } (may lie outside 0…1)
+export function toImage(frame, adjust, p) {
+  const a = adjustOf(adjust), c = { x: frame.x + frame.w / 2, y: frame.y + frame.h / 2 };
+  const q = rotatePoint(p, c, -a.rot);
+  return { x: 0.5 + ((q.x - c.x) / frame.w) * (a.flipX ? -1 : 1), y: 0.5 + ((q.y - c.y) / frame.h) * (a.flipY ? -1 : 1) };
+}
+// world corners of the visible (cropped, turned) image
+export function bgCorners(frame, adjust) {
+  const { x, y, w, h } = adjustOf(adjust).crop;
+  return [[x, y], [x + w, y], [x + w, y + h], [x, y + h]].map(([fx, fy]) => fromImage(frame, adjust, fx, fy));
+}
+// axis-aligned world box of the visible image: what exports frame
+export function bgBounds(frame, adjust) {
+  if (!adjust) return { ...frame };
+  const pts = bgCorners(frame, adjust), xs = pts.map((p) => p.x), ys = pts.map((p) => p.y);
+  const x = Math.min(...xs), y = Math.min(...ys);
+  return { x, y, w: Math.max(...xs) - x, h: Math.max(...ys) - y };
+}
+
+// crop after dragging `handle` ("n", "se", …: the crop's own sides, before flip/rotation) to world point p
+export function dragCrop(frame, adjust, handle, p) {
+  const { crop } = adjustOf(adjust), f = toImage(frame, adjust, p);
+  let L = crop.x, T = crop.y, R = crop.x + crop.w, B = crop.y + crop.h;
+  if (handle.includes("w")) L = clamp(f.x, 0, R - MIN_CROP);
+  if (handle.includes("e")) R = clamp(f.x, L + MIN_CROP, 1);
+  if (handle.includes("n")) T = clamp(f.y, 0, B - MIN_CROP);
+  if (handle.includes("s")) B = clamp(f.y, T + MIN_CROP, 1);
+  return { x: L, y: T, w: R - L, h: B - T };
+}
+
+// rotation that turns the drawn line a→b (world) level or plumb, whichever is nearer
+export function straightenRot(adjust, a, b) {
+  const deg = (Math.atan2(b.y - a.y, b.x - a.x) * 180) / Math.PI;
+  return normRot(adjustOf(adjust).rot - (deg - 90 * Math.round(deg / 90)));
+}
+
+/* ======================= canvas ======================= */
+// img drawn into `frame` (ctx coordinates) the way the screen shows it
+export function drawAdjusted(ctx, img, frame, adjust) {
+  const a = adjustOf(adjust), { crop } = a;
+  ctx.save();
+  ctx.translate(frame.x + frame.w / 2, frame.y + frame.h / 2);
+  ctx.rotate((a.rot * Math.PI) / 180);
+  ctx.scale(a.flipX ? -1 : 1, a.flipY ? -1 : 1);
+  ctx.beginPath(); ctx.rect((crop.x - 0.5) * frame.w, (crop.y - 0.5) * frame.h, crop.w * frame.w, crop.h * frame.h); ctx.clip();
+  ctx.globalAlpha *= a.opacity;
+  if (bgFilter(a) !== "none") ctx.filter = bgFilter(a);
+  ctx.drawImage(img, -frame.w / 2, -frame.h / 2, frame.w, frame.h);
+  ctx.restore();
+}
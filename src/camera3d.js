@@ -0,0 +1,82 @@
+/**
+ * AtlaS – 3D preview camera (metres, y up; see model3d.js)
+ * - One camera state for both modes: { mode: "orbit" | "walk", target, dist, eye, yaw, pitch }.
+ *   Orbit circles `target` at `dist`; walk stands at `eye`. yaw turns about y, pitch > 0 looks down.
+ * - Matrices are column-major Float32Arrays, ready for WebGL uniforms.
+ */
+
+export const EYE_HEIGHT_CM = 160;
+const FOV = (55 * Math.PI) / 180;
+const MAX_PITCH = 1.45;
+
+// unit view direction
+export const lookDir = (yaw, pitch) => [-Math.cos(pitch) * Math.sin(yaw), -Math.sin(pitch), -Math.cos(pitch) * Math.cos(yaw)];
+
+export function eyeOf(cam) {
+  if (cam.mode === "walk") return cam.eye;
+  const l = lookDir(cam.yaw, cam.pitch);
+  return [cam.target[0] - l[0] * cam.dist, cam.target[1] - l[1] * cam.dist, cam.target[2] - l[2] * cam.dist];
+}
+
+// orbit camera that shows the whole model (bounds from buildModel)
+export function frameBounds(bounds) {
+  if (!bounds) return { mode: "orbit", target: [0, 0, 0], dist: 10, eye: [0, 1.6, 0], yaw: Math.PI / 4, pitch: 0.6 };
+  const c = [0, 1, 2].map((i) => (bounds.min[i] + bounds.max[i]) / 2);
+  const r = Math.hypot(...[0, 1, 2].map((i) => bounds.max[i] - bounds.min[i])) / 2 || 1;
+  return { mode: "orbit", target: c, dist: r / Math.sin(FOV / 2), eye: [c[0], bounds.min[1] + EYE_HEIGHT_CM / 100, c[2]], yaw: Math.PI / 4, pitch: 0.6 };
+}
+
+// mouse-drag look: dx/dy in screen px
+export const turnCamera = (cam, dx, dy) => ({ ...cam, yaw: cam.yaw - dx * 0.005, pitch: Math.max(-MAX_PITCH, Math.min(MAX_PITCH, cam.pitch + dy * 0.005)) });
+
+export const zoomCamera = (cam, factor) => (cam.mode === "walk" ? walkStep(cam, (1 - factor) * 2, 0) : { ...cam, dist: Math.max(0.5, Math.min(1000, cam.dist * factor)) });
+
+// orbit: slide the target in the view plane by dx/dy screen px
+export function panCamera(cam, dx, dy) {
+  const { x, y } = basis(cam), k = cam.dist * 0.0015;
+  return { ...cam, target: cam.target.map((v, i) => v - x[i] * dx * k + y[i] * dy * k) };
+}
+
+// walk: move forward/right by metres along the floor
+export function walkStep(cam, forward, right) {
+  const f = [-Math.sin(cam.yaw), 0, -Math.cos(cam.yaw)], r = [Math.cos(cam.yaw), 0, -Math.sin(cam.yaw)];
+  return { ...cam, eye: cam.eye.map((v, i) => v + f[i] * forward + r[i] * right) };
+}
+
+// switch modes keeping the heading; walking starts at eye height above `floorY` under the orbit target
+export function setCameraMode(cam, mode, floorY) {
+  if (mode === cam.mode) return cam;
+  if (mode === "walk") return { ...cam, mode, pitch: 0, eye: [cam.target[0], floorY + EYE_HEIGHT_CM / 100, cam.target[2]] };
+  const l = lookDir(cam.yaw, cam.pitch);
+  return { ...cam, mode, pitch: Math.max(0.3, cam.pitch), target: cam.eye.map((v, i) => v + l[i] * cam.dist) };
+}
+
+/* ======================= matrices ======================= */
+export function perspective(aspect, near = 0.05, far = 2000) {
+  const f = 1 / Math.tan(FOV / 2), nf = 1 / (near - far);
+  return new Float32Array([f / aspect, 0, 0, 0, 0, f, 0, 0, 0, 0, (far + near) * nf, -1, 0, 0, 2 * far * near * nf, 0]);
+}
+
+// camera axes: x right, y up, z backwards (away from the view direction)
+function basis(cam) {
+  const z = lookDir(cam.yaw, cam.pitch).map((v) => -v);
+  let x = [z[2], 0, -z[0]]; // y-up × z
+  const xl = Math.hypot(...x) || 1; x = x.map((v) => v / xl);
+  return { x, y: [z[1] * x[2] - z[2] * x[1], z[2] * x[0] - z[0] * x[2], z[0] * x[1] - z[1] * x[0]], z };
+}
+
+export function viewMatrix(cam) {
+  const e = eyeOf(cam), { x, y, z } = basis(cam);
+  const d = (a) => -(a[0] * e[0] + a[1] * e[1] + a[2] * e[2]);
+  return new Float32Array([x[0], y[0], z[0], 0, x[1], y[1], z[1], 0, x[2], y[2], z[2], 0, d(x), d(y), d(z), 1]);
+}
+
+export function multiply(a, b) {
+  const out = new Float32Array(16);
+  for (let c = 0; c < 4; c++) for (let r = 0; r < 4; r++) {
+    let s = 0;
+    for (let k = 0; k < 4; k++) s += a[k * 4 + r] * b[c * 4 + k];
+    out[c * 4 + r] = s;
+  }
+  return out;
+}
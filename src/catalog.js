@@ -0,0 +1,82 @@
+/**
+ * AtlaS – furniture catalogue
+ * - Every entry has a real footprint in cm: `w` (width, along the item's x axis) and
+ *   `d` (depth, along y). Placed items copy it as { type, w, d } and are drawn at
+ *   lengthPx(w/d, calib), so they show at true size once the plan is calibrated.
+ * - `h` is the height in cm, used for the 3D preview (0: flat, nothing to extrude).
+ * - `symbol` names the top-down drawing in FurnitureSymbol.jsx (defaults to `type`).
+ * - "bed", "table", "chair" and "door" are the types of the original palette; keep them.
+ */
+
+export const CATALOG = [
+  {
+    key: "kitchen", label: "Kitchen",
+    items: [
+      { type: "counter", label: "Base cabinet", w: 60, d: 60, h: 90 },
+      { type: "kitchenSink", label: "Sink unit", w: 80, d: 60, h: 90 },
+      { type: "cooktop", label: "Cooktop", w: 60, d: 60, h: 90 },
+      { type: "fridge", label: "Fridge", w: 60, d: 65, h: 180 },
+      { type: "dishwasher", label: "Dishwasher", w: 60, d: 60, h: 85 },
+      { type: "table", label: "Dining table", w: 160, d: 90, h: 75 },
+      { type: "chair", label: "Chair", w: 45, d: 50, h: 90 },
+    ],
+  },
+  {
+    key: "bathroom", label: "Bathroom",
+    items: [
+      { type: "bathtub", label: "Bathtub", w: 170, d: 75, h: 55 },
+      { type: "shower", label: "Shower tray", w: 90, d: 90, h: 10 },
+      { type: "toilet", label: "Toilet", w: 40, d: 65, h: 75 },
+      { type: "washbasin", label: "Washbasin", w: 60, d: 45, h: 85 },
+      { type: "washer", label: "Washing machine", w: 60, d: 60, h: 85 },
+    ],
+  },
+  {
+    key: "office", label: "Office",
+    items: [
+      { type: "desk", label: "Desk", w: 140, d: 70, h: 75 },
+      { type: "officeChair", label: "Office chair", w: 60, d: 60, h: 100 },
+      { type: "bookshelf", label: "Bookshelf", w: 80, d: 35, h: 200 },
+      { type: "cabinet", label: "Filing cabinet", w: 45, d: 60, h: 130 },
+    ],
+  },
+  {
+    key: "living", label: "Living",
+    items: [
+      { type: "sofa", label: "Sofa", w: 210, d: 90, h: 85 },
+      { type: "armchair", label: "Armchair", w: 85, d: 85, h: 85, symbol: "sofa" },
+      { type: "coffeeTable", label: "Coffee table", w: 110, d: 60, h: 45 },
+      { type: "tvUnit", label: "TV unit", w: 160, d: 45, h: 50 },
+    ],
+  },
+  {
+    key: "bedroom", label: "Bedroom",
+    items: [
+      { type: "bed", label: "Double bed", w: 160, d: 200, h: 50 },
+      { type: "singleBed", label: "Single bed", w: 90, d: 200, h: 50, symbol: "bed" },
+      { type: "nightstand", label: "Nightstand", w: 45, d: 40, h: 55 },
+      { type: "wardrobe", label: "Wardrobe", w: 120, d: 60, h: 220 },
+      { type: "dresser", label: "Dresser", w: 100, d: 50, h: 80 },
+    ],
+  },
+  {
+    key: "doors", label: "Doors",
+    items: [
+      { type: "door", label: "Door", w: 90, d: 90, h: 0 },
+    ],
+  },
+];
+
+export const CATALOG_ITEMS = Object.fromEntries(CATALOG.flatMap((c) => c.items.map((it) => [it.type, it])));
+export const catalogEntry = (type) => CATALOG_ITEMS[type] || null;
+
+// categories (extra ones first, e.g. custom symbols) with only the entries whose label,
+// type or category matches every word of q
+export function searchCatalog(q, extra = []) {
+  const all = [...extra, ...CATALOG];
+  const words = String(q || "").toLowerCase().split(/\s+/).filter(Boolean);
+  if (!words.length) return all.filter((c) => c.items.length);
+  return all
+    .map((c) => ({ ...c, items: c.items.filter((it) => words.every((w) => `${it.label} ${it.type} ${c.label}`.toLowerCase().includes(w))) }))
+    .filter((c) => c.items.length);
+}
@@ -0,0 +1,68 @@
+/**
+ * AtlaS – copy / paste of shapes
+ * - The system clipboard carries a JSON payload under CLIPBOARD_MIME (and as text/plain,
+ *   for browsers that drop custom types), so shapes can move between two open tabs:
+ *   { format, version, pxPerCm, layers:{ walls, windows, floors, items, wallLines, dims, openings }, symbols }
+ *   `symbols` are the custom SVG symbols the copied items use, so they paste into other documents.
+ * - Coordinates stay in the source document's world px; pxPerCm records its scale, so a
+ *   paste into a document calibrated differently keeps the real-world size.
+ */
+
+import { LAYER_OF, selectedShape, boxOf, SELECTABLE_KINDS } from "./selection.js";
+import { newOpeningId } from "./walls.js";
+
+export const CLIPBOARD_MIME = "application/x-atlas-shapes+json";
+const CLIPBOARD_FORMAT = "atlas-shapes";
+const CLIPBOARD_VERSION = 1;
+
+// payload for the selected shapes (+ openings hosted by selected wall lines)
+export function copySelection(layers, sel, calib) {
+  const out = { walls: [], windows: [], floors: [], items: [], wallLines: [], dims: [], openings: [] };
+  for (const s of sel) { const shape = selectedShape(layers, s); if (shape) out[LAYER_OF[s.kind]].push(shape); }
+  const walls = new Set(out.wallLines.map((w) => w.id));
+  out.openings = layers.openings.filter((o) => walls.has(o.wallId));
+  const symbols = (layers.symbols || []).filter((sym) => out.items.some((it) => it.type === sym.id));
+  return { format: CLIPBOARD_FORMAT, version: CLIPBOARD_VERSION, pxPerCm: calib?.pxPerCm || null, layers: out, symbols };
+}
+
+// payload or null when the text is not ours
+export function parseClip(text) {
+  if (!text) return null;
+  try {
+    const raw = JSON.parse(text);
+    if (raw?.format !== CLIPBOARD_FORMAT || !raw.layers || typeof raw.layers !== "object") return null;
+    const layers = {};
+    for (const k of [...Object.values(LAYER_OF), "openings"]) layers[k] = Array.isArray(raw.layers[k]) ? raw.layers[k] : [];
+    return { ...raw, layers, symbols: Array.isArray(raw.symbols) ? raw.symbols : [] };
+  } catch { return null; }
+}
+
+/**
+ * The payload's shapes centred on `at` (world px), scaled to the target calibration,
+ * with fresh ids from newId(kind). -> { add:{ <layer>: [...] }, sel } where sel selects them.
+ */
+export function placeClip(clip, at, calib, newId) {
+  const k = clip.pxPerCm && calib?.pxPerCm ? calib.pxPerCm / clip.pxPerCm : 1;
+  const boxes = SELECTABLE_KINDS.flatMap((kind) => clip.layers[LAYER_OF[kind]].map((s) => boxOf(kind, s, { pxPerCm: clip.pxPerCm })));
+  if (!boxes.length) return { add: {}, sel: [] };
+  const x0 = Math.min(...boxes.map((b) => b.x)), y0 = Math.min(...boxes.map((b) => b.y));
+  const cx = (x0 + Math.max(...boxes.map((b) => b.x + b.w))) / 2, cy = (y0 + Math.max(...boxes.map((b) => b.y + b.h))) / 2;
+  const pt = (p) => ({ x: at.x + (p.x - cx) * k, y: at.y + (p.y - cy) * k });
+
+  const add = {}, sel = [], wallIds = new Map();
+  for (const kind of SELECTABLE_KINDS) {
+    add[LAYER_OF[kind]] = clip.layers[LAYER_OF[kind]].map((s) => {
+      const id = newId(kind);
+      sel.push({ kind, id });
+      if (kind === "wallLine") { wallIds.set(s.id, id); return { ...s, id, a: pt(s.a), b: pt(s.b) }; }
+      if (kind === "dim") return { ...s, id, a: pt(s.a), b: pt(s.b) };
+      if (Array.isArray(s.points)) return { ...s, id, points: s.points.map(pt) };
+      if (kind === "item") return { ...s, id, ...pt(s) }; // w/d are real cm, no rescaling
+      return { ...s, id, ...pt(s), w: s.w * k, h: s.h * k };
+    });
+  }
+  add.openings = clip.layers.openings
+    .filter((o) => wallIds.has(o.wallId))
+    .map((o) => ({ ...o, id: newOpeningId(o.kind), wallId: wallIds.get(o.wallId), offset: o.offset * k }));
+  return { add, sel };
+}
@@ -0,0 +1,12 @@
+/**
+ * AtlaS – colour helpers shared by the exporters (PDF, SVG, DXF)
+ * - Canvas colours (App.jsx COLORS, shape colours) are "#rrggbb" or "rgb(a)(…)" strings.
+ */
+
+// "#rrggbb" or "rgba(r,g,b,a)" -> { rgb: [0..1 ×3], a }
+export function parseColor(c) {
+  const m = /^rgba?\(([^)]+)\)$/.exec(c);
+  if (m) { const [r, g, b, a = 1] = m[1].split(",").map(Number); return { rgb: [r / 255, g / 255, b / 255], a }; }
+  const n = parseInt(String(c).slice(1), 16);
+  return { rgb: [(n >> 16) / 255, ((n >> 8) & 255) / 255, (n & 255) / 255], a: 1 };
+}
@@ -0,0 +1,143 @@
+/**
+ * AtlaS – DXF export for CAD
+ * - buildDxf() writes an ASCII DXF (R12 entities, readable by AutoCAD and LibreCAD) of one
+ *   calibrated plan, in millimetres with y up ($INSUNITS 4). Plan y grows down, so it is negated.
+ * - One DXF layer per COLORS category (WALLS, WINDOWS, FLOORS, coloured with the nearest
+ *   AutoCAD colour index), plus DOORS, FURNITURE, DIMENSIONS and one per annotation layer.
+ *   Layers hidden in the layer stack are written switched off.
+ * - Furniture is a block per type and footprint (centred on its origin: outline and label),
+ *   placed with INSERT at the item's centre and rotation.
+ * - Dimension lines are plain LINE + arrowheads + TEXT, not DIMENSION entities, so they
+ *   survive any reader unchanged.
+ */
+
+import { shapePoints, shapeBox, rectCorners, polygonArea } from "./geometry.js";
+import { wallOutline, openingFrame, openingCorners, doorSwing } from "./walls.js";
+import { itemRect } from "./selection.js";
+import { layerOfShape } from "./layer-stack.js";
+import { pxToCm, formatPx, formatPx2, dist } from "./units.js";
+import { parseColor } from "./color.js";
+
+export const DXF_EXT = ".dxf";
+export const DXF_MIME = "application/dxf";
+const TEXT_MM = 150, ARROW_MM = 120;
+
+// AutoCAD colour index: the basic colours, enough to tell categories apart
+const ACI = [[1, [255, 0, 0]], [2, [255, 255, 0]], [3, [0, 255, 0]], [4, [0, 255, 255]], [5, [0, 0, 255]], [6, [255, 0, 255]], [8, [128, 128, 128]], [30, [255, 127, 0]], [7, [255, 255, 255]]];
+function aciOf(color) {
+  const rgb = parseColor(color).rgb.map((v) => v * 255);
+  const d = (c) => c.reduce((s, v, i) => s + (v - rgb[i]) ** 2, 0);
+  return ACI.reduce((best, a) => (d(a[1]) < d(best[1]) ? a : best))[0];
+}
+
+// DXF names: letters, digits, - and _ only; text: ASCII, anything else as a \U+XXXX escape
+const dxfName = (s) => String(s).toUpperCase().replace(/[^A-Z0-9_-]+/g, "_").slice(0, 31) || "_";
+const dxfText = (s) => String(s).replace(/[^\x20-\x7e]/g, (ch) => `\\U+${ch.charCodeAt(0).toString(16).toUpperCase().padStart(4, "0")}`);
+const f = (v) => String(Math.round(v * 1000) / 1000);
+
+/**
+ * state: { walls, wallLines, openings, windows, floors, items, dims, layerStack, calib } (calibrated)
+ * opts.colors: App.jsx COLORS ({ wall, window, floor } × { fill, stroke })
+ * opts.itemLabel(item): label written into an item's block
+ * Returns the file as a string.
+ */
+export function buildDxf(state, { colors, itemLabel = (it) => it.type }) {
+  const { calib, layerStack } = state;
+  if (!(calib?.pxPerCm > 0)) throw new Error("The plan needs a scale calibration to export real units.");
+  const mm = (p) => ({ x: pxToCm(p.x, calib) * 10, y: -pxToCm(p.y, calib) * 10 });
+  const visible = (id) => layerStack.find((l) => l.id === id)?.visible !== false;
+
+  // layers: name -> { color, on }
+  const layers = new Map();
+  const addLayer = (name, color, on) => { if (!layers.has(name)) layers.set(name, { color, on }); return name; };
+  const CAT = Object.fromEntries(Object.keys(colors).map((k) => [k, `${k.toUpperCase()}S`]));
+  addLayer(CAT.wall, aciOf(colors.wall.stroke), visible("walls"));
+  addLayer(CAT.window, aciOf(colors.window.stroke), visible("windows"));
+  addLayer(CAT.floor, aciOf(colors.floor.stroke), visible("floors"));
+  addLayer("DOORS", 8, visible("walls"));
+  addLayer("FURNITURE", 7, visible("items"));
+  const dimLayer = (d) => {
+    const id = layerOfShape(layerStack, "dim", d), l = layerStack.find((x) => x.id === id);
+    return id === "dims" ? addLayer("DIMENSIONS", 30, visible("dims")) : addLayer(dxfName(`DIM_${l.name}`), 30, l.visible);
+  };
+
+  // entities as [code, value] pairs
+  const out = [];
+  const g = (...pairs) => { for (let i = 0; i < pairs.length; i += 2) out.push(pairs[i], pairs[i + 1]); };
+  const xy = (p, i = 0) => [10 + i, f(p.x), 20 + i, f(p.y), 30 + i, "0.0"];
+  const line = (layer, a, b) => g(0, "LINE", 8, layer, ...xy(a), ...xy(b, 1));
+  const poly = (layer, pts, closed = true) => {
+    g(0, "POLYLINE", 8, layer, 66, 1, 10, "0.0", 20, "0.0", 30, "0.0", 70, closed ? 1 : 0);
+    for (const p of pts) g(0, "VERTEX", 8, layer, ...xy(p));
+    g(0, "SEQEND", 8, layer);
+  };
+  // centred on p, rotated deg counter-clockwise
+  const text = (layer, s, p, h = TEXT_MM, deg = 0) => s && g(0, "TEXT", 8, layer, ...xy(p), 40, f(h), 1, dxfText(s), 50, f(deg), 72, 1, ...xy(p, 1), 73, 2);
+  const solid = (layer, [a, b, c]) => g(0, "SOLID", 8, layer, ...xy(a), ...xy(b, 1), ...xy(c, 2), ...xy(c, 3));
+
+  for (const s of state.floors) {
+    const b = shapeBox(s);
+    poly(CAT.floor, shapePoints(s).map(mm));
+    text(CAT.floor, [s.name, formatPx2(polygonArea(shapePoints(s)), calib)].filter(Boolean).join(" "), mm({ x: b.x + b.w / 2, y: b.y + b.h / 2 }));
+  }
+  for (const s of state.walls) poly(CAT.wall, shapePoints(s).map(mm));
+  for (const s of state.wallLines) poly(CAT.wall, wallOutline(state.wallLines, s, calib).map(mm));
+  for (const o of state.openings) {
+    const host = state.wallLines.find((w) => w.id === o.wallId);
+    if (!host) continue;
+    const fr = openingFrame(host, o, calib);
+    if (o.kind === "window") { poly(CAT.window, openingCorners(fr).map(mm)); continue; }
+    // DXF arcs run counter-clockwise (y up); the plan's swing runs clockwise on screen when sweep is 1
+    const sw = doorSwing(fr, o), h = mm(sw.hinge), op = mm(sw.open), cl = mm(sw.closed);
+    const ang = (p) => (Math.atan2(p.y - h.y, p.x - h.x) * 180) / Math.PI;
+    const [from, to] = sw.sweep ? [ang(cl), ang(op)] : [ang(op), ang(cl)];
+    line("DOORS", h, op);
+    g(0, "ARC", 8, "DOORS", ...xy(h), 40, f(dist(h, op)), 50, f(from), 51, f(to));
+  }
+  for (const s of state.windows) poly(CAT.window, shapePoints(s).map(mm));
+
+  // furniture: one block per type and size, inserted at the item's centre
+  const blocks = new Map();
+  for (const it of state.items) {
+    const r = itemRect(it, calib), name = dxfName(`${it.type}_${Math.round(it.w)}x${Math.round(it.d)}`);
+    if (!blocks.has(name)) blocks.set(name, { w: it.w * 10, d: it.d * 10, label: itemLabel(it) });
+    g(0, "INSERT", 8, "FURNITURE", 2, name, ...xy(mm({ x: r.x + r.w / 2, y: r.y + r.h / 2 })), 50, f(-(it.rot || 0)));
+  }
+
+  for (const d of state.dims) {
+    const layer = dimLayer(d), a = mm(d.a), b = mm(d.b), len = dist(a, b);
+    if (!(len > 0)) continue;
+    const u = { x: (b.x - a.x) / len, y: (b.y - a.y) / len }, head = Math.min(ARROW_MM, len / 3);
+    const arrow = (tip, s) => [tip, { x: tip.x - s * u.x * head - u.y * head * 0.4, y: tip.y - s * u.y * head + u.x * head * 0.4 }, { x: tip.x - s * u.x * head + u.y * head * 0.4, y: tip.y - s * u.y * head - u.x * head * 0.4 }];
+    line(layer, a, b); solid(layer, arrow(b, 1)); solid(layer, arrow(a, -1));
+    let deg = (Math.atan2(u.y, u.x) * 180) / Math.PI;
+    if (Math.abs(deg) > 90) deg -= Math.sign(deg) * 180;
+    const r = (deg * Math.PI) / 180, off = TEXT_MM * 0.8;
+    text(layer, formatPx(dist(d.a, d.b), calib), { x: (a.x + b.x) / 2 - Math.sin(r) * off, y: (a.y + b.y) / 2 + Math.cos(r) * off }, TEXT_MM, deg);
+  }
+  const entities = out.splice(0);
+
+  for (const [name, b] of blocks) {
+    g(0, "BLOCK", 8, "0", 2, name, 70, 0, 10, "0.0", 20, "0.0", 30, "0.0", 3, name);
+    poly("0", rectCorners({ x: -b.w / 2, y: -b.d / 2, w: b.w, h: b.d }));
+    text("0", b.label, { x: 0, y: 0 }, Math.min(TEXT_MM, b.d / 3));
+    g(0, "ENDBLK", 8, "0");
+  }
+  const blockDefs = out.splice(0);
+
+  g(0, "SECTION", 2, "HEADER", 9, "$ACADVER", 1, "AC1009", 9, "$INSUNITS", 70, 4, 9, "$MEASUREMENT", 70, 1, 0, "ENDSEC");
+  g(0, "SECTION", 2, "TABLES");
+  g(0, "TABLE", 2, "LTYPE", 70, 1, 0, "LTYPE", 2, "CONTINUOUS", 70, 0, 3, "Solid line", 72, 65, 73, 0, 40, "0.0", 0, "ENDTAB");
+  g(0, "TABLE", 2, "LAYER", 70, layers.size + 1, 0, "LAYER", 2, "0", 70, 0, 62, 7, 6, "CONTINUOUS");
+  // a negative colour switches the layer off
+  for (const [name, l] of layers) g(0, "LAYER", 2, name, 70, 0, 62, l.on ? l.color : -l.color, 6, "CONTINUOUS");
+  g(0, "ENDTAB", 0, "ENDSEC");
+  g(0, "SECTION", 2, "BLOCKS");
+  out.push(...blockDefs);
+  g(0, "ENDSEC", 0, "SECTION", 2, "ENTITIES");
+  out.push(...entities);
+  g(0, "ENDSEC", 0, "EOF");
+  const lines = [];
+  for (let i = 0; i < out.length; i += 2) lines.push(String(out[i]).padStart(3), String(out[i + 1]));
+  return `${lines.join("\r\n")}\r\n`;
+}
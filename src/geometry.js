@@ -0,0 +1,55 @@
+/**
+ * AtlaS – plane geometry helpers (world px)
+ * - rects are { x, y, w, h }, points are { x, y }.
+ * - polygon shapes (floors) carry `points` instead of x/y/w/h; shapePoints()
+ *   and shapeBox() let callers treat both alike.
+ * - rects may carry `rot`: degrees, clockwise on screen, about the rect centre
+ *   (x/y/w/h stay the unrotated frame, the way CSS rotate() draws it).
+ */
+
+export const normDeg = (d) => ((d % 360) + 360) % 360;
+// p rotated by deg (clockwise on screen, y points down) about c
+export function rotatePoint(p, c, deg) {
+  if (!deg) return { x: p.x, y: p.y };
+  const a = (deg * Math.PI) / 180, cos = Math.cos(a), sin = Math.sin(a), dx = p.x - c.x, dy = p.y - c.y;
+  return { x: c.x + dx * cos - dy * sin, y: c.y + dx * sin + dy * cos };
+}
+
+export const rectCenter = (r) => ({ x: r.x + r.w / 2, y: r.y + r.h / 2 });
+export const rectCorners = (r) => [
+  { x: r.x, y: r.y }, { x: r.x + r.w, y: r.y }, { x: r.x + r.w, y: r.y + r.h }, { x: r.x, y: r.y + r.h },
+].map((p) => rotatePoint(p, rectCenter(r), r.rot));
+export const shapePoints = (s) => (Array.isArray(s.points) ? s.points : rectCorners(s));
+// axis-aligned bounding box { x, y, w, h } (of the rotated outline for rotated rects)
+export function shapeBox(s) {
+  if (!Array.isArray(s.points) && !s.rot) return { x: s.x, y: s.y, w: s.w, h: s.h };
+  const pts = shapePoints(s), xs = pts.map((p) => p.x), ys = pts.map((p) => p.y);
+  const x = Math.min(...xs), y = Math.min(...ys);
+  return { x, y, w: Math.max(...xs) - x, h: Math.max(...ys) - y };
+}
+// same shape with its bounding box moved to (nx, ny)
+export function moveShapeTo(s, nx, ny) {
+  const b = shapeBox(s), dx = nx - b.x, dy = ny - b.y;
+  if (!Array.isArray(s.points)) return { ...s, x: s.x + dx, y: s.y + dy };
+  return { ...s, points: s.points.map((p) => ({ x: p.x + dx, y: p.y + dy })) };
+}
+
+// closest point to p on segment a→b, with t in [0,1] along it
+export function closestOnSegment(p, a, b) {
+  const dx = b.x - a.x, dy = b.y - a.y;
+  const len2 = dx * dx + dy * dy;
+  const t = len2 ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / len2)) : 0;
+  return { x: a.x + dx * t, y: a.y + dy * t, t };
+}
+
+// shoelace area (always positive) and closed-loop perimeter
+export function polygonArea(pts) {
+  let s = 0;
+  for (let i = 0; i < pts.length; i++) { const a = pts[i], b = pts[(i + 1) % pts.length]; s += a.x * b.y - b.x * a.y; }
+  return Math.abs(s) / 2;
+}
+export function polygonPerimeter(pts) {
+  let s = 0;
+  for (let i = 0; i < pts.length; i++) { const a = pts[i], b = pts[(i + 1) % pts.length]; s += Math.hypot(b.x - a.x, b.y - a.y); }
+  return s;
+}
@@ -0,0 +1,101 @@
+/**
+ * AtlaS – glTF 2.0 binary (.glb) export
+ * - exportGlb(doc) is a pure function of a project document (project.js, any version) and
+ *   returns the file as a Uint8Array; it needs no DOM, so it runs in Node too.
+ * - Geometry comes from buildModel() (model3d.js): metres, y up, flat-shaded triangles.
+ * - Scene: one node per level (named after it, extras: { level, heightCm }) with one child
+ *   node per element, named by the element id (extras: { kind, level }). A wall, floor or
+ *   item is one mesh; a window's node holds its glass.
+ * - One material per colour; glass is alpha-blended.
+ */
+
+import { migrateProject } from "./project.js";
+import { buildModel } from "./model3d.js";
+import { cleanLayerStack } from "./layer-stack.js";
+
+export const GLB_EXT = ".glb";
+export const GLB_MIME = "model/gltf-binary";
+const GLB_MAGIC = 0x46546c67, CHUNK_JSON = 0x4e4f534a, CHUNK_BIN = 0x004e4942;
+const FLOAT = 5126, ARRAY_BUFFER = 34962, TRIANGLES = 4;
+
+// project document -> the level list buildModel() takes
+export function docLevels(doc) {
+  return migrateProject(doc).levels.map((l) => ({
+    id: l.id, name: l.name, heightCm: l.heightCm,
+    state: { ...l.layers, calib: l.calibration || null, layerStack: cleanLayerStack(l.layerStack) },
+  }));
+}
+
+const pad4 = (n) => (4 - (n % 4)) % 4;
+
+export function exportGlb(doc) {
+  const levels = docLevels(doc);
+  const { meshes } = buildModel(levels, { byElement: true });
+  const json = {
+    asset: { version: "2.0", generator: "AtlaS" },
+    scene: 0, scenes: [{ name: "AtlaS plan", nodes: [] }],
+    nodes: [], meshes: [], materials: [], accessors: [], bufferViews: [], buffers: [],
+  };
+
+  // binary chunk: one tightly packed float view per attribute
+  const parts = [];
+  let binLength = 0;
+  const accessor = (values, withBounds) => {
+    const data = new Float32Array(values);
+    json.bufferViews.push({ buffer: 0, byteOffset: binLength, byteLength: data.byteLength, target: ARRAY_BUFFER });
+    parts.push(data); binLength += data.byteLength;
+    const a = { bufferView: json.bufferViews.length - 1, componentType: FLOAT, count: data.length / 3, type: "VEC3" };
+    if (withBounds) {
+      a.min = [Infinity, Infinity, Infinity]; a.max = [-Infinity, -Infinity, -Infinity];
+      for (let i = 0; i < data.length; i++) { a.min[i % 3] = Math.min(a.min[i % 3], data[i]); a.max[i % 3] = Math.max(a.max[i % 3], data[i]); }
+    }
+    json.accessors.push(a);
+    return json.accessors.length - 1;
+  };
+  const materials = new Map();
+  const material = (m) => {
+    const key = `${m.color.join(",")}|${m.opacity}`;
+    if (!materials.has(key)) {
+      json.materials.push({
+        name: m.name.split(" – ").pop(),
+        pbrMetallicRoughness: { baseColorFactor: [...m.color, m.opacity], metallicFactor: 0, roughnessFactor: 0.9 },
+        ...(m.opacity < 1 ? { alphaMode: "BLEND" } : {}),
+      });
+      materials.set(key, json.materials.length - 1);
+    }
+    return materials.get(key);
+  };
+
+  for (const lv of levels) {
+    const byId = new Map();
+    for (const m of meshes) if (m.level === lv.id) { if (!byId.has(m.id)) byId.set(m.id, []); byId.get(m.id).push(m); }
+    const children = [];
+    for (const [id, list] of byId) {
+      json.meshes.push({
+        name: String(id),
+        primitives: list.map((m) => ({ attributes: { POSITION: accessor(m.positions, true), NORMAL: accessor(m.normals) }, material: material(m), mode: TRIANGLES })),
+      });
+      json.nodes.push({ name: String(id), mesh: json.meshes.length - 1, extras: { kind: list[0].kind, level: lv.id } });
+      children.push(json.nodes.length - 1);
+    }
+    json.nodes.push({ name: lv.name, ...(children.length ? { children } : {}), extras: { level: lv.id, heightCm: lv.heightCm } });
+    json.scenes[0].nodes.push(json.nodes.length - 1);
+  }
+  if (binLength) json.buffers.push({ byteLength: binLength });
+  // glTF does not allow empty top-level arrays
+  for (const k of ["meshes", "materials", "accessors", "bufferViews", "buffers"]) if (!json[k].length) delete json[k];
+
+  const jsonBytes = new TextEncoder().encode(JSON.stringify(json));
+  const jsonLength = jsonBytes.length + pad4(jsonBytes.length), binPadded = binLength + pad4(binLength);
+  const total = 12 + 8 + jsonLength + (binLength ? 8 + binPadded : 0);
+  const out = new Uint8Array(total), view = new DataView(out.buffer);
+  view.setUint32(0, GLB_MAGIC, true); view.setUint32(4, 2, true); view.setUint32(8, total, true);
+  view.setUint32(12, jsonLength, true); view.setUint32(16, CHUNK_JSON, true);
+  out.set(jsonBytes, 20); out.fill(0x20, 20 + jsonBytes.length, 20 + jsonLength);
+  if (binLength) {
+    let at = 20 + jsonLength;
+    view.setUint32(at, binPadded, true); view.setUint32(at + 4, CHUNK_BIN, true); at += 8;
+    for (const p of parts) { out.set(new Uint8Array(p.buffer), at); at += p.byteLength; }
+  }
+  return out;
+}
@@ -0,0 +1,108 @@
+/**
+ * AtlaS – properties inspector (world px)
+ * - inspectFields() lists the editable fields of one selected shape:
+ *   [{ key, label, value, unit?, type: "number" | "text" | "color" | "notes", min? }].
+ * - applyField() turns one edited field into a layer patch (like selection.js), so moving
+ *   a wall line by its X/Y keeps the joined ends of its neighbours attached.
+ * - Real-world fields (in the calibration unit) only show once the plan is calibrated;
+ *   items keep their footprint in cm either way, see catalog.js.
+ * - label, color and notes are plain optional fields on every shape; floors keep
+ *   using their `name` as the label.
+ */
+
+import { LAYER_OF, ROTATABLE_KINDS, selectedShape, itemRect, translateSelection } from "./selection.js";
+import { shapeBox, normDeg } from "./geometry.js";
+import { endpointsAt, moveEndpoints } from "./walls.js";
+import { UNITS, toCm, fromCm, dist } from "./units.js";
+
+const round2 = (v) => Math.round(v * 100) / 100;
+const toReal = (px, calib) => fromCm(px / calib.pxPerCm, calib.unit);
+const fromReal = (v, calib) => toCm(v, calib.unit) * calib.pxPerCm;
+const angleOf = (s) => normDeg((Math.atan2(s.b.y - s.a.y, s.b.x - s.a.x) * 180) / Math.PI);
+
+// the shape's outline box as the inspector shows it: rects and items unrotated, polygons by bounds
+function frameOf(kind, s, calib) {
+  if (kind === "item") return itemRect(s, calib);
+  return Array.isArray(s.points) ? shapeBox(s) : s;
+}
+
+export function inspectFields(layers, sel) {
+  const s = selectedShape(layers, sel);
+  if (!s) return [];
+  const { kind } = sel, calib = layers.calib, unit = calib ? UNITS[calib.unit]?.label : null, out = [];
+  const num = (key, label, value, u, min) => out.push({ key, label, type: "number", value: Number.isFinite(value) ? round2(value) : "", unit: u, min });
+
+  if (kind === "wallLine" || kind === "dim") {
+    const len = dist(s.a, s.b);
+    num("x", "X", s.a.x, "px"); num("y", "Y", s.a.y, "px");
+    num("length", "Length", len, "px", 1); num("angle", "Angle", angleOf(s), "°");
+    if (calib) num("realLength", "Real length", toReal(len, calib), unit, 0);
+    if (kind === "wallLine") num("thickCm", "Thickness", s.thickCm, "cm", 1);
+  } else {
+    const f = frameOf(kind, s, calib);
+    num("x", "X", f.x, "px"); num("y", "Y", f.y, "px");
+    num("w", "W", f.w, "px", 1); num("h", "H", f.h, "px", 1);
+    if (ROTATABLE_KINDS.includes(kind) && !Array.isArray(s.points)) num("rot", "Rotation", s.rot || 0, "°");
+    if (kind === "item") { num("wCm", "Width", s.w, "cm", 1); num("dCm", "Depth", s.d, "cm", 1); }
+    else if (calib) { num("realW", "Real width", toReal(f.w, calib), unit, 0); num("realH", "Real height", toReal(f.h, calib), unit, 0); }
+    if (kind === "window") num("heightCm", "Window height", s.heightCm, "cm", 1);
+  }
+  out.push({ key: "label", label: "Label", type: "text", value: (kind === "floor" ? s.name : s.label) || "" });
+  out.push({ key: "color", label: "Colour", type: "color", value: s.color || "" });
+  out.push({ key: "notes", label: "Notes", type: "notes", value: s.notes || "" });
+  return out;
+}
+
+/**
+ * One field of the selected shape set to `value` (a string from the input) -> layer patch,
+ * {} when the value does not make sense (empty, not a number, non-positive size…).
+ */
+export function applyField(layers, sel, key, value) {
+  const s = selectedShape(layers, sel);
+  if (!s) return {};
+  const { kind } = sel, calib = layers.calib, layer = LAYER_OF[kind];
+  const put = (next) => ({ [layer]: layers[layer].map((x) => (x.id === s.id ? next : x)) });
+
+  if (key === "label") return put(kind === "floor" ? { ...s, name: value } : { ...s, label: value });
+  if (key === "color" || key === "notes") {
+    const { [key]: _old, ...rest } = s;
+    return put(value ? { ...rest, [key]: value } : rest);
+  }
+  if (String(value).trim() === "") return {};
+  const v = Number(String(value).replace(",", "."));
+  if (!Number.isFinite(v)) return {};
+  const size = (px) => (px > 0 ? px : null);
+
+  // position: move like a drag, so wall joints stay connected
+  if (key === "x" || key === "y") {
+    const at = kind === "wallLine" || kind === "dim" ? s.a : frameOf(kind, s, calib);
+    return translateSelection(layers, [sel], key === "x" ? v - at.x : 0, key === "y" ? v - at.y : 0);
+  }
+  if (key === "rot") return put({ ...s, rot: normDeg(v) });
+  if (key === "heightCm" || key === "thickCm") return v > 0 ? put({ ...s, [key]: v }) : {};
+
+  if (kind === "wallLine" || kind === "dim") {
+    // length and angle keep the start point and move the end (with any wall joined there)
+    const len = key === "length" ? size(v) : key === "realLength" ? size(calib ? fromReal(v, calib) : v) : dist(s.a, s.b);
+    const ang = ((key === "angle" ? v : angleOf(s)) * Math.PI) / 180;
+    if (!len) return {};
+    const b = { x: s.a.x + len * Math.cos(ang), y: s.a.y + len * Math.sin(ang) };
+    if (kind === "dim") return put({ ...s, b });
+    return { wallLines: moveEndpoints(layers.wallLines, endpointsAt(layers.wallLines, s.b), b.x - s.b.x, b.y - s.b.y) };
+  }
+
+  if (kind === "item") {
+    const cm = (px) => (calib?.pxPerCm > 0 ? px / calib.pxPerCm : px);
+    const next = { w: key === "wCm" ? v : key === "w" ? cm(v) : s.w, d: key === "dCm" ? v : key === "h" ? cm(v) : s.d };
+    return next.w > 0 && next.d > 0 ? put({ ...s, ...next }) : {};
+  }
+
+  const f = frameOf(kind, s, calib);
+  const w = size(key === "w" ? v : key === "realW" && calib ? fromReal(v, calib) : f.w);
+  const h = size(key === "h" ? v : key === "realH" && calib ? fromReal(v, calib) : f.h);
+  if (!w || !h) return {};
+  if (!Array.isArray(s.points)) return put({ ...s, w, h });
+  // polygons scale about their top-left corner
+  const kx = f.w > 0 ? w / f.w : 1, ky = f.h > 0 ? h / f.h : 1;
+  return put({ ...s, points: s.points.map((p) => ({ x: f.x + (p.x - f.x) * kx, y: f.y + (p.y - f.y) * ky })) });
+}
@@ -0,0 +1,67 @@
+/**
+ * AtlaS – layer stack (draw order, visibility, lock, opacity)
+ * - The stack is a list, bottom first: [{ id, name, visible, locked, opacity, annotation? }].
+ * - Built-in layers each draw one part of the plan (BUILTIN_LAYERS); they can be hidden,
+ *   locked and reordered but not removed.
+ * - Annotation layers are user-created and hold dimension lines: a dim with `layer: <id>`
+ *   is drawn in that layer, one without in "dims".
+ */
+
+export const BUILTIN_LAYERS = [
+  { id: "background", name: "Background" },
+  { id: "floors", name: "Floors" },
+  { id: "walls", name: "Walls" }, // rect walls, wall lines and their openings
+  { id: "windows", name: "Windows" },
+  { id: "items", name: "Furniture" },
+  { id: "dims", name: "Dimensions" },
+];
+const BUILTIN_IDS = new Set(BUILTIN_LAYERS.map((l) => l.id));
+
+const layer = (l) => ({ visible: true, locked: false, opacity: 1, ...l });
+export const defaultLayerStack = () => BUILTIN_LAYERS.map(layer);
+export const newAnnotationLayer = (name) => layer({ id: `layer_${Date.now()}_${Math.random().toString(36).slice(2)}`, name, annotation: true });
+export const isBuiltinLayer = (id) => BUILTIN_IDS.has(id);
+
+// the layer a shape of the given selection kind is drawn in; dims whose layer is not in
+// the stack (removed, or pasted from another document) fall back to "dims"
+const KIND_LAYER = { wall: "walls", wallLine: "walls", window: "windows", floor: "floors", item: "items" };
+export function layerOfShape(stack, kind, s) {
+  if (kind !== "dim") return KIND_LAYER[kind];
+  return s?.layer && stack.some((l) => l.id === s.layer) ? s.layer : "dims";
+}
+
+// visible and not locked (unknown ids count as editable)
+export function layerEditable(stack, id) {
+  const l = stack.find((x) => x.id === id);
+  return !l || (l.visible && !l.locked);
+}
+
+// stack from file/clipboard data: known fields only, every built-in layer present exactly once
+export function cleanLayerStack(raw) {
+  if (!Array.isArray(raw)) return defaultLayerStack();
+  const seen = new Set(), out = [];
+  for (const l of raw) {
+    if (!l || typeof l.id !== "string" || seen.has(l.id)) continue;
+    const builtin = BUILTIN_LAYERS.find((b) => b.id === l.id);
+    if (!builtin && !l.annotation) continue;
+    seen.add(l.id);
+    const opacity = Number(l.opacity);
+    out.push(layer({
+      id: l.id, name: builtin ? builtin.name : String(l.name || "Annotations"),
+      visible: l.visible !== false, locked: !!l.locked, opacity: Number.isFinite(opacity) ? Math.min(1, Math.max(0, opacity)) : 1,
+      ...(builtin ? {} : { annotation: true }),
+    }));
+  }
+  // built-ins missing from older data go back at their default position
+  BUILTIN_LAYERS.forEach((b, i) => { if (!seen.has(b.id)) out.splice(Math.min(i, out.length), 0, layer(b)); });
+  return out;
+}
+
+// the stack with the layer at index `from` moved to index `to`
+export function moveLayer(stack, from, to) {
+  if (from === to || from < 0 || from >= stack.length) return stack;
+  const out = [...stack];
+  const [l] = out.splice(from, 1);
+  out.splice(Math.max(0, Math.min(out.length, to)), 0, l);
+  return out;
+}
@@ -0,0 +1,39 @@
+/**
+ * AtlaS – storeys (levels)
+ * - A project is a stack of levels, bottom first: [{ id, name, heightCm, history, hIndex }].
+ *   heightCm is the floor-to-floor height.
+ * - Every level keeps its own undo history of snapshots (background, underlay, shapes, view,
+ *   calibration, layer stack). While a level is active its history lives in App state;
+ *   switching stashes it back into the level.
+ * - All levels share world px, so the level below lines up as an underlay once the scans
+ *   are placed consistently. Custom symbols belong to the project, not to a level.
+ */
+
+export const DEFAULT_LEVEL_HEIGHT_CM = 280;
+
+export const newLevelId = () => `level_${Date.now()}_${Math.random().toString(36).slice(2)}`;
+
+// snapshot of a level with nothing on it, keeping the given view, scale and layer setup
+export const emptyLevelState = ({ world, pan, calib = null, layerStack, symbols = [] }) => ({
+  items: [], walls: [], wallLines: [], openings: [], windows: [], floors: [], dims: [], symbols, layerStack,
+  bgUrl: null, underlay: null, world: { ...world }, pan: { ...pan }, bgImg: { w: 0, h: 0 }, bgAdjust: null, calib,
+});
+
+export const makeLevel = (name, state, heightCm = DEFAULT_LEVEL_HEIGHT_CM) => ({ id: newLevelId(), name, heightCm, history: state ? [state] : null, hIndex: 0 });
+
+// the committed state of a stashed level
+export const levelState = (l) => l.history?.[l.hIndex] || null;
+
+// "Level 3" for the first free number
+export function nextLevelName(levels) {
+  const used = new Set(levels.map((l) => l.name));
+  let n = levels.length + 1;
+  while (used.has(`Level ${n}`)) n++;
+  return `Level ${n}`;
+}
+
+// height above the bottom level's floor, in cm, for each level
+export function levelElevations(levels) {
+  let z = 0;
+  return levels.map((l) => { const at = z; z += Number(l.heightCm) > 0 ? Number(l.heightCm) : DEFAULT_LEVEL_HEIGHT_CM; return at; });
+}
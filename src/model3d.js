@@ -0,0 +1,240 @@
+/**
+ * AtlaS – 3D model of the plan (3D preview, exports)
+ * - buildModel() turns levels into flat-shaded triangle meshes in metres, y up: plan x → x,
+ *   plan y → z, elevation → y. World px are converted with each level's calibration
+ *   (uncalibrated: 1 px = 1 cm, see walls.js).
+ * - Walls (rect walls and wall lines) are extruded to the level's floor-to-floor height.
+ *   Windows cut an opening from their sill (`heightCm`) up to WINDOW_HEAD_CM and get a
+ *   glass pane; doors cut one from the floor. A rect window cuts every rect wall it overlaps.
+ * - Floors become slabs SLAB_CM thick under the level, furniture boxes of the catalogue `h`.
+ * - Mesh: { name, level, color: [r, g, b] (0–1), opacity, positions: [x, y, z, …], normals: […] } –
+ *   plain triangles (no index), each wound counter-clockwise seen from outside. Meshes are
+ *   merged per level, part and colour, or with `byElement` kept one per shape ({ id, kind } added).
+ */
+
+import { shapePoints, rectCenter, rotatePoint } from "./geometry.js";
+import { wallOutline, wallThicknessPx, openingFrame, lengthPx } from "./walls.js";
+import { itemRect } from "./selection.js";
+import { catalogEntry } from "./catalog.js";
+import { levelElevations } from "./levels.js";
+
+export const WINDOW_SILL_CM = 90; // windows without a recorded height
+export const WINDOW_HEAD_CM = 210;
+export const DOOR_HEAD_CM = 210;
+export const SLAB_CM = 20;
+export const ITEM_HEIGHT_CM = 75; // custom symbols
+const GLASS_CM = 2;
+
+const PAINT = {
+  wall: [0.93, 0.91, 0.88],
+  floor: [0.76, 0.71, 0.64],
+  item: [0.56, 0.63, 0.76],
+  glass: [0.62, 0.8, 0.92],
+  highlight: [0.1, 0.45, 0.91],
+};
+const GLASS_OPACITY = 0.35;
+
+const rgb = (hex) => { const n = parseInt(String(hex).slice(1), 16); return Number.isFinite(n) ? [(n >> 16) / 255, ((n >> 8) & 255) / 255, (n & 255) / 255] : null; };
+
+/* ======================= vectors ======================= */
+const sub3 = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+const cross3 = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+const dot3 = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const signedArea = (pts) => pts.reduce((s, p, i) => { const q = pts[(i + 1) % pts.length]; return s + p.x * q.y - q.x * p.y; }, 0) / 2;
+const turn = (a, b, c) => (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+
+// ear clipping; -> index triples, counter-clockwise in (x, y)
+export function triangulate(pts) {
+  if (pts.length < 3) return [];
+  const idx = pts.map((_, i) => i);
+  if (signedArea(pts) < 0) idx.reverse();
+  const inside = (p, a, b, c) => turn(a, b, p) >= 0 && turn(b, c, p) >= 0 && turn(c, a, p) >= 0;
+  const out = [];
+  while (idx.length > 3) {
+    let clipped = false;
+    for (let i = 0; i < idx.length; i++) {
+      const ia = idx[(i + idx.length - 1) % idx.length], ib = idx[i], ic = idx[(i + 1) % idx.length];
+      const t = turn(pts[ia], pts[ib], pts[ic]);
+      if (Math.abs(t) < 1e-12) { idx.splice(i, 1); clipped = true; break; } // flat corner: drop it
+      if (t < 0) continue; // reflex
+      if (idx.some((k) => k !== ia && k !== ib && k !== ic && inside(pts[k], pts[ia], pts[ib], pts[ic]))) continue;
+      out.push([ia, ib, ic]); idx.splice(i, 1); clipped = true; break;
+    }
+    if (!clipped) break; // self-intersecting outline: keep what was clipped so far
+  }
+  if (idx.length === 3 && Math.abs(turn(pts[idx[0]], pts[idx[1]], pts[idx[2]])) >= 1e-12) out.push(idx);
+  return out;
+}
+
+/* ======================= mesh building ======================= */
+function makeMeshes(byElement) {
+  const byKey = new Map();
+  // el: { id, kind } of the shape the triangles belong to
+  const get = (level, name, color, opacity, el) => {
+    const key = `${level}|${name}|${color.join(",")}|${opacity}${byElement ? `|${el.id}` : ""}`;
+    if (!byKey.has(key)) byKey.set(key, { name, level, color, opacity, positions: [], normals: [], ...(byElement ? el : {}) });
+    return byKey.get(key);
+  };
+  return { get, list: () => [...byKey.values()].filter((m) => m.positions.length) };
+}
+
+// triangle a, b, c wound so that its normal points along `out`
+function tri(m, a, b, c, out) {
+  let n = cross3(sub3(b, a), sub3(c, a));
+  const l = Math.hypot(...n);
+  if (l < 1e-12) return;
+  if (dot3(n, out) < 0) { [b, c] = [c, b]; n = n.map((v) => -v); }
+  n = n.map((v) => v / l);
+  m.positions.push(...a, ...b, ...c);
+  m.normals.push(...n, ...n, ...n);
+}
+
+// vertical prism over a plan polygon (metres, { x, y }) between heights y0 and y1
+function prism(m, pts, y0, y1) {
+  if (pts.length < 3 || y1 - y0 < 1e-6) return;
+  const P = (p, y) => [p.x, y, p.y];
+  for (const [a, b, c] of triangulate(pts)) {
+    tri(m, P(pts[a], y1), P(pts[b], y1), P(pts[c], y1), [0, 1, 0]);
+    tri(m, P(pts[a], y0), P(pts[b], y0), P(pts[c], y0), [0, -1, 0]);
+  }
+  const s = signedArea(pts) >= 0 ? 1 : -1;
+  pts.forEach((p, i) => {
+    const q = pts[(i + 1) % pts.length], out = [(q.y - p.y) * s, 0, -(q.x - p.x) * s];
+    tri(m, P(p, y0), P(q, y0), P(q, y1), out);
+    tri(m, P(p, y0), P(q, y1), P(p, y1), out);
+  });
+}
+
+/* ======================= walls ======================= */
+// One straight wall in plan px: centre line a → b, unit direction d and normal n, half thickness ht,
+// outline points at each end from the +n side to the -n side (a mitred wall line end has three),
+// and cuts [{ from, to, sill, head, glass, el }] – px along the wall, cm above the floor, the cutting shape.
+function wallPieces(run, heightCm) {
+  const L = Math.hypot(run.b.x - run.a.x, run.b.y - run.a.y);
+  const at = (s) => [1, -1].map((k) => ({ x: run.a.x + run.d.x * s + run.n.x * run.ht * k, y: run.a.y + run.d.y * s + run.n.y * run.ht * k }));
+  // merge overlapping cuts; the lowest sill and highest head win
+  const cuts = run.cuts
+    .map((c) => ({ ...c, from: Math.max(0, c.from), to: Math.min(L, c.to) }))
+    .filter((c) => c.to - c.from > 1e-6)
+    .sort((p, q) => p.from - q.from)
+    .reduce((acc, c) => {
+      const last = acc[acc.length - 1];
+      if (last && c.from <= last.to) { last.to = Math.max(last.to, c.to); last.sill = Math.min(last.sill, c.sill); last.head = Math.max(last.head, c.head); }
+      else acc.push({ ...c });
+      return acc;
+    }, []);
+  const spans = [];
+  let s = 0;
+  for (const c of cuts) {
+    if (c.from > s) spans.push({ from: s, to: c.from, z: [[0, heightCm]] });
+    const z = [[0, c.sill], [c.head, heightCm]].filter(([z0, z1]) => z1 - z0 > 1e-6);
+    spans.push({ from: c.from, to: c.to, z });
+    s = c.to;
+  }
+  if (s < L || !spans.length) spans.push({ from: s, to: L, z: [[0, heightCm]] });
+  return spans.map((sp) => {
+    const start = sp.from <= 1e-6 ? run.startEnd : at(sp.from);
+    const end = sp.to >= L - 1e-6 ? run.endEnd : at(sp.to);
+    return { outline: [start[0], ...end, ...start.slice(1).reverse()], z: sp.z };
+  });
+}
+
+const frameOfSegment = (a, b) => {
+  const l = Math.hypot(b.x - a.x, b.y - a.y) || 1, d = { x: (b.x - a.x) / l, y: (b.y - a.y) / l };
+  return { d, n: { x: -d.y, y: d.x } };
+};
+
+// a wall line with its mitred outline and hosted openings
+function wallLineRun(list, w, openings, calib, heightCm) {
+  const { d, n } = frameOfSegment(w.a, w.b), ht = wallThicknessPx(w, calib) / 2;
+  const [aL, bR, b, bL, aR, a] = wallOutline(list, w, calib);
+  const plus = (p, c) => (p.x - c.x) * n.x + (p.y - c.y) * n.y >= 0;
+  const cuts = openings.filter((o) => o.wallId === w.id).map((o) => {
+    const f = openingFrame(w, o, calib);
+    const door = o.kind === "door";
+    const sill = door ? 0 : Number.isFinite(o.heightCm) ? o.heightCm : WINDOW_SILL_CM;
+    return { from: f.offset - f.hw, to: f.offset + f.hw, sill, head: Math.min(heightCm, door ? DOOR_HEAD_CM : Math.max(WINDOW_HEAD_CM, sill + 30)), glass: !door, el: { id: o.id, kind: o.kind } };
+  });
+  return {
+    a: w.a, b: w.b, d, n, ht, cuts,
+    startEnd: plus(aL, a) ? [aL, a, aR] : [aR, a, aL],
+    endEnd: plus(bR, b) ? [bR, b, bL] : [bL, b, bR],
+  };
+}
+
+// a rect wall as a straight wall along its longer side; rect windows that overlap it cut it
+function rectWallRun(r, windows, heightCm) {
+  const c = rectCenter(r), along = r.w >= r.h, half = (along ? r.w : r.h) / 2, ht = (along ? r.h : r.w) / 2;
+  const d = rotatePoint(along ? { x: 1, y: 0 } : { x: 0, y: 1 }, { x: 0, y: 0 }, r.rot), n = { x: -d.y, y: d.x };
+  const a = { x: c.x - d.x * half, y: c.y - d.y * half }, b = { x: c.x + d.x * half, y: c.y + d.y * half };
+  const end = (p) => [{ x: p.x + n.x * ht, y: p.y + n.y * ht }, { x: p.x - n.x * ht, y: p.y - n.y * ht }];
+  const cuts = [];
+  for (const win of windows) {
+    const pts = shapePoints(win);
+    const s = pts.map((p) => (p.x - a.x) * d.x + (p.y - a.y) * d.y), t = pts.map((p) => (p.x - c.x) * n.x + (p.y - c.y) * n.y);
+    if (Math.max(...t) <= -ht || Math.min(...t) >= ht || Math.max(...s) <= 0 || Math.min(...s) >= half * 2) continue;
+    const sill = Number.isFinite(win.heightCm) ? win.heightCm : WINDOW_SILL_CM;
+    cuts.push({ from: Math.min(...s), to: Math.max(...s), sill, head: Math.min(heightCm, Math.max(WINDOW_HEAD_CM, sill + 30)), glass: true, el: { id: win.id, kind: "window" } });
+  }
+  return { a, b, d, n, ht, cuts, startEnd: end(a), endEnd: end(b) };
+}
+
+/* ======================= model ======================= */
+/**
+ * levels: [{ id, name, heightCm, state }] bottom first (state: a level snapshot, see levels.js)
+ * opts.only: id of the one level to build; opts.highlight: Set of shape ids drawn in the highlight colour;
+ * opts.byElement: one mesh per shape instead of merged ones
+ * -> { meshes, bounds: { min: [x, y, z], max: [x, y, z] } | null }
+ */
+export function buildModel(levels, { only = null, highlight = new Set(), byElement = false } = {}) {
+  const meshes = makeMeshes(byElement), elevations = levelElevations(levels);
+  levels.forEach((lv, li) => {
+    const s = lv.state;
+    if (!s || (only && lv.id !== only)) return;
+    const calib = s.calib, k = calib?.pxPerCm > 0 ? 1 / (calib.pxPerCm * 100) : 0.01; // px -> m
+    const M = (p) => ({ x: p.x * k, y: p.y * k });
+    const y0 = elevations[li] / 100, heightCm = Number(lv.heightCm) > 0 ? Number(lv.heightCm) : 0;
+    const shown = (id) => s.layerStack?.find((l) => l.id === id)?.visible !== false;
+    const colorOf = (shape, fallback) => (highlight.has(shape.id) ? PAINT.highlight : rgb(shape.color) || fallback);
+    const mesh = (part, color, el, opacity = 1) => meshes.get(lv.id, `${lv.name} – ${part}`, color, opacity, el);
+
+    if (shown("floors")) for (const f of s.floors || []) prism(mesh("floors", colorOf(f, PAINT.floor), { id: f.id, kind: "floor" }), shapePoints(f).map(M), y0 - SLAB_CM / 100, y0);
+
+    if (shown("walls")) {
+      const wins = shown("windows") ? s.windows || [] : [];
+      const runs = [
+        ...(s.wallLines || []).map((w) => ({ shape: w, kind: "wallLine", run: wallLineRun(s.wallLines, w, s.openings || [], calib, heightCm) })),
+        ...(s.walls || []).map((w) => ({ shape: w, kind: "wall", run: rectWallRun(w, wins, heightCm) })),
+      ];
+      const gt = lengthPx(GLASS_CM, calib) / 2;
+      for (const { shape, kind, run } of runs) {
+        const m = mesh("walls", colorOf(shape, PAINT.wall), { id: shape.id, kind });
+        for (const piece of wallPieces(run, heightCm)) for (const [z0, z1] of piece.z) prism(m, piece.outline.map(M), y0 + z0 / 100, y0 + z1 / 100);
+        // glass panes in the middle of the wall
+        for (const c of run.cuts.filter((x) => x.glass && x.head > x.sill)) {
+          const p = (sAt, t) => M({ x: run.a.x + run.d.x * sAt + run.n.x * t, y: run.a.y + run.d.y * sAt + run.n.y * t });
+          prism(mesh("glass", PAINT.glass, c.el, GLASS_OPACITY), [p(c.from, gt), p(c.to, gt), p(c.to, -gt), p(c.from, -gt)], y0 + c.sill / 100, y0 + c.head / 100);
+        }
+      }
+    }
+
+    if (shown("items")) {
+      for (const it of s.items || []) {
+        const h = catalogEntry(it.type)?.h ?? ITEM_HEIGHT_CM;
+        if (!(h > 0)) continue;
+        prism(mesh("furniture", colorOf(it, PAINT.item), { id: it.id, kind: "item" }), shapePoints(itemRect(it, calib)).map(M), y0, y0 + h / 100);
+      }
+    }
+  });
+
+  const list = meshes.list();
+  let bounds = null;
+  for (const m of list) {
+    for (let i = 0; i < m.positions.length; i += 3) {
+      const p = m.positions.slice(i, i + 3);
+      if (!bounds) bounds = { min: [...p], max: [...p] };
+      else for (let j = 0; j < 3; j++) { bounds.min[j] = Math.min(bounds.min[j], p[j]); bounds.max[j] = Math.max(bounds.max[j], p[j]); }
+    }
+  }
+  return { meshes: list, bounds };
+}
@@ -0,0 +1,294 @@
+/**
+ * AtlaS – print-ready PDF export
+ * - buildPdf() writes a one-page PDF 1.4 by hand (no library, no server): the plan as vector
+ *   paths at a fixed drawing scale (1:scale, from the calibration), plus a bottom strip with
+ *   legend, scale bar, north arrow and title block. Returns the file as a Uint8Array.
+ * - Page content is laid out in millimetres with y down (one `cm` flips PDF's y-up points);
+ *   the plan is centred in the drawing area and clipped to it.
+ * - North is plan-up. Furniture is drawn as its labelled footprint, not its symbol.
+ * - The background, when given, must already be JPEG bytes (App.jsx re-encodes it through a
+ *   canvas); PDF embeds JPEG as is.
+ */
+
+import { shapePoints, shapeBox, rectCorners, polygonArea } from "./geometry.js";
+import { wallOutline, openingFrame, openingCorners, doorSwing } from "./walls.js";
+import { itemRect, drawingBox } from "./selection.js";
+import { layerOfShape } from "./layer-stack.js";
+import { UNITS, formatLength, formatPx, formatPx2, dist } from "./units.js";
+import { parseColor } from "./color.js";
+
+export const PDF_EXT = ".pdf";
+export const PDF_MIME = "application/pdf";
+// paper in mm, portrait
+export const PAPER = {
+  A4: { label: "A4", w: 210, h: 297 },
+  A3: { label: "A3", w: 297, h: 420 },
+  Letter: { label: "Letter", w: 215.9, h: 279.4 },
+};
+export const PAPER_KEYS = Object.keys(PAPER);
+export const SCALES = [20, 50, 100, 200, 500];
+
+const PT = 72 / 25.4; // points per mm
+const MARGIN = 10, STRIP = 32; // mm
+const PAPER_COLOR = "#faf9f5", DOOR_COLOR = "#333333", DIM_COLOR = "#c25400";
+
+export function pageSize(paper, landscape) {
+  const p = PAPER[paper] || PAPER.A4;
+  return landscape ? { w: p.h, h: p.w } : { w: p.w, h: p.h };
+}
+// where the plan goes: inside the margins, above the title strip
+export function drawingArea(paper, landscape) {
+  const { w, h } = pageSize(paper, landscape);
+  return { x: MARGIN, y: MARGIN, w: w - 2 * MARGIN, h: h - 2 * MARGIN - STRIP };
+}
+// world px box of what gets printed: the background frame and every shape
+export function printBox(state, background) {
+  const boxes = [drawingBox(state), background && { x: background.x, y: background.y, w: background.w, h: background.h }].filter(Boolean);
+  if (!boxes.length) return null;
+  const x = Math.min(...boxes.map((b) => b.x)), y = Math.min(...boxes.map((b) => b.y));
+  return { x, y, w: Math.max(...boxes.map((b) => b.x + b.w)) - x, h: Math.max(...boxes.map((b) => b.y + b.h)) - y };
+}
+// does a world px box fit the drawing area at 1:scale?
+export function fitsAt(box, calib, scale, paper, landscape) {
+  if (!box || !(calib?.pxPerCm > 0)) return true;
+  const a = drawingArea(paper, landscape), k = 10 / (calib.pxPerCm * scale);
+  return box.w * k <= a.w && box.h * k <= a.h;
+}
+// the most detailed standard scale the box fits at (the coarsest if none)
+export const fitScale = (box, calib, paper, landscape) => SCALES.find((s) => fitsAt(box, calib, s, paper, landscape)) || SCALES[SCALES.length - 1];
+
+/* ----- content stream helpers ----- */
+const f = (v) => String(Math.round(v * 1000) / 1000);
+// same as paintOf() in App.jsx: a shape's own colour, else its category's
+const paintOf = (colors, kind, s) => (s.color
+  ? { fill: { ...parseColor(s.color), a: 0.35 }, stroke: { ...parseColor(s.color), a: 0.85 } }
+  : { fill: parseColor(colors[kind].fill), stroke: parseColor(colors[kind].stroke) });
+
+// WinAnsi bytes as a hex string, for the standard Helvetica fonts
+const WIN_ANSI = { "€": 0x80, "…": 0x85, "•": 0x95, "–": 0x96, "—": 0x97, "‘": 0x91, "’": 0x92, "“": 0x93, "”": 0x94 };
+const hexText = (s) => `<${[...String(s)].map((ch) => {
+  const c = ch.charCodeAt(0), b = c < 0x80 || (c >= 0xa0 && c <= 0xff) ? c : WIN_ANSI[ch] || 0x3f;
+  return b.toString(16).padStart(2, "0");
+}).join("")}>`;
+// UTF-16BE text string, for the document info: one hex quad per code unit, so characters
+// outside the BMP go in as surrogate pairs
+function utf16(text) {
+  const s = String(text);
+  let hex = "";
+  for (let i = 0; i < s.length; i++) hex += s.charCodeAt(i).toString(16).padStart(4, "0");
+  return `<FEFF${hex}>`;
+}
+// rough Helvetica advance width, good enough to centre short labels
+const textWidth = (s, size) => String(s).length * size * 0.52;
+
+function contentWriter() {
+  const ops = [], alphas = new Map();
+  const gs = (fill, stroke) => {
+    const key = `${f(fill)}/${f(stroke)}`;
+    if (!alphas.has(key)) alphas.set(key, { name: `GS${alphas.size}`, fill, stroke });
+    ops.push(`/${alphas.get(key).name} gs`);
+  };
+  const w = {
+    ops, alphas,
+    alpha: gs,
+    op: (s) => ops.push(s),
+    path: (pts, close = true) => ops.push(pts.map((p, i) => `${f(p.x)} ${f(p.y)} ${i ? "l" : "m"}`).join(" ") + (close ? " h" : "")),
+    // paint: { fill?, stroke?, width?, dash? } with colours from parseColor(); alpha scaled by `opacity`
+    paint: (draw, { fill, stroke, width = 0.25, dash }, opacity = 1) => {
+      ops.push("q");
+      gs((fill?.a ?? 1) * opacity, (stroke?.a ?? 1) * opacity);
+      if (fill) ops.push(`${fill.rgb.map(f).join(" ")} rg`);
+      if (stroke) ops.push(`${stroke.rgb.map(f).join(" ")} RG ${f(width)} w`);
+      if (dash) ops.push(`[${dash.map(f).join(" ")}] 0 d`);
+      draw();
+      ops.push(`${fill && stroke ? "B" : fill ? "f" : "S"} Q`);
+    },
+    // text at (x, y) on its baseline, rotated `deg` clockwise; align: 0 left, 0.5 centre, 1 right
+    text: (s, x, y, { size = 3, bold = false, color = parseColor("#222222"), align = 0, deg = 0, opacity = 1 } = {}) => {
+      if (!s) return;
+      const r = (deg * Math.PI) / 180, c = Math.cos(r), sn = Math.sin(r), dx = -textWidth(s, size) * align;
+      ops.push("q");
+      gs(opacity, opacity);
+      ops.push(`${color.rgb.map(f).join(" ")} rg BT /${bold ? "F2" : "F1"} ${f(size)} Tf ${f(c)} ${f(sn)} ${f(sn)} ${f(-c)} ${f(x + dx * c)} ${f(y + dx * sn)} Tm ${hexText(s)} Tj ET Q`);
+    },
+  };
+  return w;
+}
+
+/* ----- the plan ----- */
+function drawPlan(out, state, { colors, background, itemLabel, toPaper, k }) {
+  const { calib, layerStack } = state;
+  const T = (pts) => pts.map(toPaper);
+  const glass = { fill: parseColor(colors.window.fill), stroke: parseColor(colors.window.stroke) };
+  const dimsOf = (layerId) => state.dims.filter((d) => layerOfShape(layerStack, "dim", d) === layerId);
+  const shape = (kind, s, o) => out.paint(() => out.path(T(shapePoints(s))), paintOf(colors, kind, s), o);
+  const label = (s, p, o, opts) => out.text(s, p.x, p.y, { size: 2.5, align: 0.5, opacity: o, ...opts });
+
+  const DRAW = {
+    background: (o) => {
+      if (!background) return;
+      const p = toPaper({ x: background.x, y: background.y }), w = background.w * k, h = background.h * k;
+      out.op("q"); out.alpha(o, o);
+      out.op(`${f(w)} 0 0 ${f(-h)} ${f(p.x)} ${f(p.y + h)} cm /Im0 Do Q`);
+    },
+    floors: (o) => state.floors.forEach((s) => {
+      shape("floor", s, o);
+      const b = shapeBox(s), c = toPaper({ x: b.x + b.w / 2, y: b.y + b.h / 2 });
+      label([s.name, formatPx2(polygonArea(shapePoints(s)), calib)].filter(Boolean).join(" · "), c, o, { color: paintOf(colors, "floor", s).stroke });
+    }),
+    walls: (o) => {
+      state.walls.forEach((s) => shape("wall", s, o));
+      state.wallLines.forEach((s) => out.paint(() => out.path(T(wallOutline(state.wallLines, s, calib))), paintOf(colors, "wall", s), o));
+      for (const op of state.openings) {
+        const host = state.wallLines.find((w) => w.id === op.wallId);
+        if (!host) continue;
+        const fr = openingFrame(host, op, calib), cut = T(openingCorners(fr));
+        out.paint(() => out.path(cut), { fill: parseColor(PAPER_COLOR) }, o);
+        if (op.kind === "window") { out.paint(() => out.path(cut), glass, o); continue; }
+        const sw = doorSwing(fr, op), a0 = Math.atan2(sw.open.y - sw.hinge.y, sw.open.x - sw.hinge.x);
+        let da = Math.atan2(sw.closed.y - sw.hinge.y, sw.closed.x - sw.hinge.x) - a0;
+        if (sw.sweep) { while (da < 0) da += 2 * Math.PI; } else { while (da > 0) da -= 2 * Math.PI; }
+        const arc = Array.from({ length: 17 }, (_, i) => ({ x: sw.hinge.x + sw.r * Math.cos(a0 + (da * i) / 16), y: sw.hinge.y + sw.r * Math.sin(a0 + (da * i) / 16) }));
+        out.paint(() => out.path(T([sw.hinge, sw.open]), false), { stroke: parseColor(DOOR_COLOR), width: 0.35 }, o);
+        out.paint(() => out.path(T(arc), false), { stroke: parseColor(DOOR_COLOR), width: 0.18, dash: [1, 0.8] }, o);
+      }
+    },
+    windows: (o) => state.windows.forEach((s) => shape("window", s, o)),
+    items: (o) => state.items.forEach((it) => {
+      const r = itemRect(it, calib), c = toPaper({ x: r.x + r.w / 2, y: r.y + r.h / 2 });
+      const color = parseColor(it.color || "#333333");
+      out.paint(() => out.path(T(rectCorners(r))), { fill: { ...color, a: 0.06 }, stroke: color, width: 0.25 }, o);
+      label(itemLabel(it), { x: c.x, y: c.y + 0.8 }, o, { size: 2, color, deg: it.rot || 0 });
+    }),
+  };
+  const dim = (d, o) => {
+    const color = parseColor(d.color || DIM_COLOR), a = toPaper(d.a), b = toPaper(d.b), len = dist(a, b);
+    if (!(len > 0)) return;
+    const u = { x: (b.x - a.x) / len, y: (b.y - a.y) / len }, head = Math.min(2, len / 3);
+    const arrow = (tip, s) => [tip, { x: tip.x - s * u.x * head - u.y * head * 0.4, y: tip.y - s * u.y * head + u.x * head * 0.4 }, { x: tip.x - s * u.x * head + u.y * head * 0.4, y: tip.y - s * u.y * head - u.x * head * 0.4 }];
+    out.paint(() => out.path([a, b], false), { stroke: color, width: 0.2 }, o);
+    out.paint(() => { out.path(arrow(b, 1)); out.path(arrow(a, -1)); }, { fill: color }, o);
+    let deg = (Math.atan2(u.y, u.x) * 180) / Math.PI;
+    if (Math.abs(deg) > 90) deg += 180;
+    const r = (deg * Math.PI) / 180, mid = { x: (a.x + b.x) / 2 + Math.sin(r) * 0.8, y: (a.y + b.y) / 2 - Math.cos(r) * 0.8 };
+    label(formatPx(dist(d.a, d.b), calib), mid, o, { color, deg });
+  };
+
+  for (const l of layerStack) {
+    if (!l.visible) continue;
+    const o = l.opacity ?? 1;
+    if (DRAW[l.id]) DRAW[l.id](o);
+    else dimsOf(l.id).forEach((d) => dim(d, o));
+  }
+}
+
+/* ----- legend, scale bar, north arrow, title block ----- */
+// the longest round length (m, or ft when working in feet) whose bar stays within maxMm
+function scaleBarCm(calib, scale, maxMm) {
+  const unitCm = calib.unit === "ft" ? UNITS.ft.cm : 100;
+  const steps = [0.5, 1, 2, 5, 10, 20, 50, 100].map((v) => v * unitCm);
+  return [...steps].reverse().find((cm) => (cm * 10) / scale <= maxMm) || steps[0];
+}
+
+function drawStrip(out, page, { colors, calib, scale, info, paper }) {
+  const top = page.h - MARGIN - STRIP, grey = parseColor("#666666"), ink = { stroke: parseColor("#222222"), width: 0.3 };
+  out.paint(() => out.op(`${f(MARGIN)} ${f(MARGIN)} ${f(page.w - 2 * MARGIN)} ${f(page.h - 2 * MARGIN)} re`), ink);
+  out.paint(() => out.path([{ x: MARGIN, y: top }, { x: page.w - MARGIN, y: top }], false), ink);
+
+  // legend
+  const lx = MARGIN + 4;
+  out.text("Legend", lx, top + 6, { size: 3, bold: true });
+  [["wall", "Walls"], ["window", "Windows"], ["floor", "Floors"]].forEach(([kind, name], i) => {
+    const y = top + 10 + i * 6;
+    out.paint(() => out.op(`${f(lx)} ${f(y)} ${f(8)} ${f(4)} re`), { fill: parseColor(colors[kind].fill), stroke: parseColor(colors[kind].stroke) });
+    out.text(name, lx + 11, y + 3.2, { size: 3 });
+  });
+
+  // scale bar: four alternating segments, then the north arrow
+  const tbW = Math.min(90, page.w * 0.42), midL = MARGIN + 42, midR = page.w - MARGIN - tbW - 6;
+  const barCm = scaleBarCm(calib, scale, Math.max(10, midR - midL - 24)), barMm = (barCm * 10) / scale, by = top + 16;
+  out.text(`Scale 1:${scale}`, midL, top + 6, { size: 3, bold: true });
+  for (let i = 0; i < 4; i++) {
+    const x = midL + (barMm * i) / 4;
+    out.paint(() => out.op(`${f(x)} ${f(by)} ${f(barMm / 4)} ${f(2)} re`), { fill: parseColor(i % 2 ? "#ffffff" : "#222222"), stroke: parseColor("#222222"), width: 0.2 });
+  }
+  out.text("0", midL, by + 6, { size: 2.5, align: 0.5, color: grey });
+  out.text(formatLength(barCm, calib.unit), midL + barMm, by + 6, { size: 2.5, align: 0.5, color: grey });
+  const nx = Math.min(midL + barMm + 14, midR - 4), ny = top + 8;
+  out.paint(() => out.path([{ x: nx, y: ny }, { x: nx + 3.5, y: ny + 12 }, { x: nx, y: ny + 9 }, { x: nx - 3.5, y: ny + 12 }]), { fill: parseColor("#222222") });
+  out.text("N", nx, ny - 1.5, { size: 3.5, bold: true, align: 0.5 });
+
+  // title block
+  const tx = page.w - MARGIN - tbW;
+  out.paint(() => out.path([{ x: tx, y: top }, { x: tx, y: page.h - MARGIN }], false), ink);
+  out.text(info.name || "Untitled project", tx + 4, top + 7, { size: 4.2, bold: true });
+  out.text(info.address, tx + 4, top + 12.5, { size: 3, color: grey });
+  const rows = [["Level", info.level], ["Date", info.date], ["Scale", `1:${scale} @ ${paper}`]];
+  rows.forEach(([k, v], i) => {
+    out.text(k, tx + 4, top + 19 + i * 4.5, { size: 2.6, color: grey });
+    out.text(v, tx + 18, top + 19 + i * 4.5, { size: 2.6 });
+  });
+}
+
+/* ----- file ----- */
+const latin1 = (s) => Uint8Array.from(s, (ch) => ch.charCodeAt(0) & 0xff);
+
+// objects: strings, or { dict, stream } with stream bytes; object n is objects[n - 1]
+function writeFile(objects, infoRef) {
+  const chunks = [latin1("%PDF-1.4\n%\xe2\xe3\xcf\xd3\n")], offsets = [];
+  let length = chunks[0].length;
+  const push = (b) => { chunks.push(b); length += b.length; };
+  objects.forEach((o, i) => {
+    offsets.push(length);
+    if (typeof o === "string") { push(latin1(`${i + 1} 0 obj\n${o}\nendobj\n`)); return; }
+    push(latin1(`${i + 1} 0 obj\n<< ${o.dict} /Length ${o.stream.length} >>\nstream\n`));
+    push(o.stream);
+    push(latin1("\nendstream\nendobj\n"));
+  });
+  const xref = length;
+  push(latin1(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n${offsets.map((n) => `${String(n).padStart(10, "0")} 00000 n \n`).join("")}`));
+  push(latin1(`trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${infoRef} 0 R >>\nstartxref\n${xref}\n%%EOF\n`));
+  const out = new Uint8Array(length);
+  let at = 0;
+  for (const c of chunks) { out.set(c, at); at += c.length; }
+  return out;
+}
+
+const pdfDate = (d) => `D:${d.getFullYear()}${[d.getMonth() + 1, d.getDate(), d.getHours(), d.getMinutes(), d.getSeconds()].map((v) => String(v).padStart(2, "0")).join("")}`;
+
+/**
+ * state: { walls, wallLines, openings, windows, floors, items, dims, layerStack, calib } (calibrated)
+ * opts.paper: a PAPER key; opts.landscape; opts.scale: 1:scale
+ * opts.info: { name, address, date, level } for the title block
+ * opts.colors: App.jsx COLORS ({ wall, window, floor } × { fill, stroke })
+ * opts.background: { jpeg: Uint8Array, pxW, pxH, x, y, w, h } (frame in world px) or null
+ * opts.itemLabel(item): text printed on a furniture footprint
+ */
+export function buildPdf(state, { paper = "A4", landscape = false, scale = 100, info = {}, colors, background = null, itemLabel = () => "" }) {
+  if (!(state.calib?.pxPerCm > 0)) throw new Error("The plan needs a scale calibration to print at a fixed scale.");
+  const page = pageSize(paper, landscape), area = drawingArea(paper, landscape);
+  const box = printBox(state, background) || { x: 0, y: 0, w: 0, h: 0 };
+  const k = 10 / (state.calib.pxPerCm * scale); // mm on paper per world px
+  const toPaper = (p) => ({ x: area.x + area.w / 2 + (p.x - box.x - box.w / 2) * k, y: area.y + area.h / 2 + (p.y - box.y - box.h / 2) * k });
+
+  const out = contentWriter();
+  out.op(`${f(PT)} 0 0 ${f(-PT)} 0 ${f(page.h * PT)} cm 0 J 1 j`);
+  out.op(`q ${f(area.x)} ${f(area.y)} ${f(area.w)} ${f(area.h)} re W n`);
+  drawPlan(out, state, { colors, background, itemLabel, toPaper, k });
+  out.op("Q");
+  drawStrip(out, page, { colors, calib: state.calib, scale, info, paper: `${PAPER[paper]?.label || paper}${landscape ? " landscape" : ""}` });
+
+  const gsList = [...out.alphas.values()].map((g) => `/${g.name} << /ca ${f(g.fill)} /CA ${f(g.stroke)} >>`);
+  const resources = `<< /Font << /F1 4 0 R /F2 5 0 R >> /ExtGState << ${gsList.join(" ")} >>${background ? " /XObject << /Im0 8 0 R >>" : ""} >>`;
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    "<< /Type /Pages /Kids [3 0 R] /Count 1 >>",
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${f(page.w * PT)} ${f(page.h * PT)}] /Resources ${resources} /Contents 6 0 R >>`,
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>",
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>",
+    { dict: "", stream: latin1(out.ops.join("\n")) },
+    `<< /Title ${utf16([info.name, info.level].filter(Boolean).join(" – ") || "Plan")} /Producer (AtlaS) /CreationDate (${pdfDate(new Date())}) >>`,
+  ];
+  if (background) objects.push({ dict: `/Type /XObject /Subtype /Image /Width ${background.pxW} /Height ${background.pxH} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode`, stream: background.jpeg });
+  return writeFile(objects, 7);
+}
@@ -0,0 +1,61 @@
+/**
+ * AtlaS – PDF plan import
+ * - Pages are rasterised locally by pdf.js (bundled; loaded on first use, parsing in its
+ *   own worker), so a PDF becomes an ordinary background image.
+ * - openPdf(file) -> { pageCount, thumbnail(n), render(n, dpi), destroy() }; pages are 1-based.
+ * - DPI is relative to the page's physical size (pdf.js scale 1 = 72 dpi); renders are
+ *   capped at MAX_RENDER_PX a side, which browsers' canvases can still hold.
+ */
+
+export const PDF_DPIS = [72, 150, 200, 300];
+export const DEFAULT_PDF_DPI = 150;
+export const MAX_RENDER_PX = 8192;
+const THUMB_PX = 160;
+
+export const isPdfFile = (f) => f?.type === "application/pdf" || /\.pdf$/i.test(f?.name || "");
+
+let pdfjsPromise = null;
+const loadPdfjs = () => {
+  pdfjsPromise ??= Promise.all([import("pdfjs-dist"), import("pdfjs-dist/build/pdf.worker.min.mjs?url")]).then(([pdfjs, worker]) => {
+    pdfjs.GlobalWorkerOptions.workerSrc = worker.default;
+    return pdfjs;
+  });
+  return pdfjsPromise;
+};
+
+// page at `scale` onto a fresh white canvas
+async function draw(page, scale) {
+  const viewport = page.getViewport({ scale });
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.max(1, Math.floor(viewport.width)); canvas.height = Math.max(1, Math.floor(viewport.height));
+  await page.render({ canvas, viewport, background: "#ffffff" }).promise;
+  return canvas;
+}
+const toBlob = (canvas) => new Promise((resolve, reject) => canvas.toBlob((b) => (b ? resolve(b) : reject(new Error("The page could not be encoded."))), "image/png"));
+
+export async function openPdf(file) {
+  const pdfjs = await loadPdfjs();
+  let doc;
+  try {
+    doc = await pdfjs.getDocument({ data: new Uint8Array(await file.arrayBuffer()) }).promise;
+  } catch (err) {
+    throw new Error(err?.name === "PasswordException" ? "The PDF is password protected." : "Not a readable PDF file.", { cause: err });
+  }
+  const pageSize = async (n) => { const page = await doc.getPage(n); const v = page.getViewport({ scale: 1 }); return { page, w: v.width, h: v.height }; };
+  return {
+    pageCount: doc.numPages,
+    // PNG data URL, THUMB_PX on the long side
+    thumbnail: async (n) => {
+      const { page, w, h } = await pageSize(n);
+      return (await draw(page, THUMB_PX / Math.max(w, h))).toDataURL("image/png");
+    },
+    // -> { blob (PNG), w, h } in pixels
+    render: async (n, dpi) => {
+      const { page, w, h } = await pageSize(n);
+      const scale = Math.min(dpi / 72, MAX_RENDER_PX / Math.max(w, h));
+      const canvas = await draw(page, scale);
+      return { blob: await toBlob(canvas), w: canvas.width, h: canvas.height };
+    },
+    destroy: () => doc.destroy(),
+  };
+}
@@ -0,0 +1,144 @@
+/**
+ * AtlaS – project file (.atlas.json)
+ * - One JSON document: custom symbols plus a list of levels (storeys, see levels.js), each
+ *   with its background (embedded as data URL) and its display adjustments, vector underlay,
+ *   layers, view, calibration and layer stack.
+ * - `version` is bumped whenever the document shape changes; older files are
+ *   upgraded one step at a time through MIGRATIONS on load.
+ */
+
+import { defaultLayerStack } from "./layer-stack.js";
+import { DEFAULT_LEVEL_HEIGHT_CM, newLevelId } from "./levels.js";
+
+export const PROJECT_FORMAT = "atlas-project";
+export const PROJECT_VERSION = 11;
+export const PROJECT_EXT = ".atlas.json";
+
+const isObj = (x) => !!x && typeof x === "object" && !Array.isArray(x);
+const arr = (x) => (Array.isArray(x) ? x : []);
+const DEFAULT_WORLD = { w: 1200, h: 800, scale: 1 };
+
+/* ======================= blob helpers ======================= */
+export const blobToDataUrl = (blob) => new Promise((resolve, reject) => {
+  const fr = new FileReader();
+  fr.onload = () => resolve(fr.result);
+  fr.onerror = () => reject(fr.error || new Error("Could not read blob"));
+  fr.readAsDataURL(blob);
+});
+export const dataUrlToBlob = async (dataUrl) => (await fetch(dataUrl)).blob();
+export const urlToBlob = async (url) => { if (!url) return null; try { return await (await fetch(url)).blob(); } catch { return null; } };
+
+/* ======================= migrations ======================= */
+// Each entry upgrades a document FROM that version to version + 1.
+const MIGRATIONS = {
+  // v0: a bare history snapshot ({ items, walls, windows, floors, world, pan, bgImg, bgDataUrl? })
+  0: (d) => ({
+    format: PROJECT_FORMAT,
+    version: 1,
+    background: d.bgDataUrl ? { dataUrl: d.bgDataUrl, w: d.bgImg?.w || 0, h: d.bgImg?.h || 0 } : null,
+    layers: { walls: arr(d.walls), windows: arr(d.windows), floors: arr(d.floors), items: arr(d.items) },
+    view: { world: { ...DEFAULT_WORLD, ...(isObj(d.world) ? d.world : {}) }, pan: isObj(d.pan) ? d.pan : { x: 0, y: 0 } },
+  }),
+  // v2: real-world scale calibration
+  1: (d) => ({ ...d, version: 2, calibration: null }),
+  // v3: dimension lines
+  2: (d) => ({ ...d, version: 3, layers: { ...d.layers, dims: [] } }),
+  // v4: polyline walls (centre-line segments with a thickness in cm)
+  3: (d) => ({ ...d, version: 4, layers: { ...d.layers, wallLines: [] } }),
+  // v5: windows and doors hosted by polyline walls
+  4: (d) => ({ ...d, version: 5, layers: { ...d.layers, openings: [] } }),
+  // v6: items carry a real footprint in cm (w × d) instead of a square pixel `size`
+  5: (d) => {
+    const pxPerCm = d.calibration?.pxPerCm > 0 ? d.calibration.pxPerCm : 1;
+    const items = arr(d.layers.items).map(({ size, ...it }) => {
+      const cm = (Number(size) > 0 ? Math.max(16, Math.min(256, Number(size))) : 48) / pxPerCm;
+      return { ...it, w: cm, d: cm };
+    });
+    return { ...d, version: 6, layers: { ...d.layers, items } };
+  },
+  // v7: custom SVG palette symbols (see svg-symbols.js)
+  6: (d) => ({ ...d, version: 7, symbols: [] }),
+  // v8: layer stack – draw order, visibility, lock, opacity (see layer-stack.js)
+  7: (d) => ({ ...d, version: 8, layerStack: defaultLayerStack() }),
+  // v9: levels – the single plan becomes the first storey
+  8: ({ background, layers, view, calibration, layerStack, symbols, ...d }) => {
+    const id = newLevelId();
+    return {
+      ...d, version: 9, symbols, activeLevel: id,
+      levels: [{ id, name: "Ground floor", heightCm: DEFAULT_LEVEL_HEIGHT_CM, background, layers, view, calibration, layerStack }],
+    };
+  },
+  // v10: imported DXF/SVG line work under each level (see vector-import.js)
+  9: (d) => ({ ...d, version: 10, levels: arr(d.levels).map((l) => ({ ...l, underlay: null })) }),
+  // v11: non-destructive background rotation / crop / flip / filters (see background-adjust.js)
+  10: (d) => ({ ...d, version: 11, levels: arr(d.levels).map((l) => ({ ...l, backgroundAdjust: null })) }),
+};
+
+export function migrateProject(raw) {
+  if (!isObj(raw)) throw new Error("Not an AtlaS project.");
+  let doc = raw;
+  let v = raw.format === PROJECT_FORMAT ? Number(raw.version) : 0;
+  if (!Number.isInteger(v) || v < 0) throw new Error("Unknown project version.");
+  if (v > PROJECT_VERSION) throw new Error(`Project was saved by a newer AtlaS (v${v}).`);
+  while (v < PROJECT_VERSION) {
+    const step = MIGRATIONS[v];
+    if (!step) throw new Error(`No migration from project v${v}.`);
+    doc = step(doc); v = doc.version;
+  }
+  return doc;
+}
+
+/* ======================= build / read ======================= */
+// project: { levels: [{ id, name, heightCm, state }], activeLevel, symbols }
+//   state: a level snapshot { bgUrl, bgImg, bgAdjust, underlay, walls, wallLines, openings, windows, floors, items, dims, world, pan, calib, layerStack }
+// backgroundOf(level): { dataUrl? | key?, w, h } or null – callers decide whether to embed the image
+const levelDoc = (l, background) => ({
+  id: l.id,
+  name: l.name,
+  heightCm: l.heightCm,
+  background,
+  backgroundAdjust: l.state.bgAdjust || null,
+  underlay: l.state.underlay || null,
+  layers: { walls: l.state.walls, wallLines: l.state.wallLines, openings: l.state.openings, windows: l.state.windows, floors: l.state.floors, items: l.state.items, dims: l.state.dims },
+  view: { world: l.state.world, pan: l.state.pan },
+  calibration: l.state.calib || null,
+  layerStack: l.state.layerStack || defaultLayerStack(),
+});
+
+export const toProjectDoc = (project, backgroundOf) => ({
+  format: PROJECT_FORMAT,
+  version: PROJECT_VERSION,
+  savedAt: new Date().toISOString(),
+  symbols: project.symbols || [],
+  activeLevel: project.activeLevel,
+  levels: project.levels.map((l) => levelDoc(l, backgroundOf(l))),
+});
+
+export async function buildProject(project) {
+  const backgrounds = new Map();
+  for (const l of project.levels) {
+    const blob = await urlToBlob(l.state.bgUrl);
+    if (blob) backgrounds.set(l.id, { dataUrl: await blobToDataUrl(blob), w: l.state.bgImg.w, h: l.state.bgImg.h });
+  }
+  return toProjectDoc(project, (l) => backgrounds.get(l.id) || null);
+}
+
+// -> { doc, bgBlobs } with doc at PROJECT_VERSION and bgBlobs keyed by level id
+export async function parseProject(text) {
+  let raw;
+  try { raw = JSON.parse(text); } catch { throw new Error("Project file is not valid JSON."); }
+  const doc = migrateProject(raw);
+  if (!Array.isArray(doc.levels) || !doc.levels.length) throw new Error("Project has no levels.");
+  const bgBlobs = {};
+  for (const l of doc.levels) if (l.background?.dataUrl) bgBlobs[l.id] = await dataUrlToBlob(l.background.dataUrl);
+  return { doc, bgBlobs };
+}
+
+export const downloadText = (text, name, type = "application/json") => downloadBlob(new Blob([text], { type }), name);
+export function downloadBlob(blob, name) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url; a.download = name;
+  document.body.appendChild(a); a.click(); a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,124 @@
+/**
+ * AtlaS – multi-selection (world px)
+ * - A selection is a list of { kind, id } with kind one of SELECTABLE_KINDS; it can mix
+ *   rect walls, windows, floors, items, wall lines and dimension lines.
+ * - `layers` is { walls, windows, floors, items, wallLines, dims, openings, calib }; every
+ *   edit returns a patch with only the layers it changed, ready for snapshot().
+ * - Openings are never selected themselves: they ride along with (and are removed or
+ *   duplicated with) their host wall line.
+ */
+
+import { shapeBox, moveShapeTo, normDeg } from "./geometry.js";
+import { endpointsAt, moveEndpoints, newOpeningId, lengthPx } from "./walls.js";
+
+export const LAYER_OF = { wall: "walls", window: "windows", floor: "floors", item: "items", wallLine: "wallLines", dim: "dims" };
+export const SELECTABLE_KINDS = Object.keys(LAYER_OF);
+
+export const selKey = ({ kind, id }) => `${kind}:${id}`;
+export const isSelected = (sel, kind, id) => sel.some((s) => s.kind === kind && s.id === id);
+export const toggleSelected = (sel, kind, id) => (isSelected(sel, kind, id) ? sel.filter((s) => !(s.kind === kind && s.id === id)) : [...sel, { kind, id }]);
+
+// an item's footprint as a (possibly rotated) rect in world px; w/d are real cm, see catalog.js
+export const itemRect = (it, calib) => ({ x: it.x, y: it.y, w: lengthPx(it.w, calib), h: lengthPx(it.d, calib), rot: it.rot });
+
+const lineBox = (a, b) => ({ x: Math.min(a.x, b.x), y: Math.min(a.y, b.y), w: Math.abs(b.x - a.x), h: Math.abs(b.y - a.y) });
+export function boxOf(kind, s, calib) {
+  if (kind === "item") return shapeBox(itemRect(s, calib));
+  if (kind === "wallLine" || kind === "dim") return lineBox(s.a, s.b);
+  return shapeBox(s);
+}
+
+export const selectedShape = (layers, { kind, id }) => layers[LAYER_OF[kind]]?.find((s) => s.id === id);
+// drop entries whose shape no longer exists (e.g. after undo)
+export const pruneSelection = (layers, sel) => sel.filter((s) => selectedShape(layers, s));
+
+// bounding box of the whole selection, or null
+export function selectionBox(layers, sel) {
+  const boxes = sel.map((s) => { const shape = selectedShape(layers, s); return shape && boxOf(s.kind, shape, layers.calib); }).filter(Boolean);
+  if (!boxes.length) return null;
+  const x = Math.min(...boxes.map((b) => b.x)), y = Math.min(...boxes.map((b) => b.y));
+  return { x, y, w: Math.max(...boxes.map((b) => b.x + b.w)) - x, h: Math.max(...boxes.map((b) => b.y + b.h)) - y };
+}
+
+// bounding box of every shape on the plan, or null (exports size their page from it)
+export const drawingBox = (layers) => selectionBox(layers, SELECTABLE_KINDS.flatMap((kind) => (layers[LAYER_OF[kind]] || []).map((s) => ({ kind, id: s.id }))));
+
+// shapes whose bounding box lies fully inside rect
+export function shapesInRect(layers, rect) {
+  const inside = (b) => b.x >= rect.x && b.y >= rect.y && b.x + b.w <= rect.x + rect.w && b.y + b.h <= rect.y + rect.h;
+  const out = [];
+  for (const kind of SELECTABLE_KINDS) for (const s of layers[LAYER_OF[kind]] || []) if (inside(boxOf(kind, s, layers.calib))) out.push({ kind, id: s.id });
+  return out;
+}
+
+// every wall-line endpoint that moves with the selection: the selected segments' ends plus
+// the ends of other segments joined to them, so joints stay connected
+export function selectionEnds(wallLines, sel) {
+  const out = [];
+  for (const w of wallLines) if (isSelected(sel, "wallLine", w.id)) out.push(...endpointsAt(wallLines, w.a), ...endpointsAt(wallLines, w.b));
+  return out;
+}
+
+// one shape moved by (dx, dy); wall lines move both ends without touching their neighbours
+export function moveShape(kind, s, dx, dy) {
+  const off = (p) => ({ x: p.x + dx, y: p.y + dy });
+  if (kind === "wallLine" || kind === "dim") return { ...s, a: off(s.a), b: off(s.b) };
+  if (kind === "floor") { const b = shapeBox(s); return moveShapeTo(s, b.x + dx, b.y + dy); }
+  return { ...s, x: s.x + dx, y: s.y + dy };
+}
+
+// move the selection by (dx, dy) relative to `layers` (the layers at drag start)
+export function translateSelection(layers, sel, dx, dy, ends = selectionEnds(layers.wallLines, sel)) {
+  const patch = {};
+  for (const kind of SELECTABLE_KINDS) {
+    if (kind === "wallLine" || !sel.some((s) => s.kind === kind)) continue;
+    patch[LAYER_OF[kind]] = layers[LAYER_OF[kind]].map((s) => (isSelected(sel, kind, s.id) ? moveShape(kind, s, dx, dy) : s));
+  }
+  if (ends.length) patch.wallLines = moveEndpoints(layers.wallLines, ends, dx, dy);
+  return patch;
+}
+
+// turn every selected item / rect by deg about its own centre (lines and polygons have no rotation)
+export const ROTATABLE_KINDS = ["wall", "window", "floor", "item"];
+export function rotateSelection(layers, sel, deg) {
+  const patch = {};
+  for (const kind of ROTATABLE_KINDS) {
+    if (!sel.some((s) => s.kind === kind)) continue;
+    patch[LAYER_OF[kind]] = layers[LAYER_OF[kind]].map((s) => (isSelected(sel, kind, s.id) && !Array.isArray(s.points) ? { ...s, rot: normDeg((s.rot || 0) + deg) } : s));
+  }
+  return patch;
+}
+
+export function removeSelection(layers, sel) {
+  const patch = {};
+  for (const kind of SELECTABLE_KINDS) {
+    if (sel.some((s) => s.kind === kind)) patch[LAYER_OF[kind]] = layers[LAYER_OF[kind]].filter((s) => !isSelected(sel, kind, s.id));
+  }
+  if (patch.wallLines) patch.openings = layers.openings.filter((o) => !isSelected(sel, "wallLine", o.wallId));
+  return patch;
+}
+
+/**
+ * Copies of the selected shapes moved by (dx, dy), with fresh ids from newId(kind);
+ * openings hosted by copied wall lines are copied onto the new segments.
+ * -> { patch, sel } where sel selects the copies.
+ */
+export function duplicateSelection(layers, sel, dx, dy, newId) {
+  const patch = {}, copies = [], wallIds = new Map();
+  for (const kind of SELECTABLE_KINDS) {
+    const picked = layers[LAYER_OF[kind]].filter((s) => isSelected(sel, kind, s.id));
+    if (!picked.length) continue;
+    const added = picked.map((s) => {
+      const id = newId(kind);
+      if (kind === "wallLine") wallIds.set(s.id, id);
+      copies.push({ kind, id });
+      return { ...moveShape(kind, s, dx, dy), id };
+    });
+    patch[LAYER_OF[kind]] = [...layers[LAYER_OF[kind]], ...added];
+  }
+  if (wallIds.size) {
+    const hosted = layers.openings.filter((o) => wallIds.has(o.wallId)).map((o) => ({ ...o, id: newOpeningId(o.kind), wallId: wallIds.get(o.wallId) }));
+    patch.openings = [...layers.openings, ...hosted];
+  }
+  return { patch, sel: copies };
+}
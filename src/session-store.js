@@ -0,0 +1,104 @@
+/**
+ * AtlaS – crash-proof autosave (IndexedDB)
+ * - "checkpoints": rolling recovery points { id, session, createdAt, savedAt, doc, bgKeys }.
+ *   Within one session the newest checkpoint is rewritten in place until it is
+ *   CHECKPOINT_EVERY_MS old, then a new one is started; only MAX_CHECKPOINTS are kept.
+ * - "backgrounds": background image blobs keyed by bgKey (one per level, the doc's
+ *   level.background.key), so object URLs can be recreated after a reload. Blobs no
+ *   checkpoint refers to are pruned. Checkpoints from before levels have a single bgKey.
+ */
+
+const DB_NAME = "atlas";
+const DB_VERSION = 1;
+const CHECKPOINTS = "checkpoints";
+const BACKGROUNDS = "backgrounds";
+export const MAX_CHECKPOINTS = 12;
+export const CHECKPOINT_EVERY_MS = 5 * 60 * 1000;
+
+// one id per page load; a new session never overwrites an older session's checkpoint
+export const SESSION_ID = `s_${Date.now()}_${Math.random().toString(36).slice(2)}`;
+
+let dbPromise = null;
+function openDb() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") { reject(new Error("IndexedDB is not available.")); return; }
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(CHECKPOINTS)) db.createObjectStore(CHECKPOINTS, { keyPath: "id", autoIncrement: true });
+      if (!db.objectStoreNames.contains(BACKGROUNDS)) db.createObjectStore(BACKGROUNDS);
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+  dbPromise.catch(() => { dbPromise = null; });
+  return dbPromise;
+}
+
+const keysOf = (c) => (c.bgKeys || [c.bgKey]).filter(Boolean);
+const SHAPE_LAYERS = ["walls", "wallLines", "openings", "windows", "floors", "items", "dims"];
+const countShapes = (layers) => SHAPE_LAYERS.reduce((n, k) => n + (layers?.[k]?.length || 0), 0);
+
+const done = (req) => new Promise((resolve, reject) => { req.onsuccess = () => resolve(req.result); req.onerror = () => reject(req.error); });
+const finished = (tx) => new Promise((resolve, reject) => { tx.oncomplete = () => resolve(); tx.onerror = tx.onabort = () => reject(tx.error); });
+
+/* ======================= write ======================= */
+// doc: project document without embedded images; bgKeys: every background the doc refers to;
+// bgBlobs: { [bgKey]: blob } for backgrounds that may not be stored yet
+// -> the bgKeys stored after pruning, so callers know which blobs they must hand in again
+export async function saveCheckpoint({ doc, bgKeys = [], bgBlobs = {} }) {
+  const db = await openDb();
+  const tx = db.transaction([CHECKPOINTS, BACKGROUNDS], "readwrite");
+  const cps = tx.objectStore(CHECKPOINTS), bgs = tx.objectStore(BACKGROUNDS);
+  const all = await done(cps.getAll());
+  const now = Date.now();
+  const latest = all[all.length - 1];
+  const reuse = latest && latest.session === SESSION_ID && now - latest.createdAt < CHECKPOINT_EVERY_MS;
+  const entry = { session: SESSION_ID, createdAt: reuse ? latest.createdAt : now, savedAt: now, doc, bgKeys };
+  if (reuse) entry.id = latest.id;
+  await done(cps.put(entry));
+  for (const [key, blob] of Object.entries(bgBlobs)) if (blob && !(await done(bgs.getKey(key)))) await done(bgs.put(blob, key));
+
+  // prune old checkpoints and orphaned backgrounds
+  const kept = reuse ? all : [...all, entry];
+  const drop = kept.slice(0, Math.max(0, kept.length - MAX_CHECKPOINTS));
+  for (const c of drop) await done(cps.delete(c.id));
+  const live = new Set(kept.slice(drop.length).flatMap(keysOf)), stored = [];
+  for (const k of await done(bgs.getAllKeys())) if (live.has(k)) stored.push(k); else await done(bgs.delete(k));
+  await finished(tx);
+  return stored;
+}
+
+export async function clearCheckpoints() {
+  const db = await openDb();
+  const tx = db.transaction([CHECKPOINTS, BACKGROUNDS], "readwrite");
+  tx.objectStore(CHECKPOINTS).clear(); tx.objectStore(BACKGROUNDS).clear();
+  await finished(tx);
+}
+
+/* ======================= read ======================= */
+// newest first; summaries only (no blobs)
+export async function listCheckpoints() {
+  const db = await openDb();
+  const all = await done(db.transaction(CHECKPOINTS).objectStore(CHECKPOINTS).getAll());
+  return all.reverse().map((c) => ({
+    id: c.id,
+    savedAt: c.savedAt,
+    previous: c.session !== SESSION_ID,
+    shapes: Array.isArray(c.doc?.levels) ? c.doc.levels.reduce((n, l) => n + countShapes(l.layers), 0) : countShapes(c.doc?.layers),
+  }));
+}
+
+// -> { doc, bgBlobs } or null; bgBlobs is keyed by bgKey (the doc's level.background.key)
+export async function loadCheckpoint(id) {
+  const db = await openDb();
+  const tx = db.transaction([CHECKPOINTS, BACKGROUNDS]);
+  const c = await done(tx.objectStore(CHECKPOINTS).get(id));
+  if (!c) return null;
+  const bgBlobs = {};
+  for (const k of keysOf(c)) bgBlobs[k] = (await done(tx.objectStore(BACKGROUNDS).get(k))) || null;
+  // pre-level checkpoints kept the key next to the doc; put it where migration carries it into the level
+  const doc = c.bgKey && c.doc?.background ? { ...c.doc, background: { ...c.doc.background, key: c.bgKey } } : c.doc;
+  return { doc, bgBlobs };
+}
@@ -0,0 +1,116 @@
+/**
+ * AtlaS – snapping engine (world px)
+ * - Targets are built from plain polylines: { pts:[{x,y}…], closed }. Every vertex,
+ *   edge midpoint and (closed) centre becomes a snap point; every edge can be snapped onto;
+ *   every snap point also feeds the x/y alignment guides.
+ * - Priority: points > edges > alignment > grid. Tolerances are given in screen px and
+ *   divided by the zoom, so snapping feels the same at every scale.
+ * - Modifiers: Shift locks to horizontal/vertical from an anchor, Alt bypasses snapping.
+ */
+
+import { closestOnSegment } from "./geometry.js";
+
+export const DEFAULT_SNAP = { on: true, grid: 10, gridOn: false, tol: 8 };
+
+export function collectTargets(polylines) {
+  const points = [], edges = [];
+  for (const { pts, closed } of polylines) {
+    if (!pts?.length) continue;
+    const n = closed ? pts.length : pts.length - 1;
+    for (const p of pts) points.push({ x: p.x, y: p.y, kind: "endpoint" });
+    for (let i = 0; i < n; i++) {
+      const a = pts[i], b = pts[(i + 1) % pts.length];
+      edges.push([a, b]);
+      points.push({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2, kind: "midpoint" });
+    }
+    if (closed && pts.length > 2) {
+      points.push({ x: pts.reduce((s, p) => s + p.x, 0) / pts.length, y: pts.reduce((s, p) => s + p.y, 0) / pts.length, kind: "center" });
+    }
+  }
+  return { points, edges };
+}
+
+const roundTo = (v, g) => (g > 0 ? Math.round(v / g) * g : v);
+
+// best alignment of value v against target coordinates on one axis (within tol)
+function alignAxis(v, points, axis, tol) {
+  let best = null, bestD = tol;
+  for (const p of points) {
+    const d = Math.abs(p[axis] - v);
+    if (d <= bestD) { best = p; bestD = d; }
+  }
+  return best;
+}
+
+/**
+ * Snap a single point.
+ * opts: { targets, cfg, scale, gridPx, anchor?, shift?, alt?, useEdges? }
+ * -> { x, y, kind, guides:[{a,b}] }
+ */
+export function snapPoint(p, opts) {
+  const { targets, cfg, scale, gridPx, anchor, shift, alt, useEdges = true } = opts;
+  let x = p.x, y = p.y;
+  // orthogonal lock first, it decides which axis is free
+  let lock = null;
+  if (shift && anchor) {
+    lock = Math.abs(p.x - anchor.x) >= Math.abs(p.y - anchor.y) ? "h" : "v";
+    if (lock === "h") y = anchor.y; else x = anchor.x;
+  }
+  if (alt || !cfg.on) return { x, y, kind: lock ? "ortho" : null, guides: [] };
+  const tol = cfg.tol / Math.max(0.0001, scale);
+
+  if (!lock) {
+    let best = null, bestD = tol;
+    for (const t of targets.points) {
+      const d = Math.hypot(t.x - x, t.y - y);
+      if (d <= bestD) { best = t; bestD = d; }
+    }
+    if (best) return { x: best.x, y: best.y, kind: best.kind, guides: [] };
+    if (useEdges) {
+      let q = null; bestD = tol;
+      for (const [a, b] of targets.edges) {
+        const c = closestOnSegment({ x, y }, a, b);
+        const d = Math.hypot(c.x - x, c.y - y);
+        if (d <= bestD) { q = c; bestD = d; }
+      }
+      if (q) return { x: q.x, y: q.y, kind: "edge", guides: [] };
+    }
+  }
+
+  const guides = [];
+  let ax = null, ay = null;
+  if (lock !== "v") ax = alignAxis(x, targets.points, "x", tol);
+  if (lock !== "h") ay = alignAxis(y, targets.points, "y", tol);
+  if (ax) x = ax.x; else if (cfg.gridOn && lock !== "v") x = roundTo(x, gridPx);
+  if (ay) y = ay.y; else if (cfg.gridOn && lock !== "h") y = roundTo(y, gridPx);
+  if (ax) guides.push({ a: { x: ax.x, y: ax.y }, b: { x, y } });
+  if (ay) guides.push({ a: { x: ay.x, y: ay.y }, b: { x, y } });
+  return { x, y, kind: ax || ay ? "align" : lock ? "ortho" : cfg.gridOn ? "grid" : null, guides };
+}
+
+/**
+ * Snap a moving box (its left/centre/right and top/middle/bottom lines) to target alignments.
+ * box is where the shape would be without snapping. -> { dx, dy, guides }
+ */
+export function snapBox(box, opts) {
+  const { targets, cfg, scale, gridPx, alt } = opts;
+  if (alt || !cfg.on) return { dx: 0, dy: 0, guides: [] };
+  const tol = cfg.tol / Math.max(0.0001, scale);
+  const axis = (vals, key) => {
+    let best = null;
+    for (const v of vals) {
+      const t = alignAxis(v, targets.points, key, tol);
+      if (t && (!best || Math.abs(t[key] - v) < Math.abs(best.d))) best = { d: t[key] - v, t, v };
+    }
+    return best;
+  };
+  const bx = axis([box.x, box.x + box.w / 2, box.x + box.w], "x");
+  const by = axis([box.y, box.y + box.h / 2, box.y + box.h], "y");
+  const dx = bx ? bx.d : cfg.gridOn ? roundTo(box.x, gridPx) - box.x : 0;
+  const dy = by ? by.d : cfg.gridOn ? roundTo(box.y, gridPx) - box.y : 0;
+  const guides = [];
+  const cy = box.y + dy + box.h / 2, cx = box.x + dx + box.w / 2;
+  if (bx) guides.push({ a: { x: bx.t.x, y: bx.t.y }, b: { x: bx.t.x, y: cy } });
+  if (by) guides.push({ a: { x: by.t.x, y: by.t.y }, b: { x: cx, y: by.t.y } });
+  return { dx, dy, guides };
+}
@@ -0,0 +1,126 @@
+/**
+ * AtlaS – vector SVG export
+ * - buildSvg() writes the plan as plain SVG elements in world px, one group per entry of the
+ *   layer stack (bottom first, id "layer-<id>", marked as an Inkscape layer; hidden layers
+ *   are kept but not displayed) and one element or group per shape with the shape's id.
+ * - The page is the background image's frame when there is one, otherwise the drawing's
+ *   bounds. The background is an <image> whose href the caller chooses: a data URL to
+ *   embed it or a file name to link it.
+ * - Category colours come from the caller (App.jsx COLORS, like the PDF and DXF exports).
+ * - Furniture symbols are nested <svg> elements (markup from the caller, see App.jsx), so
+ *   they stay editable vectors too.
+ */
+
+import { shapePoints, shapeBox, polygonArea } from "./geometry.js";
+import { wallOutline, openingFrame, openingCorners, doorSwing, lengthPx } from "./walls.js";
+import { itemRect, drawingBox } from "./selection.js";
+import { layerOfShape } from "./layer-stack.js";
+import { formatPx, formatPx2, dist } from "./units.js";
+import { parseColor } from "./color.js";
+
+export const SVG_EXT = ".svg";
+export const SVG_MIME = "image/svg+xml";
+const PAPER = "#faf9f5";
+const FONT = "Inter, system-ui, Arial, sans-serif";
+const MARGIN = 20;
+
+const esc = (v) => String(v).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+const n = (v) => (Math.round(v * 100) / 100).toString();
+const pts = (list) => list.map((p) => `${n(p.x)},${n(p.y)}`).join(" ");
+const attrs = (o) => Object.entries(o).filter(([, v]) => v !== undefined && v !== null && v !== "").map(([k, v]) => ` ${k}="${esc(v)}"`).join("");
+const el = (tag, o, body) => (body === undefined ? `<${tag}${attrs(o)}/>` : `<${tag}${attrs(o)}>${body}</${tag}>`);
+const title = (s) => [s.label, s.notes].filter(Boolean).map((t) => el("title", {}, esc(t))).join("");
+// opaque hex of a CSS colour; fillOf() applies the canvas' fill opacity
+const hexOf = (c) => `#${parseColor(c).rgb.map((v) => Math.round(v * 255).toString(16).padStart(2, "0")).join("")}`;
+const fillOf = (s, fallback) => ({ fill: s.color || fallback, "fill-opacity": 0.35, stroke: s.color || fallback, "stroke-width": 2 });
+
+// the page in world px: background frame, else everything drawn plus a margin
+function pageOf(state, background) {
+  if (background) return { x: background.x, y: background.y, w: background.w, h: background.h };
+  const b = drawingBox(state);
+  if (!b) return { x: 0, y: 0, w: state.world.w, h: state.world.h };
+  return { x: b.x - MARGIN, y: b.y - MARGIN, w: b.w + 2 * MARGIN, h: b.h + 2 * MARGIN };
+}
+
+// a rect (rotated or not) or polygon shape
+const shapeEl = (s, paint) => (Array.isArray(s.points) || s.rot
+  ? el("polygon", { id: s.id, points: pts(shapePoints(s)), ...paint }, title(s))
+  : el("rect", { id: s.id, x: n(s.x), y: n(s.y), width: n(s.w), height: n(s.h), ...paint }, title(s)));
+
+function floorEl(f, calib, palette) {
+  const p = shapePoints(f), b = shapeBox(f);
+  const text = [f.name, formatPx2(polygonArea(p), calib)].filter(Boolean).join(" · ");
+  return el("g", { id: f.id }, shapeEl({ ...f, id: undefined }, fillOf(f, palette.floor)) + (text
+    ? el("text", { x: n(b.x + b.w / 2), y: n(b.y + b.h / 2), "text-anchor": "middle", "font-family": FONT, "font-size": 12, fill: f.color || palette.floor }, esc(text))
+    : ""));
+}
+
+function openingEl(o, wallLines, calib, palette) {
+  const host = wallLines.find((w) => w.id === o.wallId);
+  if (!host) return "";
+  const f = openingFrame(host, o, calib), cut = pts(openingCorners(f));
+  let body = el("polygon", { points: cut, fill: PAPER });
+  if (o.kind === "window") body += el("polygon", { points: cut, fill: palette.window, "fill-opacity": 0.35, stroke: palette.window });
+  else {
+    const sw = doorSwing(f, o);
+    body += el("line", { x1: n(sw.hinge.x), y1: n(sw.hinge.y), x2: n(sw.open.x), y2: n(sw.open.y), stroke: "#333", "stroke-width": 2 });
+    body += el("path", { d: `M ${n(sw.open.x)} ${n(sw.open.y)} A ${n(sw.r)} ${n(sw.r)} 0 0 ${sw.sweep} ${n(sw.closed.x)} ${n(sw.closed.y)}`, fill: "none", stroke: "#333", "stroke-dasharray": "4 3" });
+  }
+  return el("g", { id: o.id }, title(o) + body);
+}
+
+const arrowId = (color) => `arrow-${color.replace(/[^0-9a-z]/gi, "")}`;
+function dimEl(d, calib, palette) {
+  const color = d.color || palette.dim, mid = { x: (d.a.x + d.b.x) / 2, y: (d.a.y + d.b.y) / 2 };
+  let ang = (Math.atan2(d.b.y - d.a.y, d.b.x - d.a.x) * 180) / Math.PI;
+  if (Math.abs(ang) > 90) ang += 180;
+  const label = calib ? formatPx(dist(d.a, d.b), calib) : `${Math.round(dist(d.a, d.b))} px`;
+  return el("g", { id: d.id }, title(d)
+    + el("line", { x1: n(d.a.x), y1: n(d.a.y), x2: n(d.b.x), y2: n(d.b.y), stroke: color, "stroke-width": 1.5, "marker-start": `url(#${arrowId(color)})`, "marker-end": `url(#${arrowId(color)})` })
+    + el("text", {
+      x: n(mid.x), y: n(mid.y - 3), transform: `rotate(${n(ang)} ${n(mid.x)} ${n(mid.y)})`, "text-anchor": "middle", "font-family": FONT, "font-size": 12,
+      fill: color, stroke: "#fff", "stroke-width": 3, "paint-order": "stroke",
+    }, esc(label)));
+}
+
+// markup: an <svg …>…</svg> string drawn over the item's footprint
+function itemEl(it, calib, markup) {
+  const r = itemRect(it, calib), c = { x: r.x + r.w / 2, y: r.y + r.h / 2 };
+  const placed = markup
+    ? markup.replace(/<svg\b([^>]*)>/i, (_, a) => `<svg${a.replace(/\s(x|y|width|height|style|class)="[^"]*"/gi, "")} x="${n(r.x)}" y="${n(r.y)}" width="${n(r.w)}" height="${n(r.h)}">`)
+    : el("rect", { x: n(r.x), y: n(r.y), width: n(r.w), height: n(r.h), fill: "none", stroke: it.color || "#333" });
+  return el("g", { id: it.id, transform: it.rot ? `rotate(${n(it.rot)} ${n(c.x)} ${n(c.y)})` : undefined }, title(it) + placed);
+}
+
+/**
+ * state: { walls, wallLines, openings, windows, floors, items, dims, layerStack, calib, world }
+ * opts.colors: App.jsx COLORS ({ wall, window, floor } × { fill, stroke }); opts.dimColor: dimension lines
+ * opts.background: { href, x, y, w, h } in world px, or null
+ * opts.symbolMarkup(item): <svg> markup of the item's symbol, or null for a plain outline
+ */
+export function buildSvg(state, { colors, dimColor, background = null, symbolMarkup = () => null }) {
+  const page = pageOf(state, background), calib = state.calib;
+  const palette = { wall: hexOf(colors.wall.stroke), window: hexOf(colors.window.stroke), floor: hexOf(colors.floor.stroke), dim: dimColor };
+  const dimColors = [...new Set(state.dims.map((d) => d.color || palette.dim))];
+  const LAYERS = {
+    background: () => (background ? el("image", { id: "background", "xlink:href": background.href, x: n(background.x), y: n(background.y), width: n(background.w), height: n(background.h), preserveAspectRatio: "none" }) : ""),
+    floors: () => state.floors.map((f) => floorEl(f, calib, palette)).join(""),
+    walls: () => [
+      ...state.walls.map((w) => shapeEl(w, fillOf(w, palette.wall))),
+      ...state.wallLines.map((w) => el("polygon", { id: w.id, points: pts(wallOutline(state.wallLines, w, calib)), ...fillOf(w, palette.wall), "data-thickness-cm": w.thickCm }, title(w))),
+      ...state.openings.map((o) => openingEl(o, state.wallLines, calib, palette)),
+    ].join(""),
+    windows: () => state.windows.map((w) => shapeEl(w, { ...fillOf(w, palette.window), "data-height-cm": w.heightCm })).join(""),
+    items: () => state.items.map((it) => itemEl(it, calib, symbolMarkup(it))).join(""),
+  };
+  const groups = state.layerStack.map((l) => el("g", {
+    id: `layer-${l.id}`, "inkscape:groupmode": "layer", "inkscape:label": l.name,
+    opacity: l.opacity < 1 ? l.opacity : undefined, style: l.visible ? undefined : "display:none",
+  }, LAYERS[l.id] ? LAYERS[l.id]() : state.dims.filter((d) => layerOfShape(state.layerStack, "dim", d) === l.id).map((d) => dimEl(d, calib, palette)).join("")));
+  const defs = el("defs", {}, dimColors.map((c) => el("marker", { id: arrowId(c), viewBox: "0 0 10 10", refX: 10, refY: 5, markerWidth: 9, markerHeight: 9, markerUnits: "userSpaceOnUse", orient: "auto-start-reverse" }, el("path", { d: "M0,1 L10,5 L0,9 z", fill: c }))).join(""));
+  const scale = calib ? el("desc", {}, esc(`1 cm = ${n(lengthPx(1, calib))} px`)) : "";
+  return `<?xml version="1.0" encoding="UTF-8"?>\n` + el("svg", {
+    xmlns: "http://www.w3.org/2000/svg", "xmlns:xlink": "http://www.w3.org/1999/xlink", "xmlns:inkscape": "http://www.inkscape.org/namespaces/inkscape",
+    width: n(page.w), height: n(page.h), viewBox: `${n(page.x)} ${n(page.y)} ${n(page.w)} ${n(page.h)}`,
+  }, scale + defs + el("rect", { x: n(page.x), y: n(page.y), width: n(page.w), height: n(page.h), fill: PAPER }) + groups.join(""));
+}
@@ -0,0 +1,68 @@
+/**
+ * AtlaS – custom SVG palette symbols
+ * - A symbol is { id, label, w, d, svg }: a sanitized, self-contained SVG string plus the
+ *   real footprint in cm. Items placed from it use `type: id`.
+ * - sanitizeSvg() keeps drawing markup only: scripts, foreign content, animation, event
+ *   handlers and every reference that is not document-local (#id) or an inline raster
+ *   image are dropped. The root gets a normalized viewBox and preserveAspectRatio="none",
+ *   so the drawing stretches to the item's width × depth like the built-in symbols.
+ * - Symbols are shown through <img src=data:…>, where SVG can neither run script nor
+ *   load anything; sanitizing still runs on every import, load and paste.
+ */
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+export const MAX_SVG_BYTES = 512 * 1024;
+
+const DROP_TAGS = new Set(["script", "foreignobject", "iframe", "object", "embed", "audio", "video", "canvas", "link", "meta", "base", "set", "animate", "animatemotion", "animatetransform", "discard", "handler", "listener"]);
+const LOCAL_URL = /^\s*#/;
+const RASTER_DATA = /^\s*data:image\/(png|jpe?g|gif|webp);/i;
+// url(...) that does not point inside the document
+const FOREIGN_URL = /url\(\s*(?!['"]?#)[^)]*\)/gi;
+const hasForeignUrl = (v) => new RegExp(FOREIGN_URL.source, "i").test(v);
+
+export const newSymbolId = () => `sym_${Date.now()}_${Math.random().toString(36).slice(2)}`;
+export const svgDataUrl = (svg) => `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+
+const num = (v) => { const n = parseFloat(String(v ?? "")); return Number.isFinite(n) && n > 0 ? n : null; };
+
+function cleanElement(el) {
+  for (const child of [...el.children]) {
+    if (DROP_TAGS.has(child.localName.toLowerCase())) child.remove();
+    else cleanElement(child);
+  }
+  for (const { name, value } of [...el.attributes]) {
+    const n = name.toLowerCase();
+    if (n.startsWith("on")) el.removeAttribute(name);
+    else if (n === "href" || n === "xlink:href" || n === "src") { if (!LOCAL_URL.test(value) && !(el.localName === "image" && RASTER_DATA.test(value))) el.removeAttribute(name); }
+    else if (/javascript:|expression\s*\(/i.test(value)) el.removeAttribute(name);
+    else if (hasForeignUrl(value)) el.setAttribute(name, value.replace(FOREIGN_URL, "none"));
+  }
+  if (el.localName === "style") el.textContent = el.textContent.replace(/@import[^;]*;?/gi, "").replace(FOREIGN_URL, "none");
+}
+
+/**
+ * text -> { svg, viewBox:{ x, y, w, h } }; throws Error with a user-facing message.
+ */
+export function sanitizeSvg(text) {
+  if (typeof text !== "string" || !text.trim()) throw new Error("The file is empty.");
+  if (text.length > MAX_SVG_BYTES) throw new Error("The SVG is too large (max. 512 KB).");
+  const doc = new DOMParser().parseFromString(text, "image/svg+xml");
+  const root = doc.documentElement;
+  if (!root || root.localName !== "svg" || root.namespaceURI !== SVG_NS || doc.getElementsByTagName("parsererror").length) throw new Error("Not a valid SVG file.");
+  cleanElement(root);
+
+  // viewBox from the file, else from width/height, else a unit square
+  const vb = String(root.getAttribute("viewBox") || "").trim().split(/[\s,]+/).map(Number);
+  let box = vb.length === 4 && vb.every(Number.isFinite) && vb[2] > 0 && vb[3] > 0 ? { x: vb[0], y: vb[1], w: vb[2], h: vb[3] } : null;
+  if (!box) { const w = num(root.getAttribute("width")), h = num(root.getAttribute("height")); box = { x: 0, y: 0, w: w || 100, h: h || w || 100 }; }
+  for (const a of ["width", "height", "x", "y", "viewBox", "preserveAspectRatio"]) root.removeAttribute(a);
+  root.setAttribute("viewBox", `${box.x} ${box.y} ${box.w} ${box.h}`);
+  root.setAttribute("preserveAspectRatio", "none");
+  return { svg: new XMLSerializer().serializeToString(root), viewBox: box };
+}
+
+// a symbol from a file or clipboard/project data, re-sanitized; null when unusable
+export function cleanSymbol(s) {
+  if (!s || typeof s.id !== "string" || !(Number(s.w) > 0) || !(Number(s.d) > 0)) return null;
+  try { return { id: s.id, label: String(s.label || "Symbol"), w: Number(s.w), d: Number(s.d), svg: sanitizeSvg(s.svg).svg }; } catch { return null; }
+}
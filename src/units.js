@@ -0,0 +1,47 @@
+/**
+ * AtlaS – real-world units
+ * - Shapes live in world pixels; a calibration maps them to centimetres.
+ * - calib: { pxPerCm, unit, line: { a:{x,y}, b:{x,y}, value } } or null.
+ *   Stored in world px, so zoom (world.scale) never invalidates it.
+ */
+
+export const UNITS = {
+  cm: { label: "cm", cm: 1 },
+  m:  { label: "m",  cm: 100 },
+  ft: { label: "ft", cm: 30.48 },
+};
+export const UNIT_KEYS = Object.keys(UNITS);
+
+const unitOf = (u) => UNITS[u] || UNITS.m;
+export const toCm = (v, unit) => v * unitOf(unit).cm;
+export const fromCm = (cm, unit) => cm / unitOf(unit).cm;
+
+export const dist = (a, b) => Math.hypot(b.x - a.x, b.y - a.y);
+
+// value: typed length of the reference line a→b, in `unit`
+export function makeCalibration(a, b, value, unit) {
+  const px = dist(a, b), cm = toCm(value, unit);
+  if (!(px > 0) || !(cm > 0)) return null;
+  return { pxPerCm: px / cm, unit, line: { a: { ...a }, b: { ...b }, value } };
+}
+
+export const pxToCm = (px, calib) => (calib?.pxPerCm > 0 ? px / calib.pxPerCm : null);
+export const cmToPx = (cm, calib) => (calib?.pxPerCm > 0 ? cm * calib.pxPerCm : null);
+
+const trim = (v, digits) => String(Number(v.toFixed(digits)));
+// cm -> "3.45 m" / "120 cm" / "11.3 ft"
+export function formatLength(cm, unit = "m") {
+  if (!Number.isFinite(cm)) return "";
+  const v = fromCm(cm, unit);
+  return `${trim(v, unit === "cm" ? 0 : unit === "m" ? 2 : 1)} ${unitOf(unit).label}`;
+}
+
+// cm² -> "12.4 m²" (or "133.5 ft²" when working in feet)
+export function formatArea(cm2, unit = "m") {
+  if (!Number.isFinite(cm2)) return "";
+  return unit === "ft" ? `${trim(cm2 / (30.48 * 30.48), 1)} ft²` : `${trim(cm2 / 10000, 2)} m²`;
+}
+
+// world px -> formatted length, or "" without a calibration
+export const formatPx = (px, calib) => (calib ? formatLength(pxToCm(px, calib), calib.unit) : "");
+export const formatPx2 = (px2, calib) => (calib ? formatArea(px2 / (calib.pxPerCm * calib.pxPerCm), calib.unit) : "");
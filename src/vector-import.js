@@ -0,0 +1,335 @@
+/**
+ * AtlaS – DXF / SVG plans as a vector underlay
+ * - parseDxf(text) / parseSvg(text) -> { paths, unitCm }: paths are
+ *   { layer, closed, line?, pts:[{x,y}…] } in the file's own units with y down (DXF's y is
+ *   negated); `line` marks DXF LINE entities, the ones that can become walls. unitCm is the
+ *   size of one drawing unit in cm when the file declares it (DXF $INSUNITS), else null.
+ * - DXF: LINE, LWPOLYLINE/POLYLINE (bulges flattened), CIRCLE, ARC, ELLIPSE, SPLINE (as its
+ *   fit or control polygon) and INSERT of blocks, nested. SVG: line, polyline, polygon,
+ *   rect, circle, ellipse and path (curves flattened), through every transform; the layer
+ *   is the nearest group's Inkscape label or id. Text, hatches and images are skipped.
+ * - placePaths() maps parsed paths into world px; the underlay kept in a level snapshot is
+ *   { name, source, paths:[{ layer, closed, pts:[x0,y0,x1,y1…] }] } (flat, to keep history small).
+ * Both parsers throw Error with a user-facing message.
+ */
+
+export const VECTOR_EXT = /\.(dxf|svg)$/i;
+export const MAX_VECTOR_BYTES = 20 * 1024 * 1024;
+export const MAX_UNDERLAY_POINTS = 200000;
+
+const SEG = Math.PI / 16; // max angle per flattened arc segment
+const steps = (sweep) => Math.max(2, Math.ceil(Math.abs(sweep) / SEG));
+const arcPts = (c, rx, ry, a0, sweep, rot = 0) => Array.from({ length: steps(sweep) + 1 }, (_, i) => {
+  const t = a0 + (sweep * i) / steps(sweep), x = rx * Math.cos(t), y = ry * Math.sin(t);
+  return { x: c.x + x * Math.cos(rot) - y * Math.sin(rot), y: c.y + x * Math.sin(rot) + y * Math.cos(rot) };
+});
+const countPoints = (paths) => paths.reduce((n, p) => n + p.pts.length, 0);
+function checkSize(paths) {
+  if (!paths.length) throw new Error("No lines found in the file.");
+  if (countPoints(paths) > MAX_UNDERLAY_POINTS) throw new Error("The drawing is too detailed to use as an underlay.");
+  return paths;
+}
+
+/* ======================= DXF ======================= */
+const INSUNITS_CM = { 1: 2.54, 2: 30.48, 4: 0.1, 5: 1, 6: 100 };
+
+// group code/value pairs -> entities { type, codes:[[code, value]…] }, per section
+function readDxf(text) {
+  const lines = text.split(/\r?\n/);
+  const header = {}, blocks = new Map(), entities = [];
+  let section = null, block = null, ent = null, headerVar = null;
+  const close = () => { if (ent) (block ? block.entities : entities).push(ent); ent = null; };
+  for (let i = 0; i + 1 < lines.length; i += 2) {
+    const code = parseInt(lines[i], 10), value = lines[i + 1].trim();
+    if (!Number.isFinite(code)) throw new Error("Not a valid ASCII DXF file.");
+    if (code === 0) {
+      close();
+      if (value === "SECTION" || value === "ENDSEC" || value === "EOF") { section = null; block = null; continue; }
+      if (section === "BLOCKS" && value === "BLOCK") { block = { name: "", base: { x: 0, y: 0 }, entities: [], header: true }; continue; }
+      if (section === "BLOCKS" && value === "ENDBLK") { if (block) blocks.set(block.name, block); block = null; continue; }
+      if (section === "ENTITIES" || block) ent = { type: value, codes: [] };
+      if (block) block.header = false;
+      continue;
+    }
+    if (section === null && code === 2) { section = value; continue; }
+    if (section === "HEADER") {
+      if (code === 9) headerVar = value; else if (headerVar) header[headerVar] = value;
+      continue;
+    }
+    if (block?.header) {
+      if (code === 2) block.name = value;
+      else if (code === 10) block.base.x = Number(value);
+      else if (code === 20) block.base.y = Number(value);
+      continue;
+    }
+    if (ent) ent.codes.push([code, value]);
+  }
+  close();
+  return { header, blocks, entities };
+}
+
+const get = (e, code, d = 0) => { const c = e.codes.find(([k]) => k === code); return c ? Number(c[1]) : d; };
+const layerOf = (e) => e.codes.find(([k]) => k === 8)?.[1] || "0";
+
+// vertices with bulges -> points; positive bulge: counter-clockwise arc to the next vertex
+function bulgePath(verts, closed) {
+  const pts = [];
+  const n = closed ? verts.length : verts.length - 1;
+  if (verts.length) pts.push({ x: verts[0].x, y: verts[0].y });
+  for (let i = 0; i < n; i++) {
+    const a = verts[i], b = verts[(i + 1) % verts.length], bulge = a.bulge || 0;
+    const c = Math.hypot(b.x - a.x, b.y - a.y);
+    if (!bulge || !c) { pts.push({ x: b.x, y: b.y }); continue; }
+    const u = { x: (b.x - a.x) / c, y: (b.y - a.y) / c }, k = ((c / 2) * (1 - bulge * bulge)) / (2 * bulge);
+    const ctr = { x: (a.x + b.x) / 2 - u.y * k, y: (a.y + b.y) / 2 + u.x * k }, r = Math.hypot(a.x - ctr.x, a.y - ctr.y);
+    pts.push(...arcPts(ctr, r, r, Math.atan2(a.y - ctr.y, a.x - ctr.x), 4 * Math.atan(bulge)).slice(1));
+  }
+  if (closed && pts.length > 1) pts.pop(); // the wrap-around arc ends on the first vertex
+  return pts;
+}
+
+// one entity (plus the VERTEX list of a POLYLINE) -> paths in drawing units, y up
+function entityPaths(e, doc, depth) {
+  const layer = layerOf(e), P = (x, y) => ({ x: get(e, x), y: get(e, y) });
+  switch (e.type) {
+    case "LINE": return [{ layer, closed: false, line: true, pts: [P(10, 20), P(11, 21)] }];
+    case "LWPOLYLINE": {
+      const verts = [];
+      for (const [k, v] of e.codes) {
+        if (k === 10) verts.push({ x: Number(v), y: 0, bulge: 0 });
+        else if (k === 20 && verts.length) verts[verts.length - 1].y = Number(v);
+        else if (k === 42 && verts.length) verts[verts.length - 1].bulge = Number(v);
+      }
+      const closed = (get(e, 70) & 1) === 1;
+      return verts.length > 1 ? [{ layer, closed, pts: bulgePath(verts, closed) }] : [];
+    }
+    case "POLYLINE": {
+      if (get(e, 70) & (16 | 64)) return []; // meshes
+      const verts = (e.vertices || []).map((v) => ({ x: get(v, 10), y: get(v, 20), bulge: get(v, 42) }));
+      const closed = (get(e, 70) & 1) === 1;
+      return verts.length > 1 ? [{ layer, closed, pts: bulgePath(verts, closed) }] : [];
+    }
+    case "CIRCLE": return [{ layer, closed: true, pts: arcPts(P(10, 20), get(e, 40), get(e, 40), 0, 2 * Math.PI).slice(1) }];
+    case "ARC": {
+      const a0 = (get(e, 50) * Math.PI) / 180;
+      let sweep = (get(e, 51) * Math.PI) / 180 - a0;
+      while (sweep <= 0) sweep += 2 * Math.PI;
+      return [{ layer, closed: false, pts: arcPts(P(10, 20), get(e, 40), get(e, 40), a0, sweep) }];
+    }
+    case "ELLIPSE": {
+      const major = P(11, 21), rx = Math.hypot(major.x, major.y), t0 = get(e, 41, 0);
+      let sweep = get(e, 42, 2 * Math.PI) - t0;
+      while (sweep <= 0) sweep += 2 * Math.PI;
+      const full = Math.abs(sweep - 2 * Math.PI) < 1e-6, pts = arcPts(P(10, 20), rx, rx * get(e, 40, 1), t0, sweep, Math.atan2(major.y, major.x));
+      return [{ layer, closed: full, pts: full ? pts.slice(1) : pts }];
+    }
+    case "SPLINE": {
+      const fit = e.codes.some(([k]) => k === 11), xs = fit ? 11 : 10, ys = fit ? 21 : 20, pts = [];
+      for (const [k, v] of e.codes) { if (k === xs) pts.push({ x: Number(v), y: 0 }); else if (k === ys && pts.length) pts[pts.length - 1].y = Number(v); }
+      return pts.length > 1 ? [{ layer, closed: (get(e, 70) & 1) === 1, pts }] : [];
+    }
+    case "INSERT": {
+      const block = doc.blocks.get(e.codes.find(([k]) => k === 2)?.[1]);
+      if (!block || depth > 8) return [];
+      const at = P(10, 20), sx = get(e, 41, 1), sy = get(e, 42, 1), r = (get(e, 50) * Math.PI) / 180;
+      const map = (p) => {
+        const x = (p.x - block.base.x) * sx, y = (p.y - block.base.y) * sy;
+        return { x: at.x + x * Math.cos(r) - y * Math.sin(r), y: at.y + x * Math.sin(r) + y * Math.cos(r) };
+      };
+      // entities on layer "0" inside a block take the layer of the reference
+      return entitiesPaths(block.entities, doc, depth + 1).map((p) => ({ ...p, layer: p.layer === "0" ? layer : p.layer, pts: p.pts.map(map) }));
+    }
+    default: return [];
+  }
+}
+
+function entitiesPaths(list, doc, depth = 0) {
+  const out = [];
+  for (let i = 0; i < list.length; i++) {
+    const e = list[i];
+    if (e.type === "POLYLINE") {
+      e.vertices = [];
+      while (list[i + 1]?.type === "VERTEX") e.vertices.push(list[++i]);
+      if (list[i + 1]?.type === "SEQEND") i++;
+    }
+    out.push(...entityPaths(e, doc, depth));
+  }
+  return out;
+}
+
+export function parseDxf(text) {
+  if (typeof text !== "string" || !text.trim()) throw new Error("The file is empty.");
+  if (text.length > MAX_VECTOR_BYTES) throw new Error("The DXF is too large (max. 20 MB).");
+  if (/^AutoCAD Binary DXF/.test(text)) throw new Error("Binary DXF is not supported; save it as ASCII DXF.");
+  const doc = readDxf(text);
+  const paths = entitiesPaths(doc.entities, doc)
+    .map((p) => ({ ...p, pts: p.pts.map((q) => ({ x: q.x, y: -q.y })) }))
+    .filter((p) => p.pts.every((q) => Number.isFinite(q.x) && Number.isFinite(q.y)));
+  return { paths: checkSize(paths), unitCm: INSUNITS_CM[Number(doc.header.$INSUNITS)] || null };
+}
+
+/* ======================= SVG ======================= */
+const SKIP_TAGS = new Set(["defs", "clippath", "mask", "marker", "symbol", "pattern", "metadata", "title", "desc", "style", "script", "text", "image", "foreignobject", "use"]);
+const mul = (m, n) => [m[0] * n[0] + m[2] * n[1], m[1] * n[0] + m[3] * n[1], m[0] * n[2] + m[2] * n[3], m[1] * n[2] + m[3] * n[3], m[0] * n[4] + m[2] * n[5] + m[4], m[1] * n[4] + m[3] * n[5] + m[5]];
+const apply = (m, p) => ({ x: m[0] * p.x + m[2] * p.y + m[4], y: m[1] * p.x + m[3] * p.y + m[5] });
+const nums = (s) => (String(s || "").match(/[-+]?(?:\d*\.\d+|\d+\.?)(?:[eE][-+]?\d+)?/g) || []).map(Number);
+
+function parseTransform(s) {
+  let m = [1, 0, 0, 1, 0, 0];
+  for (const [, fn, args] of String(s || "").matchAll(/(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g)) {
+    const a = nums(args), rad = ((a[0] || 0) * Math.PI) / 180;
+    let t;
+    if (fn === "matrix" && a.length === 6) t = a;
+    else if (fn === "translate") t = [1, 0, 0, 1, a[0] || 0, a[1] || 0];
+    else if (fn === "scale") t = [a[0] ?? 1, 0, 0, a[1] ?? a[0] ?? 1, 0, 0];
+    else if (fn === "rotate") {
+      const [cx = 0, cy = 0] = a.slice(1);
+      t = mul(mul([1, 0, 0, 1, cx, cy], [Math.cos(rad), Math.sin(rad), -Math.sin(rad), Math.cos(rad), 0, 0]), [1, 0, 0, 1, -cx, -cy]);
+    } else if (fn === "skewX") t = [1, 0, Math.tan(rad), 1, 0, 0];
+    else if (fn === "skewY") t = [1, Math.tan(rad), 0, 1, 0, 0];
+    if (t) m = mul(m, t);
+  }
+  return m;
+}
+
+// SVG elliptical arc from p to q (endpoint parameterisation, SVG 1.1 F.6.5) -> points after p
+function svgArc(p, rx, ry, deg, large, sweep, q) {
+  rx = Math.abs(rx); ry = Math.abs(ry);
+  if (!rx || !ry) return [q];
+  const phi = (deg * Math.PI) / 180, cos = Math.cos(phi), sin = Math.sin(phi);
+  const dx = (p.x - q.x) / 2, dy = (p.y - q.y) / 2, x1 = cos * dx + sin * dy, y1 = -sin * dx + cos * dy;
+  const lam = (x1 * x1) / (rx * rx) + (y1 * y1) / (ry * ry);
+  if (lam > 1) { rx *= Math.sqrt(lam); ry *= Math.sqrt(lam); }
+  const den = rx * rx * y1 * y1 + ry * ry * x1 * x1;
+  let co = den ? Math.sqrt(Math.max(0, (rx * rx * ry * ry - den) / den)) : 0;
+  if (large === sweep) co = -co;
+  const cx1 = (co * rx * y1) / ry, cy1 = (-co * ry * x1) / rx;
+  const c = { x: cos * cx1 - sin * cy1 + (p.x + q.x) / 2, y: sin * cx1 + cos * cy1 + (p.y + q.y) / 2 };
+  const ang = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+  const t1 = ang(1, 0, (x1 - cx1) / rx, (y1 - cy1) / ry);
+  let dt = ang((x1 - cx1) / rx, (y1 - cy1) / ry, (-x1 - cx1) / rx, (-y1 - cy1) / ry);
+  if (!sweep && dt > 0) dt -= 2 * Math.PI; else if (sweep && dt < 0) dt += 2 * Math.PI;
+  return arcPts(c, rx, ry, t1, dt, phi).slice(1);
+}
+const bezier = (pts, n = 12) => Array.from({ length: n }, (_, i) => {
+  const t = (i + 1) / n;
+  let q = pts;
+  while (q.length > 1) q = q.slice(1).map((b, j) => ({ x: q[j].x + (b.x - q[j].x) * t, y: q[j].y + (b.y - q[j].y) * t }));
+  return q[0];
+});
+
+// path data -> subpaths { closed, pts }
+export function pathPolylines(d) {
+  const toks = String(d || "").match(/[MmLlHhVvCcSsQqTtAaZz]|[-+]?(?:\d*\.\d+|\d+\.?)(?:[eE][-+]?\d+)?/g) || [];
+  const out = [];
+  let i = 0, cmd = null, p = { x: 0, y: 0 }, start = p, cur = null, lastC = null, lastQ = null;
+  const n = () => Number(toks[i++]);
+  const moveTo = (q) => { if (cur?.pts.length > 1) out.push(cur); cur = { closed: false, pts: [q] }; start = q; };
+  const lineTo = (q) => { if (!cur) moveTo(p); cur.pts.push(q); };
+  while (i < toks.length) {
+    if (/^[a-z]$/i.test(toks[i])) cmd = toks[i++];
+    else if (!cmd) break;
+    const rel = cmd === cmd.toLowerCase(), at = (x, y) => (rel ? { x: p.x + x, y: p.y + y } : { x, y });
+    const C = cmd.toUpperCase(), prevC = lastC, prevQ = lastQ;
+    lastC = lastQ = null;
+    let q;
+    if (C === "M") { q = at(n(), n()); moveTo(q); cmd = rel ? "l" : "L"; }
+    else if (C === "L") { q = at(n(), n()); lineTo(q); }
+    else if (C === "H") { const x = n(); q = { x: rel ? p.x + x : x, y: p.y }; lineTo(q); }
+    else if (C === "V") { const y = n(); q = { x: p.x, y: rel ? p.y + y : y }; lineTo(q); }
+    else if (C === "C" || C === "S") {
+      const c1 = C === "C" ? at(n(), n()) : prevC ? { x: 2 * p.x - prevC.x, y: 2 * p.y - prevC.y } : p;
+      const c2 = at(n(), n());
+      q = at(n(), n()); bezier([p, c1, c2, q]).forEach(lineTo); lastC = c2;
+    } else if (C === "Q" || C === "T") {
+      const c1 = C === "Q" ? at(n(), n()) : prevQ ? { x: 2 * p.x - prevQ.x, y: 2 * p.y - prevQ.y } : p;
+      q = at(n(), n()); bezier([p, c1, q]).forEach(lineTo); lastQ = c1;
+    } else if (C === "A") {
+      const rx = n(), ry = n(), rot = n(), large = n() ? 1 : 0, sweep = n() ? 1 : 0;
+      q = at(n(), n()); svgArc(p, rx, ry, rot, large, sweep, q).forEach(lineTo);
+    } else if (C === "Z") {
+      if (cur) { cur.closed = true; out.push(cur); cur = null; }
+      q = start; cmd = null;
+    } else break;
+    if (![q.x, q.y].every(Number.isFinite)) break;
+    p = q;
+  }
+  if (cur?.pts.length > 1) out.push(cur);
+  return out.filter((s) => s.pts.length > 1);
+}
+
+function elementPaths(el) {
+  const A = (k) => Number(el.getAttribute(k)) || 0;
+  const tag = el.localName.toLowerCase();
+  if (tag === "line") return [{ closed: false, pts: [{ x: A("x1"), y: A("y1") }, { x: A("x2"), y: A("y2") }] }];
+  if (tag === "polyline" || tag === "polygon") {
+    const v = nums(el.getAttribute("points")), pts = [];
+    for (let i = 0; i + 1 < v.length; i += 2) pts.push({ x: v[i], y: v[i + 1] });
+    return pts.length > 1 ? [{ closed: tag === "polygon", pts }] : [];
+  }
+  if (tag === "rect") {
+    const x = A("x"), y = A("y"), w = A("width"), h = A("height");
+    return w > 0 && h > 0 ? [{ closed: true, pts: [{ x, y }, { x: x + w, y }, { x: x + w, y: y + h }, { x, y: y + h }] }] : [];
+  }
+  if (tag === "circle" || tag === "ellipse") {
+    const rx = tag === "circle" ? A("r") : A("rx"), ry = tag === "circle" ? A("r") : A("ry");
+    return rx > 0 && ry > 0 ? [{ closed: true, pts: arcPts({ x: A("cx"), y: A("cy") }, rx, ry, 0, 2 * Math.PI).slice(1) }] : [];
+  }
+  if (tag === "path") return pathPolylines(el.getAttribute("d"));
+  return [];
+}
+
+const hidden = (el) => el.getAttribute("display") === "none" || /display\s*:\s*none/.test(el.getAttribute("style") || "");
+
+export function parseSvg(text) {
+  if (typeof text !== "string" || !text.trim()) throw new Error("The file is empty.");
+  if (text.length > MAX_VECTOR_BYTES) throw new Error("The SVG is too large (max. 20 MB).");
+  const doc = new DOMParser().parseFromString(text, "image/svg+xml");
+  const root = doc.documentElement;
+  if (!root || root.localName !== "svg" || doc.getElementsByTagName("parsererror").length) throw new Error("Not a valid SVG file.");
+  const paths = [];
+  const walk = (el, m, layer) => {
+    const tag = el.localName.toLowerCase();
+    if (SKIP_TAGS.has(tag) || hidden(el)) return;
+    const mm = mul(m, parseTransform(el.getAttribute("transform")));
+    if (tag === "g") layer = el.getAttribute("inkscape:label") || el.getAttribute("id") || layer;
+    for (const s of elementPaths(el)) paths.push({ layer, closed: s.closed, pts: s.pts.map((p) => apply(mm, p)) });
+    for (const child of el.children) walk(child, mm, layer);
+  };
+  walk(root, [1, 0, 0, 1, 0, 0], "svg");
+  return { paths: checkSize(paths.filter((p) => p.pts.every((q) => Number.isFinite(q.x) && Number.isFinite(q.y)))), unitCm: null };
+}
+
+/* ======================= placement / storage ======================= */
+export function pathsBox(paths) {
+  let x0 = Infinity, y0 = Infinity, x1 = -Infinity, y1 = -Infinity;
+  for (const p of paths) for (const q of p.pts) { x0 = Math.min(x0, q.x); y0 = Math.min(y0, q.y); x1 = Math.max(x1, q.x); y1 = Math.max(y1, q.y); }
+  return { x: x0, y: y0, w: x1 - x0, h: y1 - y0 };
+}
+
+// scale (world px per drawing unit) and centre the drawing on `center`
+export function placePaths(paths, scale, center) {
+  const b = pathsBox(paths), cx = b.x + b.w / 2, cy = b.y + b.h / 2;
+  return paths.map((p) => ({ ...p, pts: p.pts.map((q) => ({ x: center.x + (q.x - cx) * scale, y: center.y + (q.y - cy) * scale })) }));
+}
+
+const r2 = (v) => Math.round(v * 100) / 100;
+export const makeUnderlay = (name, source, paths) => ({
+  name, source,
+  paths: paths.map((p) => ({ layer: String(p.layer), closed: !!p.closed, pts: p.pts.flatMap((q) => [r2(q.x), r2(q.y)]) })),
+});
+// stored underlay -> { layer, closed, pts:[{x,y}…] } (rendering, snapping)
+export const underlayPaths = (u) => (u?.paths || []).map((p) => {
+  const pts = [];
+  for (let i = 0; i + 1 < p.pts.length; i += 2) pts.push({ x: p.pts[i], y: p.pts[i + 1] });
+  return { layer: p.layer, closed: p.closed, pts };
+});
+
+// an underlay from a file or autosave: known fields, finite coordinates
+export function cleanUnderlay(raw) {
+  if (!raw || !Array.isArray(raw.paths)) return null;
+  const paths = raw.paths
+    .filter((p) => Array.isArray(p?.pts) && p.pts.length >= 4 && p.pts.every(Number.isFinite))
+    .map((p) => ({ layer: String(p.layer ?? "0"), closed: !!p.closed, pts: p.pts.slice(0, p.pts.length - (p.pts.length % 2)) }));
+  return paths.length ? { name: String(raw.name || "Underlay"), source: raw.source === "svg" ? "svg" : "dxf", paths } : null;
+}
@@ -0,0 +1,206 @@
+/**
+ * AtlaS – polyline walls
+ * - A wall is one centre-line segment { id, a:{x,y}, b:{x,y}, thickCm } in world px.
+ *   Segments that share an endpoint (within NODE_EPS) form a joint; there is no
+ *   separate node list, so every edit is a plain map over the segment array.
+ * - wallOutline() turns a segment into its filled outline: free ends are butt,
+ *   ends at a joint are mitred against the angular neighbours around that joint.
+ * - Openings (windows, doors) are hosted by one segment:
+ *   { id, kind:"window"|"door", wallId, offset, widthCm, heightCm?, hinge?:"a"|"b", swing?:"left"|"right" }
+ *   `offset` is the distance in world px from the wall's `a` end to the opening centre,
+ *   so an opening follows its wall for free when the wall is dragged.
+ */
+
+import { closestOnSegment } from "./geometry.js";
+
+export const NODE_EPS = 0.5;
+const MITER_LIMIT = 4; // × half thickness
+
+const sub = (p, q) => ({ x: p.x - q.x, y: p.y - q.y });
+const len = (v) => Math.hypot(v.x, v.y);
+const unit = (v) => { const l = len(v) || 1; return { x: v.x / l, y: v.y / l }; };
+export const samePoint = (p, q, eps = NODE_EPS) => Math.abs(p.x - q.x) <= eps && Math.abs(p.y - q.y) <= eps;
+
+export const newWallId = () => `wallseg_${Date.now()}_${Math.random().toString(36).slice(2)}`;
+
+// cm -> world px; without a calibration 1 cm is drawn as 1 px
+export const lengthPx = (cm, calib) => (calib?.pxPerCm > 0 ? cm * calib.pxPerCm : cm);
+export const wallThicknessPx = (w, calib) => lengthPx(w.thickCm, calib);
+
+/* ======================= graph edits ======================= */
+// where segments p1→p2 and q1→q2 cross strictly inside both, or null
+function crossing(p1, p2, q1, q2) {
+  const r = sub(p2, p1), s = sub(q2, q1);
+  const den = r.x * s.y - r.y * s.x;
+  if (Math.abs(den) < 1e-9) return null;
+  const qp = sub(q1, p1);
+  const t = (qp.x * s.y - qp.y * s.x) / den, u = (qp.x * r.y - qp.y * r.x) / den;
+  const e = 1e-6;
+  if (t <= e || t >= 1 - e || u <= e || u >= 1 - e) return null;
+  return { x: p1.x + r.x * t, y: p1.y + r.y * t };
+}
+
+// split w at the given interior points (sorted along w); returns 1..n segments
+function splitAt(w, pts) {
+  const along = pts
+    .map((p) => ({ p, t: closestOnSegment(p, w.a, w.b).t }))
+    .filter(({ p }) => !samePoint(p, w.a) && !samePoint(p, w.b))
+    .sort((m, n) => m.t - n.t);
+  if (!along.length) return [w];
+  const out = []; let from = w.a;
+  for (const { p } of along) { out.push({ ...w, id: newWallId(), a: from, b: { ...p } }); from = { ...p }; }
+  out.push({ ...w, id: newWallId(), a: from, b: w.b });
+  out[0].id = w.id; // the first piece keeps the original id
+  return out;
+}
+
+/**
+ * Add segment `seg` to `list`, splitting:
+ * - existing segments where one of seg's endpoints lands on their interior (T-joints),
+ * - seg where an existing endpoint lands on its interior,
+ * - both, where they cross.
+ * tol is the "lands on" distance in world px. Returns { list, ids } (ids of the new pieces of seg).
+ */
+export function addWallSegment(list, seg, tol = NODE_EPS) {
+  const onInterior = (p, w) => {
+    const q = closestOnSegment(p, w.a, w.b);
+    return q.t > 0 && q.t < 1 && Math.hypot(q.x - p.x, q.y - p.y) <= tol && !samePoint(p, w.a, tol) && !samePoint(p, w.b, tol);
+  };
+  const segCuts = [];
+  const next = [];
+  for (const w of list) {
+    const cuts = [];
+    for (const p of [seg.a, seg.b]) if (onInterior(p, w)) cuts.push(p);
+    for (const p of [w.a, w.b]) if (onInterior(p, seg)) segCuts.push(p);
+    const x = crossing(seg.a, seg.b, w.a, w.b);
+    if (x && !cuts.length) { cuts.push(x); segCuts.push(x); }
+    next.push(...splitAt(w, cuts));
+  }
+  const pieces = splitAt(seg, segCuts);
+  return { list: [...next, ...pieces], ids: pieces.map((p) => p.id) };
+}
+
+// every endpoint (of any segment) that coincides with p
+export const endpointsAt = (list, p, eps = NODE_EPS) => {
+  const out = [];
+  for (const w of list) {
+    if (samePoint(w.a, p, eps)) out.push({ id: w.id, end: "a" });
+    if (samePoint(w.b, p, eps)) out.push({ id: w.id, end: "b" });
+  }
+  return out;
+};
+
+// move the listed endpoints ([{ id, end }]) by (dx, dy) relative to `from` (the list at drag start)
+export function moveEndpoints(from, ends, dx, dy) {
+  const hit = new Map();
+  for (const { id, end } of ends) hit.set(`${id}:${end}`, true);
+  return from.map((w) => {
+    const a = hit.has(`${w.id}:a`), b = hit.has(`${w.id}:b`);
+    if (!a && !b) return w;
+    return { ...w, a: a ? { x: w.a.x + dx, y: w.a.y + dy } : w.a, b: b ? { x: w.b.x + dx, y: w.b.y + dy } : w.b };
+  });
+}
+
+/* ======================= outline with joins ======================= */
+// the corner on one side of segment end P (direction d away from P, half thickness h)
+function joinCorner(list, w, P, d, h, side, calib) {
+  const n = side > 0 ? { x: -d.y, y: d.x } : { x: d.y, y: -d.x };
+  const plain = { x: P.x + n.x * h, y: P.y + n.y * h };
+  const ang = Math.atan2(d.y, d.x);
+  let best = null, bestGap = Infinity;
+  for (const o of list) {
+    if (o.id === w.id) continue;
+    const far = samePoint(o.a, P) ? o.b : samePoint(o.b, P) ? o.a : null;
+    if (!far) continue;
+    const du = unit(sub(far, P));
+    let gap = (Math.atan2(du.y, du.x) - ang) * side;
+    while (gap <= 1e-9) gap += 2 * Math.PI;
+    while (gap > 2 * Math.PI) gap -= 2 * Math.PI;
+    if (gap < bestGap) { bestGap = gap; best = { o, du }; }
+  }
+  if (!best) return plain; // free end → butt
+  // neighbour's edge facing us is on its opposite side
+  const hu = wallThicknessPx(best.o, calib) / 2;
+  const nu = side > 0 ? { x: best.du.y, y: -best.du.x } : { x: -best.du.y, y: best.du.x };
+  const q = { x: P.x + nu.x * hu, y: P.y + nu.y * hu };
+  const den = d.x * best.du.y - d.y * best.du.x;
+  if (Math.abs(den) < 1e-9) return plain; // collinear continuation
+  const qp = sub(q, plain);
+  const t = (qp.x * best.du.y - qp.y * best.du.x) / den;
+  const m = { x: plain.x + d.x * t, y: plain.y + d.y * t };
+  return len(sub(m, P)) > MITER_LIMIT * Math.max(h, hu) ? plain : m;
+}
+
+// closed outline [{x,y}, …] of segment w; includes the joint centres so junction hubs are filled
+export function wallOutline(list, w, calib) {
+  const h = wallThicknessPx(w, calib) / 2;
+  const d = unit(sub(w.b, w.a)), back = { x: -d.x, y: -d.y };
+  const aL = joinCorner(list, w, w.a, d, h, +1, calib), aR = joinCorner(list, w, w.a, d, h, -1, calib);
+  const bL = joinCorner(list, w, w.b, back, h, +1, calib), bR = joinCorner(list, w, w.b, back, h, -1, calib);
+  return [aL, bR, { ...w.b }, bL, aR, { ...w.a }];
+}
+
+/* ======================= openings ======================= */
+export const newOpeningId = (kind) => `${kind}_${Date.now()}_${Math.random().toString(36).slice(2)}`;
+
+// offset along w (clamped to the segment) and distance of p from its centre line
+export function projectOntoWall(w, p) {
+  const q = closestOnSegment(p, w.a, w.b);
+  return { offset: q.t * len(sub(w.b, w.a)), distance: Math.hypot(q.x - p.x, q.y - p.y) };
+}
+
+// nearest wall whose centre line is within maxDist of p, or null
+export function nearestWall(list, p, maxDist) {
+  let best = null, bestD = maxDist;
+  for (const w of list) {
+    const { offset, distance } = projectOntoWall(w, p);
+    if (distance <= bestD) { best = { wall: w, offset }; bestD = distance; }
+  }
+  return best;
+}
+
+// placement of an opening on its wall: centre c, wall direction d, normal n,
+// half width hw and half wall thickness ht (all world px); offset kept inside the wall
+export function openingFrame(w, o, calib) {
+  const L = len(sub(w.b, w.a));
+  const d = unit(sub(w.b, w.a)), n = { x: -d.y, y: d.x };
+  const hw = Math.min(lengthPx(o.widthCm, calib), L) / 2;
+  const off = Math.max(hw, Math.min(L - hw, o.offset));
+  const c = { x: w.a.x + d.x * off, y: w.a.y + d.y * off };
+  return { c, d, n, hw, ht: wallThicknessPx(w, calib) / 2, offset: off };
+}
+
+// the four corners of the opening's cut-out (slightly deeper than the wall so it covers the outline)
+export function openingCorners(f) {
+  const t = f.ht + 1;
+  return [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([i, j]) => ({ x: f.c.x + f.d.x * f.hw * i + f.n.x * t * j, y: f.c.y + f.d.y * f.hw * i + f.n.y * t * j }));
+}
+
+// door leaf (open, perpendicular to the wall) and swing arc; `sweep` is the SVG arc sweep flag
+export function doorSwing(f, o) {
+  const s = o.hinge === "b" ? 1 : -1, side = o.swing === "right" ? -1 : 1, r = f.hw * 2;
+  const hinge = { x: f.c.x + f.d.x * f.hw * s, y: f.c.y + f.d.y * f.hw * s };
+  const closed = { x: hinge.x - f.d.x * r * s, y: hinge.y - f.d.y * r * s };
+  const open = { x: hinge.x + f.n.x * r * side, y: hinge.y + f.n.y * r * side };
+  const v1 = sub(open, hinge), v2 = sub(closed, hinge);
+  return { hinge, open, closed, r, sweep: v1.x * v2.y - v1.y * v2.x > 0 ? 1 : 0 };
+}
+
+// after walls were split, moved apart or deleted: keep each opening where it was in the world,
+// re-hosting it on whichever wall of `after` now runs through that spot (dropped if none does)
+export function reattachOpenings(openings, before, after, calib) {
+  const byId = new Map(after.map((w) => [w.id, w]));
+  const prev = new Map(before.map((w) => [w.id, w]));
+  const out = [];
+  for (const o of openings) {
+    const old = prev.get(o.wallId);
+    if (!old) continue;
+    const f = openingFrame(old, o, calib);
+    const same = byId.get(o.wallId);
+    const onSame = same && projectOntoWall(same, f.c).distance <= NODE_EPS;
+    const host = onSame ? { wall: same } : nearestWall(after, f.c, Math.max(1, f.ht));
+    if (!host) continue;
+    out.push({ ...o, wallId: host.wall.id, offset: projectOntoWall(host.wall, f.c).offset });
+  }
+  return out;
+}